@@ -0,0 +1,293 @@
+// app/admin-graphql.server.js
+//
+// Every Admin GraphQL call goes through `adminQuery`, which reads the cost
+// Shopify reports for each query, waits for the bucket to refill instead of
+// guessing a pause, retries THROTTLED responses and transient failures, and
+// throws an `AdminGraphqlError` for anything else.
+
+/* -------------------------------------------------------------------------- */
+/*                                   Errors                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * A failed Admin GraphQL call. `kind` says what went wrong:
+ *
+ * - `throttled`: still throttled after every retry
+ * - `server`: a 5xx (or 429) response on every try
+ * - `network`: no response at all on every try
+ * - `http`: any other HTTP error status, not retried
+ * - `graphql`: GraphQL errors in the response, not retried
+ * - `missing`: the response had no data where the caller needed it
+ *
+ * `errors` holds Shopify's GraphQL errors when there were any.
+ */
+export class AdminGraphqlError extends Error {
+  constructor(message, { kind, status = null, errors = [], cause } = {}) {
+    super(message, { cause });
+    this.name = "AdminGraphqlError";
+    this.kind = kind;
+    this.status = status;
+    this.errors = errors;
+  }
+
+  get retryable() {
+    return ["throttled", "server", "network"].includes(this.kind);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Reading a response                            */
+/* -------------------------------------------------------------------------- */
+
+// GraphQL errors come as an array from the API, or wrapped by the Shopify
+// client as `{ graphQLErrors }`.
+function graphqlErrors(body) {
+  const errors = body?.errors;
+  if (!errors) return [];
+  if (Array.isArray(errors)) return errors;
+  return errors.graphQLErrors ?? [{ message: errors.message ?? "Error" }];
+}
+
+const isThrottled = (errors) =>
+  errors.some((e) => e?.extensions?.code === "THROTTLED");
+
+/**
+ * What one try came back with: `{ body }` for a response, or
+ * `{ status, retryAfter, cause }` for an HTTP or network failure. The
+ * Shopify client throws for GraphQL errors and bad statuses where a plain
+ * fetch (or a mock) resolves, so both are read the same way here.
+ */
+async function attempt(admin, query, variables) {
+  let resp;
+  try {
+    resp = await admin.graphql(query, { variables });
+  } catch (err) {
+    // Responses thrown by the auth layer (re-authorize) pass straight through.
+    if (err instanceof Response) throw err;
+    if (err?.body?.errors?.graphQLErrors) return { body: err.body };
+    if (err?.response?.code) {
+      return {
+        status: err.response.code,
+        retryAfter: err.response.retryAfter,
+        cause: err,
+      };
+    }
+    return { status: null, cause: err };
+  }
+
+  if (typeof resp.status === "number" && resp.status >= 400) {
+    const retryAfter = Number(resp.headers?.get?.("Retry-After"));
+    return {
+      status: resp.status,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined,
+    };
+  }
+  try {
+    return { body: await resp.json() };
+  } catch (err) {
+    return { status: null, cause: err };
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Cost and pacing                              */
+/* -------------------------------------------------------------------------- */
+
+// The last throttle status each admin client saw, and what each query
+// cost it, so the next call can wait for the bucket before it's refused.
+const buckets = new WeakMap();
+
+function bucketFor(admin) {
+  if (!buckets.has(admin)) buckets.set(admin, { status: null, costs: {} });
+  return buckets.get(admin);
+}
+
+function recordCost(admin, query, cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+  const bucket = bucketFor(admin);
+  bucket.status = { ...status, at: Date.now() };
+  if (cost.requestedQueryCost) {
+    bucket.costs[query] = cost.requestedQueryCost;
+  }
+}
+
+/**
+ * Milliseconds until the bucket holds `cost` points at its restore rate,
+ * from the last status seen. Zero when it already should.
+ */
+function refillDelay(status, cost) {
+  if (!status || !status.restoreRate || !cost) return 0;
+  const elapsed = (Date.now() - status.at) / 1000;
+  const available = Math.min(
+    status.maximumAvailable,
+    status.currentlyAvailable + elapsed * status.restoreRate
+  );
+  if (available >= cost) return 0;
+  return Math.ceil(((cost - available) / status.restoreRate) * 1000);
+}
+
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+
+// 500ms, 1s, 2s… with jitter, for failures that don't say how long to wait.
+function backoff(tryNumber) {
+  const ms = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (tryNumber - 1));
+  return ms / 2 + Math.random() * (ms / 2);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Querying                                  */
+/* -------------------------------------------------------------------------- */
+
+const DEFAULT_TRIES = 5;
+
+// Webhook handlers have five seconds to answer and Shopify redelivers the
+// ones that fail, so they give up sooner.
+export const WEBHOOK_TRIES = 3;
+
+/**
+ * Runs a query and returns its `data`. THROTTLED responses wait for the
+ * points the query asked for to be restored; 429s, 5xx responses and
+ * network failures back off exponentially. Both give up after `tries`.
+ *
+ * `task` says what the call is for in messages ("fetching orders"). Pass
+ * `idempotent: false` for a mutation that mustn't run twice: a THROTTLED
+ * response means it didn't run and is retried, but a failure that may
+ * have happened after it ran is not.
+ * Throws an `AdminGraphqlError`, except for responses the auth layer
+ * throws to re-authorize, which pass through.
+ */
+export async function adminQuery(
+  admin,
+  query,
+  variables = {},
+  { task = "querying Shopify", tries = DEFAULT_TRIES, idempotent = true } = {}
+) {
+  const bucket = bucketFor(admin);
+
+  for (let tryNumber = 1; ; tryNumber++) {
+    const wait = refillDelay(bucket.status, bucket.costs[query]);
+    if (wait > 0) await sleep(wait);
+
+    const { body, status, retryAfter, cause } = await attempt(
+      admin,
+      query,
+      variables
+    );
+    const lastTry = tryNumber >= tries;
+
+    if (body) {
+      const cost = body.extensions?.cost;
+      recordCost(admin, query, cost);
+      const errors = graphqlErrors(body);
+      if (!errors.length) return body.data;
+
+      if (isThrottled(errors)) {
+        if (lastTry) {
+          throw new AdminGraphqlError(
+            `Shopify kept throttling requests while ${task}`,
+            { kind: "throttled", errors }
+          );
+        }
+        const delay =
+          refillDelay(bucket.status, cost?.requestedQueryCost) ||
+          backoff(tryNumber);
+        console.warn(`Throttled ${task}; retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      console.error(`GraphQL errors ${task}:`, errors);
+      throw new AdminGraphqlError(
+        `Shopify returned an error while ${task}: ${errors[0].message}`,
+        { kind: "graphql", errors }
+      );
+    }
+
+    const transient = status === null || status === 429 || status >= 500;
+    if (!transient || !idempotent || lastTry) {
+      console.error(`Request failed ${task}:`, status, cause);
+      throw new AdminGraphqlError(
+        status === null
+          ? `Couldn't reach Shopify while ${task}`
+          : `Shopify responded ${status} while ${task}`,
+        {
+          kind: status === null ? "network" : transient ? "server" : "http",
+          status,
+          cause,
+        }
+      );
+    }
+
+    const delay = retryAfter ? retryAfter * 1000 : backoff(tryNumber);
+    console.warn(
+      `${status ?? "No response"} ${task}; retrying in ${Math.round(delay)}ms`
+    );
+    await sleep(delay);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Paging                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * One page of a connection: `{ data, nodes, edges, hasNextPage, endCursor }`.
+ * `connectionAt(data)` picks the connection out of the response, which must
+ * select `pageInfo { hasNextPage endCursor }`; the cursor is passed as
+ * `$cursor`. Throws a `missing` error when the connection isn't there.
+ */
+export async function fetchConnectionPage(
+  admin,
+  query,
+  variables,
+  connectionAt,
+  options = {}
+) {
+  const data = await adminQuery(admin, query, variables, options);
+  const connection = data ? connectionAt(data) : null;
+  if (!connection) {
+    throw new AdminGraphqlError(
+      `Shopify returned nothing while ${options.task ?? "querying Shopify"}`,
+      { kind: "missing" }
+    );
+  }
+  const pageInfo = connection.pageInfo ?? {};
+  return {
+    data,
+    nodes: connection.nodes ?? [],
+    edges: connection.edges ?? [],
+    hasNextPage: Boolean(pageInfo.hasNextPage),
+    endCursor: pageInfo.hasNextPage ? (pageInfo.endCursor ?? null) : null,
+  };
+}
+
+/**
+ * Every page of a connection from `variables.cursor` (or the start), one
+ * `fetchConnectionPage` result at a time.
+ */
+export async function* pageConnection(
+  admin,
+  query,
+  variables,
+  connectionAt,
+  options = {}
+) {
+  let cursor = variables.cursor ?? null;
+  do {
+    const page = await fetchConnectionPage(
+      admin,
+      query,
+      { ...variables, cursor },
+      connectionAt,
+      options
+    );
+    yield page;
+    cursor = page.endCursor;
+  } while (cursor);
+}
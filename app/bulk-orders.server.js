@@ -0,0 +1,311 @@
+// app/bulk-orders.server.js
+import { AdminGraphqlError, adminQuery } from "./admin-graphql.server.js";
+
+/* -------------------------------------------------------------------------- */
+/*                               Bulk operations                              */
+/* -------------------------------------------------------------------------- */
+
+// The same order fields as the paged query, without page sizes: a bulk
+// export has every line item and fulfillment of every order.
+function bulkOrdersQuery(q) {
+  return `{
+    orders(query: ${JSON.stringify(q)}, sortKey: CREATED_AT) {
+      edges {
+        node {
+          id
+          createdAt
+          updatedAt
+          cancelledAt
+          test
+          sourceName
+          retailLocation { name }
+          fulfillments {
+            id
+            location { name }
+            fulfillmentLineItems {
+              edges { node { id quantity lineItem { id } } }
+            }
+          }
+          lineItems {
+            edges {
+              node {
+                id
+                quantity
+                currentQuantity
+                product { id title vendor productType tags }
+                variant { id title sku }
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+}
+
+const BULK_RUN_MUTATION = `
+  mutation RestockingReportBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_OPERATION_QUERY = `
+  query RestockingReportBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url }
+    }
+  }
+`;
+
+const BULK_CANCEL_MUTATION = `
+  mutation RestockingReportBulkCancel($id: ID!) {
+    bulkOperationCancel(id: $id) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Starts a bulk query. Returns `{ id }`, or `{ error }` when Shopify won't
+ * start it (usually because the shop already has a bulk query running).
+ */
+export async function startBulkQuery(admin, query) {
+  const data = await adminQuery(
+    admin,
+    BULK_RUN_MUTATION,
+    { query },
+    { task: "starting a bulk export", idempotent: false }
+  );
+  const result = data?.bulkOperationRunQuery;
+  if (!result) {
+    throw new AdminGraphqlError("Shopify didn't start the bulk export", {
+      kind: "missing",
+    });
+  }
+
+  if (result.userErrors?.length || !result.bulkOperation) {
+    return {
+      error:
+        result.userErrors.map((e) => e.message).join("; ") ||
+        "Shopify didn't start the bulk export",
+    };
+  }
+  return { id: result.bulkOperation.id };
+}
+
+/** Exports the orders matching the search query `q`; see `startBulkQuery`. */
+export async function startBulkOrders(admin, q) {
+  return startBulkQuery(admin, bulkOrdersQuery(q));
+}
+
+/**
+ * `{ status, errorCode, objectCount, url }` of a bulk operation. `url` is
+ * set once it has COMPLETED, and stays null when nothing matched.
+ */
+export async function fetchBulkOperation(admin, id) {
+  const data = await adminQuery(
+    admin,
+    BULK_OPERATION_QUERY,
+    { id },
+    { task: "checking a bulk export" }
+  );
+  const op = data?.node;
+  if (!op) {
+    throw new AdminGraphqlError("Shopify has no record of the bulk export", {
+      kind: "missing",
+    });
+  }
+
+  return {
+    status: op.status,
+    errorCode: op.errorCode ?? null,
+    objectCount: Number(op.objectCount ?? 0),
+    url: op.url ?? null,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Checks on a bulk operation every `pollMs` until Shopify has finished it,
+ * for the worker scripts. Returns the COMPLETED operation; throws when it
+ * failed or was cancelled.
+ */
+export async function waitForBulkOperation(
+  admin,
+  id,
+  { pollMs = 5000, onPoll = () => {} } = {}
+) {
+  let op;
+  do {
+    await sleep(pollMs);
+    op = await fetchBulkOperation(admin, id);
+    onPoll(op);
+  } while (op.status === "CREATED" || op.status === "RUNNING");
+
+  if (op.status !== "COMPLETED") {
+    const code = op.errorCode ? ` (${op.errorCode})` : "";
+    throw new Error(`The bulk export ended ${op.status.toLowerCase()}${code}`);
+  }
+  return op;
+}
+
+/** Stops a bulk operation nobody will read, so the shop can start another. */
+export async function cancelBulkOperation(admin, id) {
+  try {
+    const data = await adminQuery(
+      admin,
+      BULK_CANCEL_MUTATION,
+      { id },
+      { task: "cancelling a bulk export" }
+    );
+    const errors = data?.bulkOperationCancel?.userErrors;
+    if (errors?.length) console.error("Bulk cancel failed:", errors);
+  } catch (err) {
+    console.error("Error cancelling bulk operation:", err);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                JSONL results                               */
+/* -------------------------------------------------------------------------- */
+
+const NEWLINE = 0x0a;
+
+/**
+ * Parses a stream of JSONL bytes one line at a time, without holding the
+ * file in memory. Yields `{ value, start, end }`: the parsed object and the
+ * byte offsets of its line, counted from `offset` (where the stream begins
+ * within the file).
+ */
+export async function* readJsonLines(chunks, offset = 0) {
+  const decoder = new TextDecoder();
+  let pending = new Uint8Array(0);
+  let pendingStart = offset;
+
+  for await (const chunk of chunks) {
+    const bytes =
+      typeof chunk === "string" ? new TextEncoder().encode(chunk) : chunk;
+    const buffer = new Uint8Array(pending.length + bytes.length);
+    buffer.set(pending);
+    buffer.set(bytes, pending.length);
+
+    let lineStart = 0;
+    let newline;
+    while ((newline = buffer.indexOf(NEWLINE, lineStart)) !== -1) {
+      const text = decoder.decode(buffer.subarray(lineStart, newline)).trim();
+      const start = pendingStart + lineStart;
+      const end = pendingStart + newline + 1;
+      if (text) yield { value: JSON.parse(text), start, end };
+      lineStart = newline + 1;
+    }
+    pending = buffer.slice(lineStart);
+    pendingStart += lineStart;
+  }
+
+  const text = decoder.decode(pending).trim();
+  if (text) {
+    yield {
+      value: JSON.parse(text),
+      start: pendingStart,
+      end: pendingStart + pending.length,
+    };
+  }
+}
+
+const typeOf = (gid) => String(gid ?? "").split("/")[3];
+
+// An order line in the shape of a paged `orders` edge, children to follow.
+function orderEdge(line) {
+  const { fulfillments = [], ...order } = line;
+  return {
+    node: {
+      ...order,
+      fulfillments: fulfillments.map((f) => ({
+        ...f,
+        fulfillmentLineItems: { edges: [] },
+      })),
+      lineItems: { pageInfo: { hasNextPage: false }, edges: [] },
+    },
+  };
+}
+
+/**
+ * Rebuilds orders from the lines of a bulk export. Shopify writes each
+ * nested object as its own line with a `__parentId`, right after the
+ * object it belongs to: line items under their order, fulfillment line
+ * items under their fulfillment. Yields `{ edge, end }` per order, `edge`
+ * shaped like an edge of the paged query (so the same aggregation reads
+ * it) and `end` the byte offset where the next order starts, which is
+ * where a later read can resume.
+ */
+export async function* bulkOrderEdges(lines) {
+  let current = null;
+  let fulfillments = new Map();
+
+  for await (const { value, start } of lines) {
+    const { __parentId: parentId, ...object } = value;
+
+    if (!parentId) {
+      if (current) yield { edge: current, end: start };
+      current = orderEdge(object);
+      fulfillments = new Map(current.node.fulfillments.map((f) => [f.id, f]));
+      continue;
+    }
+
+    if (typeOf(object.id) === "LineItem" && parentId === current?.node.id) {
+      current.node.lineItems.edges.push({ node: object });
+    } else if (fulfillments.has(parentId)) {
+      fulfillments
+        .get(parentId)
+        .fulfillmentLineItems.edges.push({ node: object });
+    }
+  }
+
+  if (current) yield { edge: current, end: null };
+}
+
+/**
+ * Downloads a finished export from byte `offset` on and yields its lines
+ * (see `readJsonLines`). Resumes with a Range request, or by skipping
+ * bytes when the server ignores it.
+ */
+export async function* downloadJsonLines(url, offset = 0) {
+  const resp = await fetch(url, {
+    headers: offset ? { Range: `bytes=${offset}-` } : {},
+  });
+  if (resp.status === 416) return;
+  if (!resp.ok) {
+    throw new Error(`Couldn't download the bulk export (HTTP ${resp.status})`);
+  }
+
+  let chunks = resp.body;
+  if (offset && resp.status !== 206) chunks = skipBytes(resp.body, offset);
+  yield* readJsonLines(chunks, offset);
+}
+
+/**
+ * The orders of a finished export from byte `offset` on (see
+ * `bulkOrderEdges`; the last order's `end` is null).
+ */
+export function downloadBulkOrders(url, offset = 0) {
+  return bulkOrderEdges(downloadJsonLines(url, offset));
+}
+
+async function* skipBytes(chunks, count) {
+  let skipped = 0;
+  for await (const chunk of chunks) {
+    if (skipped >= count) {
+      yield chunk;
+    } else if (skipped + chunk.length > count) {
+      yield chunk.subarray(count - skipped);
+    }
+    skipped += chunk.length;
+  }
+}
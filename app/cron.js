@@ -0,0 +1,129 @@
+// app/cron.js
+import { DateTime } from "luxon";
+
+/* -------------------------------------------------------------------------- */
+/*                              Cron expressions                              */
+/* -------------------------------------------------------------------------- */
+
+// minute hour day-of-month month day-of-week (0 and 7 are Sunday)
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+export const CRON_EXAMPLES = [
+  { value: "0 7 * * *", label: "Every day at 7:00" },
+  { value: "0 7 * * 1-5", label: "Weekdays at 7:00" },
+  { value: "0 7 * * 1", label: "Mondays at 7:00" },
+  { value: "0 7 1 * *", label: "First of the month at 7:00" },
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+    const [, range, stepText] = match;
+    const step = stepText ? Number(stepText) : 1;
+    let [from, to] = range === "*" ? [min, max] : range.split("-").map(Number);
+    if (to === undefined) to = stepText ? max : from;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (or @hourly/@daily/@weekly/@monthly).
+ * Throws with a readable message when it's invalid.
+ */
+export function parseCron(expr) {
+  const text = String(expr || "").trim();
+  const fields = (MACROS[text] ?? text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(
+      "A schedule needs five fields: minute hour day month weekday"
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) =>
+    parseField(f, FIELDS[i])
+  );
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match.
+    anyDay: fields[2] !== "*" && fields[4] !== "*",
+  };
+}
+
+/** Error message for an invalid expression, or null when it parses. */
+export function cronError(expr) {
+  try {
+    parseCron(expr);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function dayMatches(cron, day) {
+  if (!cron.months.has(day.month)) return false;
+  const dom = cron.days.has(day.day);
+  const dow = cron.weekdays.has(day.weekday % 7);
+  return cron.anyDay ? dom || dow : dom && dow;
+}
+
+/**
+ * The first instant after `after` that matches `expr` on the wall clock of
+ * `timeZone`. Times skipped by a spring-forward change don't fire that day;
+ * a time repeated at fall-back fires once, on its first occurrence.
+ */
+export function nextCronTime(expr, timeZone, after = new Date()) {
+  const cron = parseCron(expr);
+  const start = DateTime.fromJSDate(after)
+    .setZone(timeZone)
+    .startOf("minute")
+    .plus({ minutes: 1 });
+
+  // Four years covers any valid day-of-month/month combination (Feb 29).
+  let day = start.startOf("day");
+  for (let i = 0; i < 366 * 4; i++, day = day.plus({ days: 1 })) {
+    if (!dayMatches(cron, day)) continue;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const at = DateTime.fromObject(
+          { year: day.year, month: day.month, day: day.day, hour, minute },
+          { zone: timeZone }
+        );
+        if (at.hour !== hour || at.minute !== minute) continue; // DST gap
+        if (at < start) continue;
+        return at.toJSDate();
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,31 @@
+// app/download.js
+
+/**
+ * POSTs `fields` to an export resource route and saves the response as a
+ * file. Goes through `fetch` (which App Bridge authenticates with the session
+ * token) rather than a plain form post, so it works inside the admin iframe.
+ */
+export async function downloadExport(url, fields) {
+  const body = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) body.append(key, value);
+  }
+
+  const resp = await fetch(url, { method: "POST", body });
+  if (!resp.ok) {
+    throw new Error((await resp.text()) || `Export failed (${resp.status})`);
+  }
+
+  const disposition = resp.headers.get("Content-Disposition") || "";
+  const match = disposition.match(/filename="([^"]+)"/);
+  const fileName = match ? match[1] : "export";
+
+  const blobUrl = URL.createObjectURL(await resp.blob());
+  const a = document.createElement("a");
+  a.href = blobUrl;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(blobUrl);
+}
@@ -0,0 +1,304 @@
+// app/inventory-snapshot.server.js
+import prisma from "./db.server.js";
+import { WEBHOOK_TRIES, adminQuery } from "./admin-graphql.server.js";
+import { THRESHOLD_SCOPES, thresholdFor } from "./low-stock.js";
+import { recentVariantSales } from "./sales-ledger.server.js";
+import {
+  downloadJsonLines,
+  startBulkQuery,
+  waitForBulkOperation,
+} from "./bulk-orders.server.js";
+
+/* -------------------------------------------------------------------------- */
+/*                              Recording levels                              */
+/* -------------------------------------------------------------------------- */
+
+const LEVEL_QUERY = `
+  query InventorySnapshotLevel($item: ID!, $location: ID!) {
+    inventoryItem(id: $item) {
+      id
+      variant {
+        id
+        sku
+        title
+        product { title vendor productType }
+      }
+      inventoryLevel(locationId: $location) {
+        updatedAt
+        location { id name }
+        quantities(names: ["available", "on_hand"]) { name quantity }
+      }
+    }
+  }
+`;
+
+// Every variant's levels at every location. Levels come back as their own
+// lines after the variant they belong to.
+const SNAPSHOT_BULK_QUERY = `{
+  productVariants {
+    edges {
+      node {
+        id
+        sku
+        title
+        product { title vendor productType }
+        inventoryItem {
+          id
+          inventoryLevels {
+            edges {
+              node {
+                id
+                updatedAt
+                location { id name }
+                quantities(names: ["available", "on_hand"]) { name quantity }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+function quantityOf(level, name) {
+  const q = level.quantities?.find((q) => q.name === name)?.quantity;
+  return Number.isFinite(q) ? q : 0;
+}
+
+// The InventorySnapshot fields for one level of an inventory item.
+function snapshotRow(inventoryItemId, variant, level) {
+  return {
+    inventoryItemId,
+    locationId: level.location.id,
+    locationName: level.location.name || "Unknown",
+    variantId: variant?.id ?? null,
+    sku: variant?.sku || null,
+    productTitle: variant?.product?.title ?? "",
+    variantTitle: variant?.title ?? "",
+    vendor: variant?.product?.vendor || null,
+    productType: variant?.product?.productType || null,
+    available: quantityOf(level, "available"),
+    onHand: quantityOf(level, "on_hand"),
+    levelUpdatedAt: new Date(level.updatedAt),
+  };
+}
+
+/**
+ * Stores one level, unless the snapshot already holds a newer version of
+ * it (webhooks can arrive out of order). Returns false for those.
+ */
+async function recordInventoryLevel(shop, row) {
+  const where = {
+    shop_inventoryItemId_locationId: {
+      shop,
+      inventoryItemId: row.inventoryItemId,
+      locationId: row.locationId,
+    },
+  };
+  const existing = await prisma.inventorySnapshot.findUnique({ where });
+  if (existing && existing.levelUpdatedAt > row.levelUpdatedAt) return false;
+
+  await prisma.inventorySnapshot.upsert({
+    where,
+    create: { shop, ...row },
+    update: row,
+  });
+  return true;
+}
+
+/**
+ * Re-reads one inventory level and records it; the inventory_levels/update
+ * webhook calls this with gids. A level that no longer exists (the item
+ * was deleted or stopped being stocked there) is removed from the snapshot.
+ */
+export async function syncInventoryLevel(
+  admin,
+  shop,
+  { inventoryItemId, locationId }
+) {
+  const data = await adminQuery(
+    admin,
+    LEVEL_QUERY,
+    { item: inventoryItemId, location: locationId },
+    { task: "fetching an inventory level", tries: WEBHOOK_TRIES }
+  );
+
+  const item = data?.inventoryItem;
+  const level = item?.inventoryLevel;
+  if (!level) {
+    await prisma.inventorySnapshot.deleteMany({
+      where: { shop, inventoryItemId, ...(item ? { locationId } : {}) },
+    });
+    return false;
+  }
+  return recordInventoryLevel(
+    shop,
+    snapshotRow(inventoryItemId, item.variant, level)
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Full sync                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Rebuilds snapshot rows from the lines of the bulk export: a variant line,
+ * then its levels (whose `__parentId` is the variant, or its inventory item).
+ */
+async function* snapshotRows(lines) {
+  let variant = null;
+
+  for await (const { value } of lines) {
+    const { __parentId: parentId, ...object } = value;
+    if (!parentId) {
+      variant = object;
+      continue;
+    }
+
+    const itemId = variant?.inventoryItem?.id;
+    const belongs = parentId === variant?.id || parentId === itemId;
+    if (belongs && object.location) {
+      yield snapshotRow(itemId, variant, object);
+    }
+  }
+}
+
+/**
+ * Records every variant's inventory at every location through a bulk
+ * export, then drops levels the export no longer has. Run it once before
+ * relying on the webhook, and again whenever the snapshot may have drifted
+ * (product details only change here).
+ */
+export async function syncInventorySnapshot(
+  admin,
+  shop,
+  { log = console } = {}
+) {
+  const startedAt = new Date();
+  const started = await startBulkQuery(admin, SNAPSHOT_BULK_QUERY);
+  if (started.error) throw new Error(started.error);
+  const op = await waitForBulkOperation(admin, started.id, {
+    onPoll: (op) =>
+      log.info(
+        `[inventory] ${shop}: export ${op.status}, ${op.objectCount} objects`
+      ),
+  });
+
+  let recorded = 0;
+  if (op.url) {
+    for await (const row of snapshotRows(downloadJsonLines(op.url))) {
+      await recordInventoryLevel(shop, row);
+      if (++recorded % 1000 === 0) {
+        log.info(`[inventory] ${shop}: ${recorded} levels recorded`);
+      }
+    }
+  }
+
+  // Rows the webhook wrote during the sync are newer than `startedAt` too.
+  const { count: removed } = await prisma.inventorySnapshot.deleteMany({
+    where: { shop, recordedAt: { lt: startedAt } },
+  });
+  log.info(`[inventory] ${shop}: ${recorded} levels, ${removed} removed`);
+  return { recorded, removed };
+}
+
+/**
+ * `{ levels, locations, recordedAt }`: how many levels the snapshot holds,
+ * the location names in it and when it last changed.
+ */
+export async function snapshotSummary(shop) {
+  const groups = await prisma.inventorySnapshot.groupBy({
+    by: ["locationName"],
+    where: { shop },
+    _count: { _all: true },
+    _max: { recordedAt: true },
+  });
+  const latest = groups.map((g) => g._max.recordedAt).sort((a, b) => b - a)[0];
+  return {
+    levels: groups.reduce((sum, g) => sum + g._count._all, 0),
+    locations: groups.map((g) => g.locationName).sort(),
+    recordedAt: latest ?? null,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Thresholds                                 */
+/* -------------------------------------------------------------------------- */
+
+export async function listThresholds(shop) {
+  return prisma.lowStockThreshold.findMany({
+    where: { shop },
+    orderBy: [{ scope: "asc" }, { value: "asc" }],
+  });
+}
+
+/** Sets the threshold for a SKU, product type or vendor (see `parseThresholdForm`). */
+export async function saveThreshold(shop, { scope, value, threshold }) {
+  return prisma.lowStockThreshold.upsert({
+    where: { shop_scope_value: { shop, scope, value } },
+    create: { shop, scope, value, threshold },
+    update: { threshold },
+  });
+}
+
+export async function deleteThreshold(shop, id) {
+  await prisma.lowStockThreshold.deleteMany({ where: { id, shop } });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Alerts                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Every level whose available quantity is below the threshold that applies
+ * to it (see `thresholdFor`), at `locationName` or at every location,
+ * largest shortfall first. Items are listed whether or not they've sold;
+ * `sales` carries the ledger's recent sales per variant when it has them.
+ */
+export async function lowStockAlerts(shop, { locationName = "" } = {}) {
+  const thresholds = await listThresholds(shop);
+  if (!thresholds.length) return { alerts: [], sales: null };
+
+  const OR = THRESHOLD_SCOPES.map(({ value: scope, field }) => ({
+    [field]: {
+      in: thresholds.filter((t) => t.scope === scope).map((t) => t.value),
+    },
+  })).filter((condition) => Object.values(condition)[0].in.length);
+  const levels = await prisma.inventorySnapshot.findMany({
+    where: { shop, ...(locationName ? { locationName } : {}), OR },
+  });
+
+  const alerts = [];
+  for (const level of levels) {
+    const match = thresholdFor(level, thresholds);
+    if (!match || level.available >= match.threshold) continue;
+    alerts.push({
+      id: level.id,
+      variantId: level.variantId,
+      sku: level.sku,
+      productTitle: level.productTitle,
+      variantTitle: level.variantTitle,
+      vendor: level.vendor,
+      productType: level.productType,
+      locationName: level.locationName,
+      available: level.available,
+      onHand: level.onHand,
+      threshold: match.threshold,
+      thresholdScope: match.scope,
+      thresholdValue: match.value,
+      shortfall: match.threshold - level.available,
+    });
+  }
+  alerts.sort(
+    (a, b) =>
+      b.shortfall - a.shortfall ||
+      a.productTitle.localeCompare(b.productTitle) ||
+      a.variantTitle.localeCompare(b.variantTitle) ||
+      a.locationName.localeCompare(b.locationName)
+  );
+
+  const variantIds = [
+    ...new Set(alerts.map((a) => a.variantId).filter(Boolean)),
+  ];
+  return { alerts, sales: await recentVariantSales(shop, variantIds) };
+}
@@ -0,0 +1,53 @@
+// app/low-stock.js
+
+/* -------------------------------------------------------------------------- */
+/*                            Low-stock thresholds                            */
+/* -------------------------------------------------------------------------- */
+
+// Most specific first: a SKU's own threshold beats its product type's,
+// which beats its vendor's.
+export const THRESHOLD_SCOPES = [
+  { value: "sku", label: "SKU", field: "sku" },
+  { value: "productType", label: "Product type", field: "productType" },
+  { value: "vendor", label: "Vendor", field: "vendor" },
+];
+
+export function thresholdScopeLabel(scope) {
+  return THRESHOLD_SCOPES.find((s) => s.value === scope)?.label ?? scope;
+}
+
+/**
+ * The threshold that applies to an item (anything with `sku`, `productType`
+ * and `vendor`), as `{ scope, value, threshold }`, or null when none does.
+ */
+export function thresholdFor(item, thresholds) {
+  for (const { value: scope, field } of THRESHOLD_SCOPES) {
+    if (!item[field]) continue;
+    const match = thresholds.find(
+      (t) => t.scope === scope && t.value === item[field]
+    );
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Reads a threshold posted as `thresholdScope`, `thresholdValue` and
+ * `threshold`. Returns `{ error }` when a field is missing or invalid.
+ */
+export function parseThresholdForm(formData) {
+  const scope = String(formData.get("thresholdScope") ?? "");
+  const value = String(formData.get("thresholdValue") ?? "").trim();
+  const threshold = Number(String(formData.get("threshold") ?? "").trim());
+
+  if (!THRESHOLD_SCOPES.some((s) => s.value === scope)) {
+    return { error: "Choose what the threshold applies to" };
+  }
+  if (!value) {
+    return { error: "Enter the SKU, product type or vendor it applies to" };
+  }
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    return { error: "The threshold must be a whole number of 1 or more" };
+  }
+  return { scope, value, threshold };
+}
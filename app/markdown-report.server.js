@@ -0,0 +1,337 @@
+// app/markdown-report.server.js
+import prisma from "./db.server.js";
+import { fetchConnectionPage } from "./admin-graphql.server.js";
+import { fetchShopInfo } from "./restocking-report.server.js";
+import { lineItemQuantities } from "./order-sales.js";
+import { ledgerCovers, ledgerSalesByVariant } from "./sales-ledger.server.js";
+import { formatDate, formatTimestamp, zonedDateTimeToUtc } from "./timezone.js";
+
+/* =========================
+   Shopify helpers
+========================= */
+
+async function fetchOrdersChunk(admin, sinceISO, afterCursor) {
+  const query = `
+    query OrdersSince($q: String!, $cursor: String) {
+      orders(first: 50, after: $cursor, query: $q, sortKey: CREATED_AT) {
+        edges {
+          cursor
+          node {
+            createdAt
+            cancelledAt
+            test
+            lineItems(first: 100) {
+              edges {
+                node {
+                  quantity
+                  currentQuantity
+                  variant { id }
+                }
+              }
+            }
+          }
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+
+  const page = await fetchConnectionPage(
+    admin,
+    query,
+    { q: `created_at:>=${sinceISO}`, cursor: afterCursor ?? null },
+    (data) => data.orders,
+    { task: "fetching orders" }
+  );
+  return {
+    edges: page.edges,
+    hasNextPage: page.hasNextPage,
+    nextCursor: page.endCursor,
+  };
+}
+
+async function fetchInStockVariantsChunk(admin, afterCursor) {
+  const query = `
+    query InStockVariants($cursor: String) {
+      productVariants(first: 250, after: $cursor, query: "inventory_quantity:>0") {
+        edges {
+          cursor
+          node {
+            id
+            title
+            sku
+            inventoryQuantity
+            product { title vendor productType }
+          }
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+
+  const page = await fetchConnectionPage(
+    admin,
+    query,
+    { cursor: afterCursor ?? null },
+    (data) => data.productVariants,
+    { task: "fetching in-stock variants" }
+  );
+  return {
+    edges: page.edges,
+    hasNextPage: page.hasNextPage,
+    nextCursor: page.endCursor,
+  };
+}
+
+/* =========================
+   Prisma report runner
+========================= */
+
+export async function startReportRun(
+  admin,
+  shop,
+  { lookBackDays, periodQtySoldLTE }
+) {
+  const { ianaTimezone } = await fetchShopInfo(admin, shop);
+  const sinceISO = new Date(Date.now() - lookBackDays * 86400000).toISOString();
+
+  // The sales ledger counts whole days, so read from it the window starts
+  // at midnight and only in-stock variants are left to fetch.
+  const sinceDay = formatDate(sinceISO, ianaTimezone);
+  const day = { startDay: sinceDay, endDay: sinceDay };
+  if (await ledgerCovers(shop, ianaTimezone, [day])) {
+    const { salesByVariant, orderCount } = await ledgerSalesByVariant(
+      shop,
+      sinceDay,
+      ianaTimezone
+    );
+    return prisma.reportRunState.create({
+      data: {
+        shop,
+        lookBackDays,
+        periodQtySoldLTE,
+        timezone: ianaTimezone,
+        sinceISO: zonedDateTimeToUtc(
+          `${sinceDay}T00:00`,
+          ianaTimezone
+        ).toISOString(),
+        phase: "inventory",
+        cursor: null,
+        processedOrders: orderCount,
+        salesByVariant,
+        done: false,
+      },
+    });
+  }
+
+  return prisma.reportRunState.create({
+    data: {
+      shop,
+      lookBackDays,
+      periodQtySoldLTE,
+      timezone: ianaTimezone,
+      sinceISO,
+      cursor: null,
+      processedOrders: 0,
+      salesByVariant: {},
+      done: false,
+    },
+  });
+}
+
+// Runs saved before sale dates were kept hold a plain quantity per variant.
+function salesEntry(value) {
+  if (typeof value === "number") {
+    return { qtySold: value, firstSoldDate: null, lastSoldDate: null };
+  }
+  return value;
+}
+
+/**
+ * Adds a page of orders to `existing`, counting net units (after refunds)
+ * and leaving out cancelled and test orders, as the restocking report and
+ * the sales ledger do. Returns the map and how many orders were counted.
+ */
+function mergeSalesMap(existing, edges) {
+  const map = existing ?? {};
+  let counted = 0;
+  for (const e of edges) {
+    if (e.node.cancelledAt || e.node.test) continue;
+    counted++;
+
+    const soldAt = e.node.createdAt;
+    for (const li of e.node.lineItems.edges) {
+      const id = li.node.variant?.id;
+      if (!id) continue;
+      const { net } = lineItemQuantities(li.node);
+      if (net <= 0) continue;
+
+      const entry = salesEntry(map[id]) ?? {
+        qtySold: 0,
+        firstSoldDate: soldAt,
+        lastSoldDate: soldAt,
+      };
+      entry.qtySold += net;
+      if (!entry.firstSoldDate || soldAt < entry.firstSoldDate) {
+        entry.firstSoldDate = soldAt;
+      }
+      if (!entry.lastSoldDate || soldAt > entry.lastSoldDate) {
+        entry.lastSoldDate = soldAt;
+      }
+      map[id] = entry;
+    }
+  }
+  return { sales: map, counted };
+}
+
+function toInStockRows(edges) {
+  return edges.map(({ node: v }) => ({
+    variantId: v.id,
+    productTitle: v.product?.title || "N/A",
+    productVariantTitle: v.title || "N/A",
+    sku: v.sku || "",
+    vendor: v.product?.vendor || "N/A",
+    productType: v.product?.productType || "N/A",
+    inventoryQuantity: v.inventoryQuantity ?? 0,
+  }));
+}
+
+/**
+ * Two phases, each resumable from `cursor`: scan orders since `sinceISO`
+ * into `salesByVariant`, then page through every in-stock variant into
+ * `inStockVariants`.
+ */
+export async function continueReportRun(admin, shop, runId) {
+  const run = await prisma.reportRunState.findUnique({ where: { id: runId } });
+  if (!run || run.shop !== shop) throw new Error("Invalid run");
+  if (run.done) return { done: true, processed: run.processedOrders, run };
+
+  const startedAt = Date.now();
+  const MAX_MS = 3000;
+  const MAX_LOOPS = 3;
+
+  let phase = run.phase;
+  let cursor = run.cursor;
+  let processed = run.processedOrders;
+  let sales = run.salesByVariant;
+  let inStock = run.inStockVariants ?? [];
+  let loops = 0;
+
+  try {
+    while (Date.now() - startedAt < MAX_MS && loops < MAX_LOOPS) {
+      loops++;
+
+      if (phase === "orders") {
+        const chunk = await fetchOrdersChunk(admin, run.sinceISO, cursor);
+        const merged = mergeSalesMap(sales, chunk.edges);
+        sales = merged.sales;
+        processed += merged.counted;
+        cursor = chunk.nextCursor;
+        if (!chunk.hasNextPage) phase = "inventory";
+      } else {
+        const chunk = await fetchInStockVariantsChunk(admin, cursor);
+        inStock = inStock.concat(toInStockRows(chunk.edges));
+        cursor = chunk.nextCursor;
+
+        if (!chunk.hasNextPage) {
+          const done = await prisma.reportRunState.update({
+            where: { id: runId },
+            data: {
+              cursor: null,
+              inStockVariants: inStock,
+              done: true,
+              status: "done",
+            },
+          });
+          return { done: true, processed, run: done };
+        }
+      }
+
+      await prisma.reportRunState.update({
+        where: { id: runId },
+        data: {
+          phase,
+          cursor,
+          processedOrders: processed,
+          salesByVariant: sales,
+          inStockVariants: inStock,
+        },
+      });
+    }
+  } catch (err) {
+    await prisma.reportRunState.update({
+      where: { id: runId },
+      data: { status: "error", error: err.message, done: true },
+    });
+    return { done: true, processed, error: err.message, run: null };
+  }
+
+  return { done: false, processed, phase, run: null };
+}
+
+export async function getLatestDoneRun(shop) {
+  return prisma.reportRunState.findFirst({
+    where: { shop, status: "done" },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+export async function getReportRun(shop, runId) {
+  const run = await prisma.reportRunState.findUnique({ where: { id: runId } });
+  return run && run.shop === shop ? run : null;
+}
+
+/* =========================
+   Results
+========================= */
+
+/**
+ * Every in-stock variant with its sales over the look-back window, slowest
+ * sellers first, and the subset at or below `periodQtySoldLTE` that are
+ * markdown candidates.
+ */
+export function markdownResults(run) {
+  const sales = run.salesByVariant ?? {};
+  const timeZone = run.timezone || "UTC";
+
+  const rows = (run.inStockVariants ?? [])
+    .map((v) => {
+      const s = salesEntry(sales[v.variantId]);
+      return {
+        ...v,
+        qtySold: s?.qtySold ?? 0,
+        firstSoldDate: formatDate(s?.firstSoldDate, timeZone),
+        lastSoldDate: formatDate(s?.lastSoldDate, timeZone),
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.qtySold - b.qtySold ||
+        b.inventoryQuantity - a.inventoryQuantity ||
+        a.sku.localeCompare(b.sku)
+    );
+
+  return {
+    runId: run.id,
+    lookBackDays: run.lookBackDays,
+    periodQtySoldLTE: run.periodQtySoldLTE,
+    sinceDate: formatDate(run.sinceISO, timeZone),
+    timestamp: formatTimestamp(run.updatedAt, timeZone),
+    shopTimezone: timeZone,
+    processedOrders: run.processedOrders,
+    rows,
+    candidates: rows.filter((r) => r.qtySold <= run.periodQtySoldLTE),
+  };
+}
+
+export const MARKDOWN_COLUMNS = [
+  ["Product Title", "productTitle"],
+  ["Variant Title", "productVariantTitle"],
+  ["SKU", "sku"],
+  ["Vendor", "vendor"],
+  ["Product Type", "productType"],
+  ["Qty Sold", "qtySold"],
+  ["First Sold", "firstSoldDate"],
+  ["Last Sold", "lastSoldDate"],
+  ["Inventory", "inventoryQuantity"],
+];
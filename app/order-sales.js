@@ -0,0 +1,59 @@
+// app/order-sales.js
+
+/* -------------------------------------------------------------------------- */
+/*                            Units sold on an order                          */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Units sold on a line item. `quantity` is what was ordered; `currentQuantity`
+ * is what's left after refunds and order-edit removals, so the difference is
+ * counted as returned.
+ */
+export function lineItemQuantities(n) {
+  const gross = n.quantity ?? 0;
+  const net = Number.isFinite(n.currentQuantity) ? n.currentQuantity : gross;
+  return { gross, returned: Math.max(0, gross - net), net };
+}
+
+/**
+ * `{ [lineItemId]: [{ location, quantity }] }` for every fulfillment of the
+ * order that names a location.
+ */
+export function fulfilledByLineItem(order) {
+  const map = {};
+  for (const f of order.fulfillments ?? []) {
+    const location = f.location?.name;
+    if (!location) continue;
+    for (const { node } of f.fulfillmentLineItems?.edges ?? []) {
+      const id = node.lineItem?.id;
+      if (!id) continue;
+      (map[id] ??= []).push({ location, quantity: node.quantity ?? 0 });
+    }
+  }
+  return map;
+}
+
+/**
+ * Splits a line item's net units across locations: first to the locations
+ * that fulfilled it, then whatever is left to the order's POS retail
+ * location. Units with neither (unfulfilled online orders) come back as
+ * `unfulfilled`.
+ */
+export function attributeNetUnits(net, fulfillments, retailLocation) {
+  const byLocation = {};
+  let remaining = net;
+
+  for (const { location, quantity } of fulfillments ?? []) {
+    if (remaining <= 0) break;
+    const units = Math.min(remaining, quantity);
+    byLocation[location] = (byLocation[location] ?? 0) + units;
+    remaining -= units;
+  }
+
+  if (remaining > 0 && retailLocation) {
+    byLocation[retailLocation] = (byLocation[retailLocation] ?? 0) + remaining;
+    remaining = 0;
+  }
+
+  return { byLocation, unfulfilled: Math.max(0, remaining) };
+}
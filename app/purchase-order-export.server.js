@@ -0,0 +1,140 @@
+// app/purchase-order-export.server.js
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+import { buildCsv } from "./report-export.server.js";
+import {
+  orderedLines,
+  poNumber,
+  poStatus,
+  poTotals,
+  vendorLabel,
+} from "./purchase-orders.js";
+import { expectedArrival } from "./vendor-profiles.js";
+import { formatDate } from "./timezone.js";
+
+/* -------------------------------------------------------------------------- */
+/*                                Table layout                                */
+/* -------------------------------------------------------------------------- */
+
+const HEADER = ["SKU", "Product", "Variant", "Quantity", "Unit cost", "Total"];
+
+function lineCells(line) {
+  const cost = line.unitCost;
+  return [
+    line.sku,
+    line.productTitle,
+    line.variantTitle,
+    line.quantity,
+    cost === null ? "" : cost.toFixed(2),
+    cost === null ? "" : (cost * line.quantity).toFixed(2),
+  ];
+}
+
+/**
+ * What the vendor sees, shared by the CSV and the PDF: header lines, then
+ * one row per ordered line. Lines with no quantity are left out. The
+ * vendor's profile, when it has one, adds its email and the expected date.
+ */
+function purchaseOrderTable(po, { shopName, timeZone, vendorProfile }) {
+  const totals = poTotals(po);
+  const meta = [
+    ["Purchase order", poNumber(po)],
+    ["From", shopName],
+    ["Vendor", vendorLabel(po.vendor)],
+  ];
+  if (vendorProfile?.contactEmail) {
+    meta.push(["Email", vendorProfile.contactEmail]);
+  }
+  meta.push(
+    ["Date", formatDate(po.sentAt ?? po.createdAt, timeZone)],
+    ["Status", poStatus(po.status).label]
+  );
+  const expected = expectedArrival(po, vendorProfile);
+  if (expected) meta.push(["Expected", formatDate(expected, timeZone)]);
+  if (po.currency) meta.push(["Currency", po.currency]);
+  if (po.note) meta.push(["Note", po.note]);
+
+  const footer = [
+    "",
+    "",
+    "Total",
+    totals.units,
+    "",
+    totals.cost === null ? "" : totals.cost.toFixed(2),
+  ];
+  return { meta, body: orderedLines(po).map(lineCells), footer };
+}
+
+export function purchaseOrderFileName(po, extension) {
+  const vendor = vendorLabel(po.vendor).replace(/[^0-9A-Za-z-]/g, "");
+  return `${poNumber(po)}_${vendor}.${extension}`;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    CSV                                     */
+/* -------------------------------------------------------------------------- */
+
+export function buildPurchaseOrderCsv(po, shop) {
+  const { meta, body, footer } = purchaseOrderTable(po, shop);
+  return buildCsv([...meta, [], HEADER, ...body, footer]);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                     PDF                                    */
+/* -------------------------------------------------------------------------- */
+
+const MARGIN = 36;
+
+/**
+ * One-document purchase order for the vendor: the order number and shop on
+ * top, the lines with unit costs where Shopify has them, and totals.
+ */
+export function buildPurchaseOrderPdf(po, shop) {
+  const doc = new jsPDF({
+    orientation: "portrait",
+    unit: "pt",
+    format: "letter",
+  });
+  const width = doc.internal.pageSize.getWidth();
+  const { meta, body, footer } = purchaseOrderTable(po, shop);
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text(`Purchase Order ${poNumber(po)}`, MARGIN, MARGIN + 4);
+  doc.setFontSize(11);
+  doc.text(shop.shopName, width - MARGIN, MARGIN + 4, { align: "right" });
+
+  doc.setFontSize(9);
+  meta.slice(2).forEach(([label, value], i) => {
+    const y = MARGIN + 26 + i * 13;
+    doc.setFont("helvetica", "bold");
+    doc.text(`${label}:`, MARGIN, y);
+    doc.setFont("helvetica", "normal");
+    const [line] = doc.splitTextToSize(String(value), width - MARGIN * 2 - 60);
+    doc.text(line, MARGIN + 60, y);
+  });
+
+  const top = MARGIN + 36 + meta.length * 13;
+  autoTable(doc, {
+    startY: top,
+    margin: { left: MARGIN, right: MARGIN },
+    head: [HEADER],
+    body: body.length
+      ? body
+      : [["", "No lines with a quantity", "", "", "", ""]],
+    foot: [footer],
+    theme: "grid",
+    styles: { fontSize: 9, cellPadding: 4, overflow: "linebreak" },
+    headStyles: { fillColor: [242, 242, 242], textColor: 0 },
+    footStyles: { fillColor: [242, 242, 242], textColor: 0 },
+    columnStyles: {
+      3: { halign: "right", cellWidth: 56 },
+      4: { halign: "right", cellWidth: 64 },
+      5: { halign: "right", cellWidth: 64 },
+    },
+    showHead: "everyPage",
+    showFoot: "lastPage",
+  });
+
+  return doc.output("arraybuffer");
+}
@@ -0,0 +1,68 @@
+// app/purchase-orders.js
+
+/* -------------------------------------------------------------------------- */
+/*                               Purchase orders                              */
+/* -------------------------------------------------------------------------- */
+
+// draft → sent → received; a sent order can be reopened as a draft.
+export const PO_STATUSES = [
+  { value: "draft", label: "Draft", tone: undefined },
+  { value: "sent", label: "Sent", tone: "info" },
+  { value: "received", label: "Received", tone: "success" },
+];
+
+export function poStatus(status) {
+  return PO_STATUSES.find((s) => s.value === status) ?? PO_STATUSES[0];
+}
+
+export function poNumber(po) {
+  return `PO-${String(po.number).padStart(4, "0")}`;
+}
+
+export function vendorLabel(vendor) {
+  return vendor || "No vendor";
+}
+
+/** Lines worth sending to the vendor: everything with a quantity. */
+export function orderedLines(po) {
+  return (po.lines ?? []).filter((l) => l.quantity > 0);
+}
+
+/**
+ * `{ units, cost }` over the ordered lines. `cost` is null when any line
+ * has no unit cost in Shopify, rather than a total that looks complete.
+ */
+export function poTotals(po) {
+  const lines = orderedLines(po);
+  const known = lines.every((l) => l.unitCost !== null);
+  return {
+    units: lines.reduce((sum, l) => sum + l.quantity, 0),
+    cost: known
+      ? Math.round(
+          lines.reduce((sum, l) => sum + l.quantity * l.unitCost, 0) * 100
+        ) / 100
+      : null,
+  };
+}
+
+export function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return "";
+  return `${Number(amount).toFixed(2)}${currency ? ` ${currency}` : ""}`;
+}
+
+/**
+ * Reads the draft editor: one `quantity` per line, in line order, and a
+ * `note`. Returns `{ error }` for a quantity that isn't a whole number.
+ */
+export function parsePurchaseOrderForm(formData) {
+  const quantities = formData
+    .getAll("quantity")
+    .map((q) => Number(String(q).trim() || "0"));
+  if (quantities.some((q) => !Number.isInteger(q) || q < 0)) {
+    return { error: "Quantities must be whole numbers of 0 or more" };
+  }
+  return {
+    quantities,
+    note: String(formData.get("note") ?? "").trim() || null,
+  };
+}
@@ -0,0 +1,259 @@
+// app/purchase-orders.server.js
+import prisma from "./db.server.js";
+import { adminQuery } from "./admin-graphql.server.js";
+import { rowKey } from "./report-columns.js";
+import { runToReport } from "./restocking-report.server.js";
+import { recordReceipts } from "./stocky-import.server.js";
+import { orderedLines } from "./purchase-orders.js";
+import { roundToCasePack } from "./reorder.js";
+import { listVendorProfiles } from "./vendor-profiles.server.js";
+
+/* -------------------------------------------------------------------------- */
+/*                             Drafts from a report                           */
+/* -------------------------------------------------------------------------- */
+
+const UNIT_COST_QUERY = `
+  query PurchaseOrderUnitCosts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        inventoryItem { unitCost { amount currencyCode } }
+      }
+    }
+  }
+`;
+
+const UNIT_COST_BATCH = 250;
+
+/**
+ * `{ [variantId]: { amount, currencyCode } }` from each variant's inventory
+ * item. Costs only make the order easier to check, so a failed lookup
+ * leaves them blank instead of failing the order.
+ */
+async function fetchUnitCosts(admin, variantIds) {
+  const costs = {};
+  try {
+    for (let i = 0; i < variantIds.length; i += UNIT_COST_BATCH) {
+      const data = await adminQuery(
+        admin,
+        UNIT_COST_QUERY,
+        { ids: variantIds.slice(i, i + UNIT_COST_BATCH) },
+        { task: "fetching unit costs" }
+      );
+      for (const node of data?.nodes ?? []) {
+        const cost = node?.inventoryItem?.unitCost;
+        if (cost) costs[node.id] = cost;
+      }
+    }
+  } catch (err) {
+    console.error("Error fetching unit costs:", err);
+  }
+  return costs;
+}
+
+/**
+ * Units to order for a report row: the suggested order when the report
+ * has reorder suggestions, otherwise what sold (replacing it), rounded up
+ * to the vendor's case pack.
+ */
+function prefilledQuantity(row, casePack) {
+  const qty = row.reorder
+    ? row.reorder.suggestedQty
+    : Math.max(0, row.netItemsSold);
+  return roundToCasePack(qty, casePack);
+}
+
+/** The rows picked from a report, grouped by vendor in vendor order. */
+export function groupRowsByVendor(rows) {
+  const byVendor = new Map();
+  for (const row of rows) {
+    // Report rows show products without a vendor as "N/A".
+    const vendor = row.vendor && row.vendor !== "N/A" ? row.vendor : "";
+    if (!byVendor.has(vendor)) byVendor.set(vendor, []);
+    byVendor.get(vendor).push(row);
+  }
+  return [...byVendor]
+    .sort(([a], [b]) => (!a ? 1 : !b ? -1 : a.localeCompare(b)))
+    .map(([vendor, rows]) => ({
+      vendor,
+      rows: rows.sort(
+        (a, b) =>
+          a.productTitle.localeCompare(b.productTitle) ||
+          a.productVariantTitle.localeCompare(b.productVariantTitle)
+      ),
+    }));
+}
+
+const MAX_NUMBER_ATTEMPTS = 3;
+
+/**
+ * Creates one draft purchase order per vendor from the rows of a finished
+ * run whose keys (see `rowKey`) are in `rowKeys`, with quantities
+ * pre-filled and unit costs from Shopify. Returns `{ purchaseOrders }`, or
+ * `{ error }` when no selected row is in the run.
+ */
+export async function createPurchaseOrders(admin, shop, run, rowKeys) {
+  const keys = new Set(rowKeys);
+  const rows = runToReport(run).rows.filter((r) => keys.has(rowKey(r)));
+  if (!rows.length) return { error: "Select the rows to order first" };
+
+  const [costs, profiles] = await Promise.all([
+    fetchUnitCosts(admin, [
+      ...new Set(rows.map((r) => r.variantId).filter(Boolean)),
+    ]),
+    listVendorProfiles(shop),
+  ]);
+  const casePacks = new Map(profiles.map((p) => [p.vendor, p.casePack]));
+  const drafts = groupRowsByVendor(rows).map(({ vendor, rows }) => ({
+    vendor,
+    runId: run.id,
+    currency:
+      rows.map((r) => costs[r.variantId]?.currencyCode).find(Boolean) ?? null,
+    lines: rows.map((r) => {
+      const cost = costs[r.variantId];
+      return {
+        variantId: r.variantId ?? null,
+        sku: r.sku,
+        productTitle: r.productTitle,
+        variantTitle: r.productVariantTitle,
+        quantity: prefilledQuantity(r, casePacks.get(vendor)),
+        unitCost: cost ? Number(cost.amount) : null,
+      };
+    }),
+  }));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const purchaseOrders = await prisma.$transaction(async (tx) => {
+        const last = await tx.purchaseOrder.findFirst({
+          where: { shop },
+          orderBy: { number: "desc" },
+          select: { number: true },
+        });
+        let number = last?.number ?? 0;
+        const created = [];
+        for (const draft of drafts) {
+          created.push(
+            await tx.purchaseOrder.create({
+              data: { shop, number: ++number, ...draft },
+            })
+          );
+        }
+        return created;
+      });
+      return { purchaseOrders };
+    } catch (err) {
+      // P2002: another request took the same numbers first.
+      if (err.code !== "P2002" || attempt >= MAX_NUMBER_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Managing orders                               */
+/* -------------------------------------------------------------------------- */
+
+const LIST_FIELDS = {
+  id: true,
+  number: true,
+  vendor: true,
+  status: true,
+  lines: true,
+  currency: true,
+  createdAt: true,
+  sentAt: true,
+  receivedAt: true,
+};
+
+export async function listPurchaseOrders(shop, { status } = {}) {
+  return prisma.purchaseOrder.findMany({
+    where: { shop, ...(status ? { status } : {}) },
+    orderBy: { number: "desc" },
+    select: LIST_FIELDS,
+  });
+}
+
+export async function getPurchaseOrder(shop, id) {
+  const po = await prisma.purchaseOrder.findUnique({ where: { id } });
+  return po && po.shop === shop ? po : null;
+}
+
+/**
+ * Saves a draft's quantities (one per line, in order) and note. Lines set
+ * to 0 are dropped. Returns `{ error }` once the order has been sent.
+ */
+export async function savePurchaseOrder(shop, id, { quantities, note }) {
+  const po = await getPurchaseOrder(shop, id);
+  if (!po) return { error: "Purchase order not found" };
+  if (po.status !== "draft") {
+    return { error: "Only draft purchase orders can be edited" };
+  }
+  if (quantities.length !== po.lines.length) {
+    return { error: "The order changed since it was opened; reload it" };
+  }
+
+  const lines = po.lines
+    .map((line, i) => ({ ...line, quantity: quantities[i] }))
+    .filter((line) => line.quantity > 0);
+  const { count } = await prisma.purchaseOrder.updateMany({
+    where: { id, shop, status: "draft" },
+    data: { lines, note },
+  });
+  if (count === 0) return { error: "Only draft purchase orders can be edited" };
+  return { purchaseOrder: await getPurchaseOrder(shop, id) };
+}
+
+// The statuses each status can be set from.
+const TRANSITIONS = {
+  draft: ["sent"],
+  sent: ["draft"],
+  received: ["draft", "sent"],
+};
+
+/**
+ * Moves an order to `status`. Receiving it records today as the last
+ * received date of each ordered SKU, as a Stocky import would. Returns
+ * `{ error }` when the order isn't in a status it can move from.
+ */
+export async function setPurchaseOrderStatus(shop, id, status) {
+  const from = TRANSITIONS[status];
+  if (!from) return { error: "Unknown status" };
+
+  const po = await getPurchaseOrder(shop, id);
+  if (!po) return { error: "Purchase order not found" };
+  if (status === "sent" && orderedLines(po).length === 0) {
+    return { error: "Add a quantity to at least one line first" };
+  }
+
+  const now = new Date();
+  const { count } = await prisma.purchaseOrder.updateMany({
+    where: { id, shop, status: { in: from } },
+    data: {
+      status,
+      ...(status === "sent" ? { sentAt: now } : {}),
+      ...(status === "received" ? { receivedAt: now } : {}),
+      ...(status === "draft" ? { sentAt: null } : {}),
+    },
+  });
+  if (count === 0) {
+    return { error: `A ${po.status} purchase order can't be marked ${status}` };
+  }
+
+  if (status === "received") {
+    const bySku = new Map(
+      orderedLines(po)
+        .filter((l) => l.sku)
+        .map((l) => [l.sku, { first: now, last: now }])
+    );
+    await recordReceipts(shop, bySku);
+  }
+  return { purchaseOrder: await getPurchaseOrder(shop, id) };
+}
+
+/** Deletes a draft; sent and received orders are kept as a record. */
+export async function deletePurchaseOrder(shop, id) {
+  const { count } = await prisma.purchaseOrder.deleteMany({
+    where: { id, shop, status: "draft" },
+  });
+  return count ? {} : { error: "Only draft purchase orders can be deleted" };
+}
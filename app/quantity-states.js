@@ -0,0 +1,50 @@
+// app/quantity-states.js
+
+/* -------------------------------------------------------------------------- */
+/*                          Inventory quantity states                         */
+/* -------------------------------------------------------------------------- */
+
+// Admin API quantity names, in the order their columns appear.
+export const QUANTITY_STATES = [
+  { value: "available", label: "Available" },
+  { value: "on_hand", label: "On hand" },
+  { value: "committed", label: "Committed" },
+  { value: "incoming", label: "Incoming" },
+  { value: "reserved", label: "Reserved" },
+  { value: "damaged", label: "Damaged" },
+];
+
+export const DEFAULT_QUANTITY_STATES = ["available"];
+
+const KNOWN = new Set(QUANTITY_STATES.map((s) => s.value));
+
+/**
+ * The quantity columns picked on the report form, in display order. Falls
+ * back to just "available" when nothing valid was posted.
+ */
+export function parseQuantityStates(formData) {
+  const picked = new Set(
+    formData
+      .getAll("quantityStates")
+      .map(String)
+      .filter((s) => KNOWN.has(s))
+  );
+  const states = QUANTITY_STATES.map((s) => s.value).filter((s) =>
+    picked.has(s)
+  );
+  return states.length ? states : DEFAULT_QUANTITY_STATES;
+}
+
+export function quantityStateLabel(state) {
+  return QUANTITY_STATES.find((s) => s.value === state)?.label ?? state;
+}
+
+/**
+ * A row's quantity in one state at one location. `locations` holds
+ * `available`; the other states live in `quantities`, which runs from before
+ * they were fetched don't have.
+ */
+export function quantityAt(row, location, state) {
+  if (state === "available") return row.locations?.[location] ?? 0;
+  return row.quantities?.[location]?.[state] ?? 0;
+}
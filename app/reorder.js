@@ -0,0 +1,186 @@
+// app/reorder.js
+
+/* -------------------------------------------------------------------------- */
+/*                             Reorder suggestions                            */
+/* -------------------------------------------------------------------------- */
+
+export const DEFAULT_REORDER_SETTINGS = {
+  enabled: false,
+  targetDaysOfCover: 30,
+  leadTimeDays: 7,
+  safetyStock: 0,
+};
+
+function nonNegative(value, fallback) {
+  const n = Number.parseFloat(String(value ?? ""));
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/** Reads the reorder fields posted by the report form. */
+export function parseReorderSettings(formData) {
+  const d = DEFAULT_REORDER_SETTINGS;
+  return {
+    enabled: formData.get("reorderEnabled") === "on",
+    targetDaysOfCover: nonNegative(
+      formData.get("targetDaysOfCover"),
+      d.targetDaysOfCover
+    ),
+    leadTimeDays: nonNegative(formData.get("leadTimeDays"), d.leadTimeDays),
+    safetyStock: nonNegative(formData.get("safetyStock"), d.safetyStock),
+  };
+}
+
+/** `qty` rounded up to a whole number of cases; unchanged without a case pack. */
+export function roundToCasePack(qty, casePack) {
+  if (!casePack || casePack <= 1 || qty <= 0) return qty;
+  return Math.ceil(qty / casePack) * casePack;
+}
+
+/**
+ * Units to order so `available` covers demand through the lead time plus
+ * the target days of cover, with `safetyStock` left over, rounded up to
+ * `settings.casePack` when there is one. Never negative.
+ */
+export function orderQuantity(velocity, available, settings) {
+  const horizon = settings.leadTimeDays + settings.targetDaysOfCover;
+  const need = velocity * horizon + settings.safetyStock - available;
+  return need > 0 ? roundToCasePack(Math.ceil(need), settings.casePack) : 0;
+}
+
+/**
+ * The settings for one vendor's rows: its own lead time replaces the
+ * report's, its order cadence stretches the days of cover (stock has to
+ * last until the next order) and its case pack rounds the quantities.
+ * `settings.vendors` holds the vendor rules saved when the run started.
+ */
+export function vendorReorderSettings(settings, vendor) {
+  const rules = settings.vendors?.[vendor ?? ""];
+  if (!rules) return settings;
+  return {
+    ...settings,
+    leadTimeDays: rules.leadTimeDays ?? settings.leadTimeDays,
+    targetDaysOfCover: Math.max(
+      settings.targetDaysOfCover,
+      rules.orderCadenceDays ?? 0
+    ),
+    casePack: rules.casePack ?? null,
+  };
+}
+
+/**
+ * Stock that will cover demand at a location: what's available now plus
+ * what's already inbound, so open purchase orders aren't ordered twice,
+ * plus or minus the row's suggested transfers (see `withTransferSuggestions`).
+ */
+export function stockPosition(row, loc) {
+  const available = Math.max(0, row.locations?.[loc] ?? 0);
+  const incoming = Math.max(0, row.quantities?.[loc]?.incoming ?? 0);
+  return available + incoming + netTransfer(row, loc);
+}
+
+/** Units a row's suggested transfers bring to `loc`, less those they take. */
+function netTransfer(row, loc) {
+  let units = 0;
+  for (const t of row.transfers ?? []) {
+    if (t.to === loc) units += t.quantity;
+    if (t.from === loc) units -= t.quantity;
+  }
+  return units;
+}
+
+/**
+ * Per-location daily velocity. Uses the units each location sold when the
+ * row has them (`locationSold`); otherwise the SKU's velocity is split
+ * evenly across the locations that stock it.
+ */
+export function locationVelocities(row, velocity, rangeDays, locationNames) {
+  if (row.locationSold) {
+    return Object.fromEntries(
+      locationNames.map((loc) => [
+        loc,
+        (row.locationSold[loc] ?? 0) / rangeDays,
+      ])
+    );
+  }
+
+  const stocking = locationNames.filter((loc) => loc in (row.locations || {}));
+  const share = stocking.length ? velocity / stocking.length : 0;
+  return Object.fromEntries(
+    locationNames.map((loc) => [loc, stocking.includes(loc) ? share : 0])
+  );
+}
+
+/**
+ * Adds `reorder: { velocity, suggestedQty, byLocation }` to every row.
+ * Velocity is net units sold per day over the report range; the SKU-level
+ * quantity is computed from total stock, the per-location ones from each
+ * location's own stock and velocity. Incoming stock counts as stock, and
+ * each row follows its vendor's rules (see `vendorReorderSettings`).
+ */
+export function withReorderSuggestions(
+  rows,
+  locationNames,
+  rangeDays,
+  settings
+) {
+  const days = rangeDays > 0 ? rangeDays : 1;
+
+  return rows.map((row) => {
+    const rowSettings = vendorReorderSettings(settings, row.vendor);
+    const velocity = Math.max(0, row.netItemsSold) / days;
+    const totalAvailable = locationNames.reduce(
+      (sum, loc) => sum + stockPosition(row, loc),
+      0
+    );
+    const perLocation = locationVelocities(row, velocity, days, locationNames);
+
+    const byLocation = {};
+    for (const loc of locationNames) {
+      const stocks = loc in (row.locations || {});
+      // A location that neither stocks nor sells the SKU needs nothing.
+      byLocation[loc] =
+        stocks || perLocation[loc] > 0
+          ? orderQuantity(
+              perLocation[loc],
+              stockPosition(row, loc),
+              rowSettings
+            )
+          : 0;
+    }
+
+    return {
+      ...row,
+      reorder: {
+        velocity: Math.round(velocity * 100) / 100,
+        suggestedQty: orderQuantity(velocity, totalAvailable, rowSettings),
+        byLocation,
+      },
+    };
+  });
+}
+
+/**
+ * Vendors whose suggested order, summed over the report's rows, is under
+ * their minimum order quantity: `[{ vendor, units, minOrderQty }]`. The
+ * minimum order value needs unit costs, so it's checked on purchase orders.
+ */
+export function vendorMinimumShortfalls(rows, settings) {
+  const units = new Map();
+  for (const row of rows) {
+    const vendor = row.vendor ?? "";
+    if (!settings.vendors?.[vendor]?.minOrderQty) continue;
+    units.set(vendor, (units.get(vendor) ?? 0) + row.reorder.suggestedQty);
+  }
+  return [...units]
+    .map(([vendor, sum]) => ({
+      vendor,
+      units: sum,
+      minOrderQty: settings.vendors[vendor].minOrderQty,
+    }))
+    .filter((v) => v.units > 0 && v.units < v.minOrderQty)
+    .sort((a, b) => a.vendor.localeCompare(b.vendor));
+}
+
+export function vendorMinimumNote({ vendor, units, minOrderQty }) {
+  return `${vendor}: ${units} units suggested, minimum order ${minOrderQty}`;
+}
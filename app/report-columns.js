@@ -0,0 +1,124 @@
+// app/report-columns.js
+import {
+  QUANTITY_STATES,
+  quantityAt,
+  quantityStateLabel,
+} from "./quantity-states.js";
+
+/* -------------------------------------------------------------------------- */
+/*                               Report columns                               */
+/* -------------------------------------------------------------------------- */
+
+const text = (id, title, value) => ({ id, title, numeric: false, value });
+const number = (id, title, value) => ({ id, title, numeric: true, value });
+
+// Sorts a SKU that sold nothing in the comparison range above any percentage.
+const NEW_SALES = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Every column of a finished report, in display order: `{ id, title,
+ * numeric, value(row) }`, plus `sortValue(row)` where sorting differs.
+ * Ids are stable across runs so a sort or hidden column kept in the URL
+ * still applies after re-running the report. The on-screen table and every
+ * export are built from this list.
+ */
+export function reportColumns(report) {
+  const sold = report.salesByLocation;
+  const reorder = report.reorder;
+  const comparison = report.comparison;
+  const states = report.quantityStates || ["available"];
+
+  return [
+    text("title", "Product Title", (r) => r.productTitle),
+    text("variant", "Variant Title", (r) => r.productVariantTitle),
+    text("sku", "SKU", (r) => r.sku),
+    text("vendor", "Vendor", (r) => r.vendor),
+    text("type", "Product Type", (r) => r.productType),
+    number("gross", "Gross Sold", (r) => r.grossSold),
+    number("returned", "Returned", (r) => r.returnedQty),
+    number("net", "Net Items Sold", (r) => r.netItemsSold),
+    ...(comparison
+      ? [
+          number("compareNet", "Comparison Net Sold", (r) => r.compareNetSold),
+          number("change", "Change", (r) => r.soldChange),
+          {
+            ...number("changePct", "Change %", (r) => r.soldChangePct),
+            sortValue: (r) =>
+              r.soldChangePct ?? (r.soldChange > 0 ? NEW_SALES : 0),
+          },
+        ]
+      : []),
+    ...(sold
+      ? [number("unfulfilled", "Unfulfilled", (r) => r.unfulfilledSold ?? 0)]
+      : []),
+    ...(reorder
+      ? [
+          number("velocity", "Daily Velocity", (r) => r.reorder.velocity),
+          number("order", "Suggested Order", (r) => r.reorder.suggestedQty),
+        ]
+      : []),
+    text("firstReceived", "First Received", (r) => r.firstReceived),
+    text("lastReceived", "Last Received", (r) => r.lastReceived),
+    ...(report.locationNames || []).flatMap((loc) => [
+      ...(sold
+        ? [
+            number(
+              `${loc}:sold`,
+              `${loc} sold`,
+              (r) => r.locationSold[loc] ?? 0
+            ),
+          ]
+        : []),
+      ...states.map((state) =>
+        number(
+          `${loc}:${state}`,
+          `${loc} ${quantityStateLabel(state).toLowerCase()}`,
+          (r) => quantityAt(r, loc, state)
+        )
+      ),
+      ...(reorder
+        ? [
+            number(
+              `${loc}:order`,
+              `${loc} (order)`,
+              (r) => r.reorder.byLocation[loc] ?? 0
+            ),
+          ]
+        : []),
+    ]),
+  ];
+}
+
+/** A row's key in `rowsByKey`, which is also its id in the results table. */
+export function rowKey(r) {
+  return `${r.productTitle}||${r.productVariantTitle}||${r.sku}`;
+}
+
+/** Ascending comparator for one column; blank text sorts after values. */
+export function compareByColumn(column) {
+  const value = column.sortValue ?? column.value;
+  return (a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (column.numeric) return (x ?? 0) - (y ?? 0);
+    if (!x) return y ? 1 : 0;
+    if (!y) return -1;
+    return String(x).localeCompare(String(y));
+  };
+}
+
+/**
+ * Heading for a column id without a report at hand (a preset's hidden
+ * columns), by laying out every optional column for the id's location.
+ */
+export function columnTitle(id) {
+  const [location] = id.includes(":") ? id.split(/:(?=[^:]*$)/) : [];
+  const columns = reportColumns({
+    salesByLocation: true,
+    reorder: {},
+    comparison: {},
+    quantityStates: QUANTITY_STATES.map((s) => s.value),
+    locationNames: location ? [location] : [],
+  });
+  return columns.find((c) => c.id === id)?.title ?? id;
+}
@@ -0,0 +1,86 @@
+// app/report-compare.js
+import { DateTime } from "luxon";
+
+/* -------------------------------------------------------------------------- */
+/*                         Period-over-period comparison                      */
+/* -------------------------------------------------------------------------- */
+
+export const COMPARE_MODES = [
+  { value: "", label: "No comparison" },
+  { value: "previous_period", label: "Previous period" },
+  { value: "previous_year", label: "Same period last year" },
+  { value: "custom", label: "Custom range" },
+];
+
+const LOCAL_MINUTE = "yyyy-LL-dd'T'HH:mm";
+
+/**
+ * Reads the comparison fields posted by the report form: `compareMode` and,
+ * for a custom range, `compareStartDate`/`compareEndDate`. Null when the
+ * report isn't compared.
+ */
+export function parseCompareSettings(formData) {
+  const mode = String(formData.get("compareMode") ?? "");
+  if (!COMPARE_MODES.some((m) => m.value === mode && m.value)) return null;
+  if (mode !== "custom") return { mode };
+  return {
+    mode,
+    startDate: String(formData.get("compareStartDate") ?? ""),
+    endDate: String(formData.get("compareEndDate") ?? ""),
+  };
+}
+
+// Wall-clock arithmetic on datetime-local strings; the store timezone only
+// comes in when the range is converted to UTC.
+const wallClock = (s) => DateTime.fromISO(String(s ?? ""), { zone: "utc" });
+
+/**
+ * `datetime-local` start and end of the comparison range for a primary
+ * range. The previous period is the same length and ends the minute before
+ * the primary range starts; the same period last year shifts both ends back
+ * a year. Null when a date is missing or invalid.
+ */
+export function comparisonDates(startDate, endDate, compare) {
+  if (!compare) return null;
+  if (compare.mode === "custom") {
+    const start = wallClock(compare.startDate);
+    const end = wallClock(compare.endDate);
+    if (!start.isValid || !end.isValid) return null;
+    return { startDate: compare.startDate, endDate: compare.endDate };
+  }
+
+  const start = wallClock(startDate);
+  const end = wallClock(endDate);
+  if (!start.isValid || !end.isValid) return null;
+
+  const [from, to] =
+    compare.mode === "previous_year"
+      ? [start.minus({ years: 1 }), end.minus({ years: 1 })]
+      : [
+          start.minus(end.diff(start)).minus({ minutes: 1 }),
+          start.minus({ minutes: 1 }),
+        ];
+  return {
+    startDate: from.toFormat(LOCAL_MINUTE),
+    endDate: to.toFormat(LOCAL_MINUTE),
+  };
+}
+
+export function compareModeLabel(mode) {
+  return COMPARE_MODES.find((m) => m.value === mode)?.label ?? mode;
+}
+
+/**
+ * Change from the comparison range to the primary one: `soldChange` in
+ * units and `soldChangePct` in percent (one decimal), which is null when
+ * nothing sold in the comparison range.
+ */
+export function salesChange(netItemsSold, compareNetSold) {
+  const change = netItemsSold - compareNetSold;
+  return {
+    soldChange: change,
+    soldChangePct: compareNetSold
+      ? Math.round((change / compareNetSold) * 1000) / 10
+      : null,
+  };
+}
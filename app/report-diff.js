@@ -0,0 +1,119 @@
+// app/report-diff.js
+import { quantityAt } from "./quantity-states.js";
+
+/* -------------------------------------------------------------------------- */
+/*                              Run-to-run diff                               */
+/* -------------------------------------------------------------------------- */
+
+// Rows without a SKU are matched on their variant instead.
+function diffKey(row) {
+  return (
+    row.sku ||
+    row.variantId ||
+    `${row.productTitle}||${row.productVariantTitle}`
+  );
+}
+
+/**
+ * One entry per SKU: rows that share it (a product retitled mid-range) are
+ * added together. Stock is the `available` quantity at each location.
+ */
+function entriesByKey(report) {
+  const map = new Map();
+  for (const row of report.rows) {
+    const key = diffKey(row);
+    if (!map.has(key)) {
+      map.set(key, {
+        key,
+        sku: row.sku,
+        productTitle: row.productTitle,
+        productVariantTitle: row.productVariantTitle,
+        netItemsSold: 0,
+        sold: {},
+        stock: {},
+      });
+    }
+    const entry = map.get(key);
+    entry.netItemsSold += row.netItemsSold;
+    for (const loc of report.locationNames) {
+      if (row.locationSold) {
+        entry.sold[loc] = (entry.sold[loc] ?? 0) + (row.locationSold[loc] ?? 0);
+      }
+      // Stock is per variant, so rows of the same SKU repeat it.
+      entry.stock[loc] = Math.max(
+        entry.stock[loc] ?? 0,
+        quantityAt(row, loc, "available")
+      );
+    }
+  }
+  return map;
+}
+
+const byKey = (a, b) => a.key.localeCompare(b.key);
+
+/**
+ * Compares two finished reports (`runToReport` output), `before` being the
+ * older one. SKUs only in `after` are `added`, SKUs only in `before` are
+ * `removed`, and SKUs in both whose net sold, sold at a location or stock
+ * at a location moved are `changed`, each with before/after values.
+ * Locations are the union of both runs' columns; sold by location is only
+ * compared when both runs have it.
+ */
+export function diffReports(before, after) {
+  const locationNames = [
+    ...new Set([...before.locationNames, ...after.locationNames]),
+  ];
+  const compareSold = before.salesByLocation && after.salesByLocation;
+  const a = entriesByKey(before);
+  const b = entriesByKey(after);
+
+  const added = [...b.values()].filter((e) => !a.has(e.key)).sort(byKey);
+  const removed = [...a.values()].filter((e) => !b.has(e.key)).sort(byKey);
+
+  const changed = [];
+  let unchanged = 0;
+  for (const next of b.values()) {
+    const prev = a.get(next.key);
+    if (!prev) continue;
+
+    const locations = {};
+    for (const loc of locationNames) {
+      const change = {
+        soldBefore: compareSold ? (prev.sold[loc] ?? 0) : null,
+        soldAfter: compareSold ? (next.sold[loc] ?? 0) : null,
+        stockBefore: prev.stock[loc] ?? 0,
+        stockAfter: next.stock[loc] ?? 0,
+      };
+      if (
+        change.soldBefore !== change.soldAfter ||
+        change.stockBefore !== change.stockAfter
+      ) {
+        locations[loc] = change;
+      }
+    }
+
+    if (
+      prev.netItemsSold === next.netItemsSold &&
+      Object.keys(locations).length === 0
+    ) {
+      unchanged++;
+      continue;
+    }
+    changed.push({
+      ...next,
+      netBefore: prev.netItemsSold,
+      netAfter: next.netItemsSold,
+      locations,
+    });
+  }
+  changed.sort(byKey);
+
+  return { locationNames, compareSold, added, removed, changed, unchanged };
+}
+
+/** "3 → 5 (+2)", or just "3" when nothing moved. */
+export function formatChange(from, to) {
+  if (from === to) return String(to);
+  const delta = to - from;
+  return `${from} → ${to} (${delta > 0 ? "+" : ""}${delta})`;
+}
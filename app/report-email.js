@@ -0,0 +1,38 @@
+// app/report-email.js
+
+/* -------------------------------------------------------------------------- */
+/*                                 Email form                                 */
+/* -------------------------------------------------------------------------- */
+
+export const EMAIL_FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "pdf", label: "Pick list (PDF)" },
+];
+
+const EMAIL_ADDRESS = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+/**
+ * Reads `emailRecipients` (addresses separated by commas, semicolons or
+ * new lines) and repeated `emailFormats`. `error` names the first address
+ * that doesn't look like one.
+ */
+export function parseEmailForm(formData) {
+  const recipients = [
+    ...new Set(
+      String(formData.get("emailRecipients") ?? "")
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+    ),
+  ];
+  const invalid = recipients.find((r) => !EMAIL_ADDRESS.test(r));
+  const formats = formData
+    .getAll("emailFormats")
+    .map(String)
+    .filter((f) => EMAIL_FORMATS.some((e) => e.value === f));
+
+  return {
+    recipients,
+    formats,
+    error: invalid ? `"${invalid}" isn't an email address` : null,
+  };
+}
@@ -0,0 +1,317 @@
+// app/report-email.server.js
+import nodemailer from "nodemailer";
+import prisma from "./db.server.js";
+import { runToReport } from "./restocking-report.server.js";
+import { buildReportCsv, exportFileName } from "./report-export.server.js";
+import { buildReportPdf } from "./report-pdf.server.js";
+import { quantityAt } from "./quantity-states.js";
+
+/* -------------------------------------------------------------------------- */
+/*                                SMTP settings                               */
+/* -------------------------------------------------------------------------- */
+
+// SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for implicit TLS, usually
+// port 465), SMTP_USER / SMTP_PASS when the server wants auth, SMTP_FROM.
+function smtpSettings(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  return {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === "true",
+    auth: env.SMTP_USER
+      ? { user: env.SMTP_USER, pass: env.SMTP_PASS ?? "" }
+      : undefined,
+    from: env.SMTP_FROM || env.SMTP_USER || `reports@${env.SMTP_HOST}`,
+  };
+}
+
+/** What the settings screens show: whether email is set up and the sender. */
+export function emailSettings() {
+  const smtp = smtpSettings();
+  return { configured: Boolean(smtp), from: smtp?.from ?? null };
+}
+
+let defaultMailer;
+
+// `{ transport, from }` for the configured server, created once per process.
+function smtpMailer() {
+  if (!defaultMailer) {
+    const smtp = smtpSettings();
+    if (!smtp) throw new Error("Email isn't set up: SMTP_HOST is missing");
+    const { from, ...options } = smtp;
+    defaultMailer = { transport: nodemailer.createTransport(options), from };
+  }
+  return defaultMailer;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Message body                                */
+/* -------------------------------------------------------------------------- */
+
+const TOP_NEEDS = 10;
+
+function availableEverywhere(report, row) {
+  return (report.locationNames || []).reduce(
+    (sum, loc) => sum + quantityAt(row, loc, "available"),
+    0
+  );
+}
+
+/**
+ * The rows most in need of restocking: the largest suggested orders when
+ * the report has reorder suggestions, otherwise the largest gap between
+ * units sold in the range and units available now.
+ */
+export function topRestockNeeds(report, limit = TOP_NEEDS) {
+  const needs = (report.rows || []).map((row) => {
+    const available = availableEverywhere(report, row);
+    return {
+      row,
+      available,
+      need: report.reorder
+        ? row.reorder.suggestedQty
+        : row.netItemsSold - available,
+    };
+  });
+  return needs
+    .filter((n) => n.need > 0)
+    .sort((a, b) => b.need - a.need)
+    .slice(0, limit);
+}
+
+function htmlEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function emailSummary(report) {
+  const lines = [
+    `Date range: ${report.startDate} → ${report.endDate}`,
+    `Generated at: ${report.timestamp}`,
+    ...(report.excludedOrders ? [report.excludedOrders] : []),
+    ...(report.filters || []).map(([label, values]) => `${label}: ${values}`),
+    ...(report.truncatedReasons || []).map((r) => `INCOMPLETE: ${r}`),
+  ];
+
+  const headers = ["Product", "Variant", "SKU", "Net sold", "Available"];
+  if (report.reorder) headers.push("Suggested order");
+  const needs = topRestockNeeds(report).map(({ row, available }) => [
+    row.productTitle,
+    row.productVariantTitle,
+    row.sku,
+    row.netItemsSold,
+    available,
+    ...(report.reorder ? [row.reorder.suggestedQty] : []),
+  ]);
+  const heading = report.reorder
+    ? "Largest suggested orders"
+    : "Sold more than is in stock";
+
+  const text = [
+    ...lines,
+    "",
+    `${heading}:`,
+    ...(needs.length
+      ? needs.map(
+          (cells) =>
+            `- ${cells[0]} / ${cells[1]} (${cells[2]}): ` +
+            headers
+              .slice(3)
+              .map((h, i) => `${h} ${cells[i + 3]}`)
+              .join(", ")
+        )
+      : ["Nothing needs restocking."]),
+    "",
+    "The full report is attached.",
+  ].join("\n");
+
+  const cell = (tag, value, numeric) =>
+    `<${tag} style="padding:4px 8px;border-bottom:1px solid #ddd;text-align:${
+      numeric ? "right" : "left"
+    }">${htmlEscape(value)}</${tag}>`;
+  const html = [
+    `<h2>Restocking Report for ${htmlEscape(report.shopName || "your store")}</h2>`,
+    ...lines.map((l) => `<p style="margin:2px 0">${htmlEscape(l)}</p>`),
+    `<h3>${htmlEscape(heading)}</h3>`,
+    needs.length
+      ? `<table style="border-collapse:collapse"><tr>${headers
+          .map((h, i) => cell("th", h, i >= 3))
+          .join("")}</tr>${needs
+          .map(
+            (cells) =>
+              `<tr>${cells.map((c, i) => cell("td", c, i >= 3)).join("")}</tr>`
+          )
+          .join("")}</table>`
+      : "<p>Nothing needs restocking.</p>",
+    "<p>The full report is attached.</p>",
+  ].join("\n");
+
+  return { text, html };
+}
+
+function emailAttachments(report, formats) {
+  return formats.map((format) =>
+    format === "pdf"
+      ? {
+          filename: exportFileName(report, "pdf"),
+          content: Buffer.from(buildReportPdf(report)),
+          contentType: "application/pdf",
+        }
+      : {
+          filename: exportFileName(report, "csv"),
+          content: buildReportCsv(report),
+          contentType: "text/csv; charset=utf-8",
+        }
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Deliveries                                 */
+/* -------------------------------------------------------------------------- */
+
+// Minutes to wait before each retry; a delivery fails after the last one.
+const RETRY_DELAYS = [1, 5, 15, 60];
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+
+// A delivery left "sending" this long belonged to a process that died.
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/** Records an email of a finished run; `sendDelivery` or the worker sends it. */
+export async function queueReportEmail(
+  shop,
+  run,
+  { recipients, formats, scheduleId = null, db = prisma }
+) {
+  const name = run.presetName ? `${run.presetName}: ` : "";
+  return db.reportDelivery.create({
+    data: {
+      shop,
+      runId: run.id,
+      scheduleId,
+      recipients,
+      formats,
+      subject: `${name}Restocking report ${run.startDate} → ${run.endDate}`,
+    },
+  });
+}
+
+/**
+ * Makes one attempt at a pending delivery and records the outcome. A failure
+ * is retried after a growing delay until it runs out of attempts. `mailer`
+ * is `{ transport, from }`, the SMTP server from the environment by default,
+ * and `db` the app's database.
+ */
+export async function sendDelivery(deliveryId, { mailer, db = prisma } = {}) {
+  const { count } = await db.reportDelivery.updateMany({
+    where: { id: deliveryId, status: "pending" },
+    data: { status: "sending" },
+  });
+  if (count === 0) {
+    return db.reportDelivery.findUnique({ where: { id: deliveryId } });
+  }
+
+  const delivery = await db.reportDelivery.findUnique({
+    where: { id: deliveryId },
+  });
+  const attempts = delivery.attempts + 1;
+
+  try {
+    const run = await db.restockingReportRun.findUnique({
+      where: { id: delivery.runId },
+    });
+    if (!run || run.status !== "done") {
+      throw new Error("The report run is missing or didn't finish");
+    }
+
+    const { transport, from } = mailer ?? smtpMailer();
+    const report = runToReport(run);
+    const info = await transport.sendMail({
+      from,
+      to: delivery.recipients,
+      subject: delivery.subject,
+      ...emailSummary(report),
+      attachments: emailAttachments(report, delivery.formats),
+    });
+
+    return db.reportDelivery.update({
+      where: { id: deliveryId },
+      data: {
+        status: "sent",
+        attempts,
+        sentAt: new Date(),
+        messageId: info.messageId ?? null,
+        nextAttemptAt: null,
+        lastError: null,
+      },
+    });
+  } catch (err) {
+    const retryIn = RETRY_DELAYS[attempts - 1];
+    return db.reportDelivery.update({
+      where: { id: deliveryId },
+      data: {
+        status: attempts < MAX_ATTEMPTS ? "pending" : "failed",
+        attempts,
+        lastError: err.message,
+        nextAttemptAt:
+          attempts < MAX_ATTEMPTS
+            ? new Date(Date.now() + retryIn * 60 * 1000)
+            : null,
+      },
+    });
+  }
+}
+
+/** Sends every delivery whose next attempt is due; the worker calls this. */
+export async function sendPendingDeliveries({
+  mailer,
+  now = new Date(),
+  log = console,
+  db = prisma,
+} = {}) {
+  await db.reportDelivery.updateMany({
+    where: {
+      status: "sending",
+      updatedAt: { lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) },
+    },
+    data: { status: "pending", nextAttemptAt: now },
+  });
+
+  const due = await db.reportDelivery.findMany({
+    where: { status: "pending", nextAttemptAt: { lte: now } },
+    orderBy: { nextAttemptAt: "asc" },
+    select: { id: true },
+  });
+
+  const results = [];
+  for (const { id } of due) {
+    const delivery = await sendDelivery(id, { mailer, db });
+    log.info(
+      `[email] ${delivery.subject}: ${delivery.status}` +
+        (delivery.lastError ? ` (${delivery.lastError})` : "")
+    );
+    results.push(delivery);
+  }
+  return results;
+}
+
+/** Gives a failed (or waiting) delivery a fresh attempt now. */
+export async function retryDelivery(shop, id, options = {}) {
+  const { db = prisma } = options;
+  const { count } = await db.reportDelivery.updateMany({
+    where: { id, shop, status: { in: ["pending", "failed"] } },
+    data: { status: "pending", nextAttemptAt: new Date() },
+  });
+  if (count === 0) return null;
+  return sendDelivery(id, options);
+}
+
+export async function listDeliveries(shop, take = 50) {
+  return prisma.reportDelivery.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
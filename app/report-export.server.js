@@ -0,0 +1,190 @@
+// app/report-export.server.js
+import { strToU8, zipSync } from "fflate";
+import { reportColumns } from "./report-columns.js";
+import { compareModeLabel } from "./report-compare.js";
+import { vendorMinimumNote } from "./reorder.js";
+
+/* -------------------------------------------------------------------------- */
+/*                                Table layout                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Flattens a report into the header lines, column headings and cell values
+ * every export format shares. Columns come from `reportColumns`, so they
+ * match the on-screen table.
+ */
+export function reportToTable(report) {
+  const reorder = report.reorder;
+
+  const meta = [
+    ["Restocking Report"],
+    ["Date range", `${report.startDate} → ${report.endDate}`],
+    ["Generated at", report.timestamp],
+    ["Store timezone", report.shopTimezone || ""],
+  ];
+  if (report.comparison) {
+    const { mode, startDate, endDate } = report.comparison;
+    meta.push([
+      "Compared with",
+      `${compareModeLabel(mode)}: ${startDate} → ${endDate}`,
+    ]);
+  }
+  if (report.excludedOrders) meta.push(["Orders", report.excludedOrders]);
+  for (const [label, values] of report.filters || []) {
+    meta.push([`Filter: ${label}`, values]);
+  }
+  if (reorder) {
+    meta.push([
+      "Reorder settings",
+      `${reorder.targetDaysOfCover} days of cover, ${reorder.leadTimeDays} days lead time, safety stock ${reorder.safetyStock}`,
+    ]);
+  }
+  for (const shortfall of report.vendorMinimums || []) {
+    meta.push(["Under vendor minimum", vendorMinimumNote(shortfall)]);
+  }
+  for (const reason of report.truncatedReasons || []) {
+    meta.push(["INCOMPLETE", reason]);
+  }
+
+  const columns = reportColumns(report);
+  const header = columns.map((c) => c.title);
+  const body = (report.rows || []).map((r) => columns.map((c) => c.value(r)));
+
+  return { meta, header, body };
+}
+
+export function exportFileName(report, extension) {
+  const clean = (s) => String(s || "").replace(/[^0-9A-Za-z-]/g, "");
+  return `restocking-report_${clean(report.startDate)}_${clean(
+    report.endDate
+  )}.${extension}`;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    CSV                                     */
+/* -------------------------------------------------------------------------- */
+
+// Spreadsheets run text starting with one of these as a formula; a leading
+// "'" keeps it text, as the XLSX writer's inline strings always are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let s = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(lines) {
+  return lines.map((line) => line.map(csvCell).join(",")).join("\r\n");
+}
+
+// Leading BOM so Excel opens the file as UTF-8 (the date range uses "→").
+export function buildCsv(lines) {
+  return "\uFEFF" + toCsv(lines) + "\r\n";
+}
+
+export function buildReportCsv(report) {
+  const { meta, header, body } = reportToTable(report);
+  return buildCsv([...meta, [], header, ...body]);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    XLSX                                    */
+/* -------------------------------------------------------------------------- */
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function columnName(index) {
+  let name = "";
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+function sheetRow(values, rowNumber, styleId = 0) {
+  const style = styleId ? ` s="${styleId}"` : "";
+  const cells = values.map((value, i) => {
+    const ref = `${columnName(i)}${rowNumber}`;
+    if (typeof value === "number" && Number.isFinite(value)) {
+      return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    if (value === null || value === undefined || value === "") {
+      return `<c r="${ref}"${style}/>`;
+    }
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(
+      value
+    )}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join("")}</row>`;
+}
+
+/**
+ * Minimal single-sheet Office Open XML workbook. Strings are written inline
+ * so there is no shared-strings table to keep in sync; style 1 is bold.
+ */
+export function buildXlsx(sheetName, lines, boldRows = []) {
+  const bold = new Set(boldRows);
+  const rows = lines
+    .map((values, i) => sheetRow(values, i + 1, bold.has(i) ? 1 : 0))
+    .join("");
+
+  const files = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${xmlEscape(
+      sheetName.slice(0, 31)
+    )}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    "xl/styles.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`,
+    "xl/worksheets/sheet1.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows}</sheetData></worksheet>`,
+  };
+
+  const entries = {};
+  for (const [path, xml] of Object.entries(files)) {
+    entries[path] = strToU8(xml);
+  }
+  return zipSync(entries);
+}
+
+export function buildReportXlsx(report) {
+  const { meta, header, body } = reportToTable(report);
+  const lines = [...meta, [], header, ...body];
+  return buildXlsx("Restocking Report", lines, [0, meta.length + 1]);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Response                                  */
+/* -------------------------------------------------------------------------- */
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+export function downloadResponse(body, contentType, fileName) {
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
@@ -0,0 +1,76 @@
+// app/report-filters.js
+
+/* -------------------------------------------------------------------------- */
+/*                               Report filters                               */
+/* -------------------------------------------------------------------------- */
+
+export const SALES_CHANNELS = [
+  { value: "pos", label: "Point of Sale" },
+  { value: "online_store", label: "Online Store" },
+  { value: "other", label: "Other channels" },
+];
+
+// Form field name and the label shown in the results header and exports.
+export const FILTER_FIELDS = [
+  { key: "vendors", label: "Vendor" },
+  { key: "productTypes", label: "Product type" },
+  { key: "collections", label: "Collection" },
+  { key: "tags", label: "Product tag" },
+  { key: "channels", label: "Sales channel" },
+  { key: "locations", label: "Location" },
+];
+
+export const EMPTY_FILTERS = Object.fromEntries(
+  FILTER_FIELDS.map((f) => [f.key, []])
+);
+
+/**
+ * The filters posted by the report form: one repeated field per filter,
+ * blanks and duplicates dropped. Empty lists mean "no filter".
+ */
+export function parseReportFilters(formData) {
+  return Object.fromEntries(
+    FILTER_FIELDS.map(({ key }) => [
+      key,
+      [
+        ...new Set(
+          formData
+            .getAll(key)
+            .map((v) => String(v).trim())
+            .filter(Boolean)
+        ),
+      ],
+    ])
+  );
+}
+
+export function hasFilters(filters) {
+  return FILTER_FIELDS.some(({ key }) => filters?.[key]?.length > 0);
+}
+
+/** Maps a Shopify order `sourceName` onto one of `SALES_CHANNELS`. */
+export function salesChannelOf(sourceName) {
+  if (sourceName === "pos") return "pos";
+  if (sourceName === "web") return "online_store";
+  return "other";
+}
+
+/**
+ * `[label, "a, b"]` pairs for the filters in effect, for the results header
+ * and export metadata. Collections are stored as `{ id, title }`.
+ */
+export function describeFilters(filters) {
+  const channelLabel = (v) =>
+    SALES_CHANNELS.find((c) => c.value === v)?.label ?? v;
+
+  return FILTER_FIELDS.filter(({ key }) => filters?.[key]?.length).map(
+    ({ key, label }) => {
+      const values = filters[key].map((v) => {
+        if (key === "collections") return v.title ?? v.id;
+        if (key === "channels") return channelLabel(v);
+        return v;
+      });
+      return [label, values.join(", ")];
+    }
+  );
+}
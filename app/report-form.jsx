@@ -0,0 +1,233 @@
+// app/report-form.jsx
+import {
+  BlockStack,
+  InlineStack,
+  Button,
+  TextField,
+  Select,
+  Checkbox,
+  ChoiceList,
+  Collapsible,
+  Scrollable,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { DEFAULT_REORDER_SETTINGS } from "./reorder";
+import { DEFAULT_QUANTITY_STATES, QUANTITY_STATES } from "./quantity-states";
+import {
+  EMPTY_FILTERS,
+  FILTER_FIELDS,
+  SALES_CHANNELS,
+  hasFilters,
+} from "./report-filters";
+import { COMPARE_MODES } from "./report-compare";
+
+/* -------------------------------------------------------------------------- */
+/*                     Report options shared by the forms                     */
+/* -------------------------------------------------------------------------- */
+
+// Number fields are edited as strings; parseReorderSettings reads them back.
+function toFormState(options = {}) {
+  const reorder = { ...DEFAULT_REORDER_SETTINGS, ...options.reorder };
+  return {
+    includeCancelled: Boolean(options.includeCancelled),
+    includeTest: Boolean(options.includeTest),
+    quantityStates: options.quantityStates ?? DEFAULT_QUANTITY_STATES,
+    filters: { ...EMPTY_FILTERS, ...options.filters },
+    reorderEnabled: Boolean(reorder.enabled),
+    targetDaysOfCover: String(reorder.targetDaysOfCover),
+    leadTimeDays: String(reorder.leadTimeDays),
+    safetyStock: String(reorder.safetyStock),
+    compareMode: options.compare?.mode ?? "",
+    compareStartDate: options.compare?.startDate ?? "",
+    compareEndDate: options.compare?.endDate ?? "",
+  };
+}
+
+/**
+ * Form state for everything on the report form except the dates, seeded
+ * from stored options (a preset's) when given. `reset` loads another set.
+ */
+export function useReportOptionsForm(initialOptions) {
+  const [values, setValues] = useState(() => toFormState(initialOptions));
+  const [showFilters, setShowFilters] = useState(false);
+
+  return {
+    values,
+    showFilters,
+    setShowFilters,
+    set: (key, value) => setValues((v) => ({ ...v, [key]: value })),
+    setFilter: (key, selected) =>
+      setValues((v) => ({ ...v, filters: { ...v.filters, [key]: selected } })),
+    reset: (options) => {
+      const next = toFormState(options);
+      setValues(next);
+      if (hasFilters(next.filters)) setShowFilters(true);
+    },
+  };
+}
+
+/** ChoiceList choices for each filter, from the loader's filter choices. */
+function filterChoiceOptions(filterChoices) {
+  const asChoices = (values) => values.map((v) => ({ value: v, label: v }));
+  return {
+    vendors: asChoices(filterChoices.vendors),
+    productTypes: asChoices(filterChoices.productTypes),
+    collections: filterChoices.collections.map((c) => ({
+      value: c.id,
+      label: c.title,
+    })),
+    tags: asChoices(filterChoices.tags),
+    channels: SALES_CHANNELS,
+    locations: asChoices(filterChoices.locations),
+  };
+}
+
+/**
+ * The include, filter, comparison, inventory column and reorder fields,
+ * named the way `parseReportOptions` reads them. Multi-value choices are
+ * posted through hidden inputs.
+ */
+export function renderReportOptionFields(form, filterChoices) {
+  const { values, set, setFilter, showFilters, setShowFilters } = form;
+  const choices = filterChoiceOptions(filterChoices);
+  const filterCount = FILTER_FIELDS.reduce(
+    (n, { key }) => n + values.filters[key].length,
+    0
+  );
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack gap="400">
+        <Checkbox
+          label="Include cancelled orders"
+          name="includeCancelled"
+          checked={values.includeCancelled}
+          onChange={(checked) => set("includeCancelled", checked)}
+        />
+        <Checkbox
+          label="Include test orders"
+          name="includeTest"
+          checked={values.includeTest}
+          onChange={(checked) => set("includeTest", checked)}
+        />
+      </InlineStack>
+
+      <InlineStack gap="200" blockAlign="center">
+        <Button
+          disclosure={showFilters ? "up" : "down"}
+          onClick={() => setShowFilters((v) => !v)}
+        >
+          {filterCount ? `Filters (${filterCount})` : "Filters"}
+        </Button>
+        {filterCount > 0 && (
+          <Button variant="plain" onClick={() => set("filters", EMPTY_FILTERS)}>
+            Clear filters
+          </Button>
+        )}
+      </InlineStack>
+      <Collapsible id="report-filters" open={showFilters}>
+        <InlineStack gap="400" wrap>
+          {FILTER_FIELDS.map(({ key, label }) => (
+            <div key={key} style={{ minWidth: "12rem" }}>
+              <Scrollable style={{ maxHeight: "12rem" }}>
+                <ChoiceList
+                  title={label}
+                  allowMultiple
+                  choices={choices[key]}
+                  selected={values.filters[key]}
+                  onChange={(selected) => setFilter(key, selected)}
+                />
+              </Scrollable>
+            </div>
+          ))}
+        </InlineStack>
+      </Collapsible>
+      {FILTER_FIELDS.flatMap(({ key }) =>
+        values.filters[key].map((value) => (
+          <input
+            key={`${key}:${value}`}
+            type="hidden"
+            name={key}
+            value={value}
+          />
+        ))
+      )}
+
+      <InlineStack gap="200" blockAlign="end">
+        <Select
+          label="Compare sales with"
+          name="compareMode"
+          options={COMPARE_MODES}
+          value={values.compareMode}
+          onChange={(v) => set("compareMode", v)}
+        />
+        {values.compareMode === "custom" && (
+          <>
+            <TextField
+              label="Comparison start"
+              type="datetime-local"
+              name="compareStartDate"
+              value={values.compareStartDate}
+              onChange={(v) => set("compareStartDate", v)}
+              autoComplete="off"
+            />
+            <TextField
+              label="Comparison end"
+              type="datetime-local"
+              name="compareEndDate"
+              value={values.compareEndDate}
+              onChange={(v) => set("compareEndDate", v)}
+              autoComplete="off"
+            />
+          </>
+        )}
+      </InlineStack>
+
+      <ChoiceList
+        title="Inventory columns per location"
+        allowMultiple
+        choices={QUANTITY_STATES}
+        selected={values.quantityStates}
+        onChange={(selected) => set("quantityStates", selected)}
+      />
+      {values.quantityStates.map((state) => (
+        <input key={state} type="hidden" name="quantityStates" value={state} />
+      ))}
+
+      <Checkbox
+        label="Suggest reorder quantities"
+        name="reorderEnabled"
+        checked={values.reorderEnabled}
+        onChange={(checked) => set("reorderEnabled", checked)}
+      />
+      {values.reorderEnabled && (
+        <InlineStack gap="200">
+          <TextField
+            label="Target days of cover"
+            type="number"
+            min={0}
+            name="targetDaysOfCover"
+            value={values.targetDaysOfCover}
+            onChange={(v) => set("targetDaysOfCover", v)}
+          />
+          <TextField
+            label="Lead time (days)"
+            type="number"
+            min={0}
+            name="leadTimeDays"
+            value={values.leadTimeDays}
+            onChange={(v) => set("leadTimeDays", v)}
+          />
+          <TextField
+            label="Safety stock (units)"
+            type="number"
+            min={0}
+            name="safetyStock"
+            value={values.safetyStock}
+            onChange={(v) => set("safetyStock", v)}
+          />
+        </InlineStack>
+      )}
+    </BlockStack>
+  );
+}
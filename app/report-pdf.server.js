@@ -0,0 +1,205 @@
+// app/report-pdf.server.js
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+
+/* -------------------------------------------------------------------------- */
+/*                               Pick list layout                             */
+/* -------------------------------------------------------------------------- */
+
+const UNASSIGNED_LOCATION = "No inventory location";
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 64;
+
+function byVendorThenType(a, b) {
+  return (
+    a.vendor.localeCompare(b.vendor) ||
+    a.productType.localeCompare(b.productType) ||
+    a.productTitle.localeCompare(b.productTitle) ||
+    a.productVariantTitle.localeCompare(b.productVariantTitle) ||
+    a.sku.localeCompare(b.sku)
+  );
+}
+
+/**
+ * Splits report rows into one pick list per location. A row belongs to every
+ * location that stocks or sold the variant; rows with neither are collected
+ * under a trailing "No inventory location" section.
+ */
+export function groupRowsByLocation(report) {
+  const locationNames = report.locationNames || [];
+  const groups = locationNames.map((name) => ({ name, rows: [] }));
+  const byName = new Map(groups.map((g) => [g.name, g]));
+  const unassigned = { name: UNASSIGNED_LOCATION, rows: [] };
+
+  for (const row of report.rows || []) {
+    const stocked = [
+      ...new Set([
+        ...Object.keys(row.locations || {}),
+        ...Object.keys(row.locationSold || {}),
+      ]),
+    ].filter((loc) => byName.has(loc));
+    if (stocked.length === 0) {
+      unassigned.rows.push(row);
+      continue;
+    }
+    for (const loc of stocked) byName.get(loc).rows.push(row);
+  }
+
+  if (unassigned.rows.length) groups.push(unassigned);
+
+  return groups
+    .filter((g) => g.rows.length > 0)
+    .map((g) => ({ ...g, rows: [...g.rows].sort(byVendorThenType) }));
+}
+
+/**
+ * Units sold by this location, or the shop-wide net for the unassigned
+ * section and for runs from before sales were attributed to locations.
+ */
+function soldAt(row, locationName, isUnassigned) {
+  if (isUnassigned || !row.locationSold) return row.netItemsSold;
+  return row.locationSold[locationName] ?? 0;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                     PDF                                    */
+/* -------------------------------------------------------------------------- */
+
+function drawPageHeader(doc, { shopName, locationName, report }) {
+  const width = doc.internal.pageSize.getWidth();
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(14);
+  doc.text(`${shopName} - Restocking Pick List`, MARGIN, MARGIN);
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.text(
+    `Date range: ${report.startDate} to ${report.endDate}`,
+    MARGIN,
+    MARGIN + 14
+  );
+  doc.text(
+    `Generated at: ${report.timestamp}${
+      report.shopTimezone ? ` (${report.shopTimezone})` : ""
+    }`,
+    MARGIN,
+    MARGIN + 26
+  );
+  if (report.truncated) {
+    doc.setTextColor(180, 0, 0);
+    doc.text(
+      "INCOMPLETE: not every order in this range was counted.",
+      MARGIN,
+      MARGIN + 38
+    );
+    doc.setTextColor(0);
+  }
+  if (report.filters?.length) {
+    const filters = report.filters.map(([k, v]) => `${k}: ${v}`).join("; ");
+    const [line] = doc.splitTextToSize(
+      `Filters - ${filters}`,
+      width - MARGIN * 2
+    );
+    doc.text(line, MARGIN, MARGIN + 50);
+  }
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text(`Location: ${locationName}`, width - MARGIN, MARGIN, {
+    align: "right",
+  });
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(8);
+  doc.text(
+    `Page ${doc.getCurrentPageInfo().pageNumber}`,
+    width - MARGIN,
+    MARGIN + 14,
+    { align: "right" }
+  );
+}
+
+/**
+ * Printable pick list for the floor staff: one section per location, each
+ * starting on a new page, sorted by vendor then product type, with an empty
+ * "Pulled" box to tick. The store name, date range and generation time are
+ * repeated at the top of every page.
+ */
+export function buildReportPdf(report) {
+  const doc = new jsPDF({
+    orientation: "portrait",
+    unit: "pt",
+    format: "letter",
+  });
+  const shopName = report.shopName || "Store";
+  const groups = groupRowsByLocation(report);
+
+  if (groups.length === 0) {
+    drawPageHeader(doc, { shopName, locationName: "-", report });
+    doc.setFontSize(10);
+    doc.text(
+      "No items sold in this date range.",
+      MARGIN,
+      MARGIN + HEADER_HEIGHT
+    );
+    return doc.output("arraybuffer");
+  }
+
+  groups.forEach((group, i) => {
+    if (i > 0) doc.addPage();
+
+    const isUnassigned = group.name === UNASSIGNED_LOCATION;
+
+    autoTable(doc, {
+      startY: MARGIN + HEADER_HEIGHT,
+      margin: { top: MARGIN + HEADER_HEIGHT, left: MARGIN, right: MARGIN },
+      head: [
+        [
+          "Pulled",
+          "Vendor",
+          "Product Type",
+          "Product",
+          "Variant",
+          "SKU",
+          "Sold",
+          "Available",
+        ],
+      ],
+      body: group.rows.map((r) => [
+        "",
+        r.vendor,
+        r.productType,
+        r.productTitle,
+        r.productVariantTitle,
+        r.sku,
+        soldAt(r, group.name, isUnassigned),
+        isUnassigned ? "-" : (r.locations?.[group.name] ?? 0),
+      ]),
+      theme: "grid",
+      styles: { fontSize: 8, cellPadding: 4, overflow: "linebreak" },
+      headStyles: { fillColor: [242, 242, 242], textColor: 0 },
+      columnStyles: {
+        0: { cellWidth: 38 },
+        6: { halign: "right", cellWidth: 36 },
+        7: { halign: "right", cellWidth: 48 },
+      },
+      showHead: "everyPage",
+      didDrawPage: () =>
+        drawPageHeader(doc, { shopName, locationName: group.name, report }),
+      didDrawCell: (data) => {
+        if (data.section !== "body" || data.column.index !== 0) return;
+        const size = 10;
+        doc.rect(
+          data.cell.x + (data.cell.width - size) / 2,
+          data.cell.y + (data.cell.height - size) / 2,
+          size,
+          size
+        );
+      },
+    });
+  });
+
+  return doc.output("arraybuffer");
+}
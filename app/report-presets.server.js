@@ -0,0 +1,102 @@
+// app/report-presets.server.js
+import prisma from "./db.server.js";
+import { parseReorderSettings } from "./reorder.js";
+import { parseQuantityStates } from "./quantity-states.js";
+import { parseReportFilters } from "./report-filters.js";
+import { RELATIVE_RANGES } from "./timezone.js";
+import { parseCompareSettings } from "./report-compare.js";
+
+/* -------------------------------------------------------------------------- */
+/*                               Report options                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Everything on the report form except the dates, in the shape stored on
+ * `RestockingReportRun.options` and `ReportPreset.options`.
+ */
+export function parseReportOptions(formData) {
+  return {
+    includeCancelled: formData.get("includeCancelled") === "on",
+    includeTest: formData.get("includeTest") === "on",
+    quantityStates: parseQuantityStates(formData),
+    filters: parseReportFilters(formData),
+    reorder: parseReorderSettings(formData),
+    compare: parseCompareSettings(formData),
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Presets                                   */
+/* -------------------------------------------------------------------------- */
+
+const PRESET_FIELDS = {
+  id: true,
+  name: true,
+  range: true,
+  options: true,
+  hiddenColumns: true,
+  updatedAt: true,
+};
+
+export async function listPresets(shop) {
+  return prisma.reportPreset.findMany({
+    where: { shop },
+    orderBy: { name: "asc" },
+    select: PRESET_FIELDS,
+  });
+}
+
+export async function getPreset(shop, id) {
+  const preset = await prisma.reportPreset.findUnique({ where: { id } });
+  return preset && preset.shop === shop ? preset : null;
+}
+
+/**
+ * Reads a preset from a form that carries the report fields plus
+ * `presetName`, `presetRange` and repeated `hiddenColumns`.
+ */
+export function parsePresetForm(formData) {
+  return {
+    name: String(formData.get("presetName") ?? "").trim(),
+    range: String(formData.get("presetRange") ?? ""),
+    options: parseReportOptions(formData),
+    hiddenColumns: [
+      ...new Set(formData.getAll("hiddenColumns").map(String).filter(Boolean)),
+    ],
+  };
+}
+
+/**
+ * Creates the preset, or updates it when `id` is given. Returns `{ error }`
+ * for a missing name, an unknown range or a name already in use.
+ */
+export async function savePreset(shop, id, preset) {
+  if (!preset.name) return { error: "Give the preset a name" };
+  if (!RELATIVE_RANGES.some((r) => r.value === preset.range)) {
+    return { error: "Choose a date range for the preset" };
+  }
+
+  const clash = await prisma.reportPreset.findUnique({
+    where: { shop_name: { shop, name: preset.name } },
+  });
+  if (clash && clash.id !== id) {
+    return { error: `A preset named "${preset.name}" already exists` };
+  }
+
+  if (id) {
+    const { count } = await prisma.reportPreset.updateMany({
+      where: { id, shop },
+      data: preset,
+    });
+    if (count === 0) return { error: "Preset not found" };
+    return { preset: await getPreset(shop, id) };
+  }
+
+  return {
+    preset: await prisma.reportPreset.create({ data: { shop, ...preset } }),
+  };
+}
+
+export async function deletePreset(shop, id) {
+  await prisma.reportPreset.deleteMany({ where: { id, shop } });
+}
@@ -0,0 +1,235 @@
+// app/report-scheduler.server.js
+import prisma from "./db.server.js";
+import { cronError, nextCronTime } from "./cron.js";
+import {
+  continueRestockingRun,
+  startRestockingRun,
+} from "./restocking-report.server.js";
+import { queueReportEmail } from "./report-email.server.js";
+
+/* -------------------------------------------------------------------------- */
+/*                                 Schedules                                  */
+/* -------------------------------------------------------------------------- */
+
+export async function listSchedules(shop) {
+  return prisma.reportSchedule.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+    include: { preset: { select: { id: true, name: true, range: true } } },
+  });
+}
+
+/**
+ * Creates the schedule, or updates it when `id` is given, and works out its
+ * next run in `timeZone` (the store's). Returns `{ error }` for an unknown
+ * preset or an invalid cron expression.
+ */
+export async function saveSchedule(
+  shop,
+  id,
+  { presetId, cron, enabled, emailRecipients = [], emailFormats = ["csv"] },
+  timeZone
+) {
+  const preset = await prisma.reportPreset.findUnique({
+    where: { id: presetId },
+  });
+  if (!preset || preset.shop !== shop) {
+    return { error: "Choose a preset to run" };
+  }
+  const invalid = cronError(cron);
+  if (invalid) return { error: invalid };
+  if (emailRecipients.length && !emailFormats.length) {
+    return { error: "Choose at least one attachment for the email" };
+  }
+
+  const data = {
+    presetId,
+    cron: cron.trim(),
+    enabled,
+    timezone: timeZone,
+    nextRunAt: enabled ? nextCronTime(cron, timeZone) : null,
+    emailRecipients,
+    emailFormats,
+  };
+
+  if (id) {
+    const { count } = await prisma.reportSchedule.updateMany({
+      where: { id, shop },
+      data,
+    });
+    if (count === 0) return { error: "Schedule not found" };
+    return {
+      schedule: await prisma.reportSchedule.findUnique({ where: { id } }),
+    };
+  }
+
+  return {
+    schedule: await prisma.reportSchedule.create({ data: { shop, ...data } }),
+  };
+}
+
+export async function setScheduleEnabled(shop, id, enabled) {
+  const schedule = await prisma.reportSchedule.findUnique({ where: { id } });
+  if (!schedule || schedule.shop !== shop) return;
+
+  await prisma.reportSchedule.update({
+    where: { id },
+    data: {
+      enabled,
+      nextRunAt: enabled
+        ? nextCronTime(schedule.cron, schedule.timezone)
+        : null,
+    },
+  });
+}
+
+/** Makes the schedule due now; the worker picks it up on its next pass. */
+export async function queueScheduleNow(shop, id) {
+  await prisma.reportSchedule.updateMany({
+    where: { id, shop },
+    data: { nextRunAt: new Date() },
+  });
+}
+
+export async function deleteSchedule(shop, id) {
+  await prisma.reportSchedule.deleteMany({ where: { id, shop } });
+}
+
+/** Runs started by schedules, newest first. Each finished one is a snapshot. */
+export async function listSnapshots(shop, take = 20) {
+  return prisma.restockingReportRun.findMany({
+    where: { shop, scheduleId: { not: null } },
+    orderBy: { createdAt: "desc" },
+    take,
+    select: {
+      id: true,
+      createdAt: true,
+      completedAt: true,
+      startDate: true,
+      endDate: true,
+      status: true,
+      error: true,
+      processedOrders: true,
+      presetName: true,
+      scheduleId: true,
+    },
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Worker                                   */
+/* -------------------------------------------------------------------------- */
+
+// A worker renews its lock while a run is in flight; a crashed worker's lock
+// lapses and another worker can take the schedule over.
+const LOCK_MS = 10 * 60 * 1000;
+
+function lockFree(now) {
+  return { OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] };
+}
+
+async function claimSchedule(db, id, now) {
+  const { count } = await db.reportSchedule.updateMany({
+    where: { id, ...lockFree(now) },
+    data: { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+  });
+  return count === 1;
+}
+
+/**
+ * Starts a run from the schedule's preset and drives it to the end, the way
+ * the report page does by polling, then queues the schedule's email. Returns
+ * the finished run, or `{ error }` when it couldn't start.
+ */
+async function runSchedule(admin, schedule, db) {
+  const { preset } = schedule;
+  const { run, error } = await startRestockingRun(admin, schedule.shop, {
+    relativeRange: preset.range,
+    options: preset.options ?? {},
+    scheduleId: schedule.id,
+    presetName: preset.name,
+  });
+  if (error) return { error };
+
+  let current = run;
+  while (current.status === "running") {
+    current = await continueRestockingRun(admin, schedule.shop, run.id);
+    await db.reportSchedule.update({
+      where: { id: schedule.id },
+      data: { lockedUntil: new Date(Date.now() + LOCK_MS) },
+    });
+  }
+
+  const recipients = schedule.emailRecipients ?? [];
+  if (current.status === "done" && recipients.length) {
+    await queueReportEmail(schedule.shop, current, {
+      recipients,
+      formats: schedule.emailFormats ?? ["csv"],
+      scheduleId: schedule.id,
+      db,
+    });
+  }
+  return current;
+}
+
+/**
+ * Runs every enabled schedule that is due, one at a time. `adminFor(shop)`
+ * returns an Admin API client for the shop's offline session. A run that
+ * fails is recorded on the schedule and doesn't stop the others; either
+ * way the schedule moves on to its next time after now, so a worker that
+ * was down doesn't replay every missed run.
+ *
+ * `db` is the app's database and `runReport(admin, schedule, db)` runs the
+ * schedule's preset and queues its email; tests pass stand-ins.
+ */
+export async function runDueSchedules({
+  adminFor,
+  now = new Date(),
+  log = console,
+  db = prisma,
+  runReport = runSchedule,
+}) {
+  const due = await db.reportSchedule.findMany({
+    where: { enabled: true, nextRunAt: { lte: now }, ...lockFree(now) },
+    orderBy: { nextRunAt: "asc" },
+    include: { preset: true },
+  });
+
+  const results = [];
+  for (const schedule of due) {
+    if (!(await claimSchedule(db, schedule.id, now))) continue;
+
+    let result;
+    try {
+      const admin = await adminFor(schedule.shop);
+      result = await runReport(admin, schedule, db);
+    } catch (err) {
+      result = { error: err.message };
+    }
+
+    const timeZone = result.timezone ?? schedule.timezone;
+    const finishedAt = new Date();
+    await db.reportSchedule.update({
+      where: { id: schedule.id },
+      data: {
+        lockedUntil: null,
+        lastRunAt: finishedAt,
+        lastRunId: result.id ?? null,
+        lastStatus: result.status ?? "error",
+        lastError: result.error ?? null,
+        timezone: timeZone,
+        nextRunAt: nextCronTime(schedule.cron, timeZone, finishedAt),
+      },
+    });
+
+    log.info(
+      `[scheduler] ${schedule.shop} "${schedule.preset.name}": ` +
+        (result.error
+          ? `failed: ${result.error}`
+          : `${result.status}, run ${result.id}`)
+    );
+    results.push({ scheduleId: schedule.id, ...result });
+  }
+
+  return results;
+}
@@ -0,0 +1,1348 @@
+// app/restocking-report.server.js
+import {
+  DEFAULT_TIMEZONE,
+  formatDate,
+  formatTimestamp,
+  resolveRelativeRange,
+  resolveShopTimezone,
+  zonedRangeToUtc,
+} from "./timezone.js";
+import prisma from "./db.server.js";
+import {
+  AdminGraphqlError,
+  adminQuery,
+  fetchConnectionPage,
+  pageConnection,
+} from "./admin-graphql.server.js";
+import { receiptDatesBySku } from "./stocky-import.server.js";
+import {
+  DEFAULT_REORDER_SETTINGS,
+  vendorMinimumShortfalls,
+  withReorderSuggestions,
+} from "./reorder.js";
+import { transferList, withTransferSuggestions } from "./transfers.js";
+import { vendorReorderRules } from "./vendor-profiles.server.js";
+import { DEFAULT_QUANTITY_STATES } from "./quantity-states.js";
+import { comparisonDates, salesChange } from "./report-compare.js";
+import {
+  attributeNetUnits,
+  fulfilledByLineItem,
+  lineItemQuantities,
+} from "./order-sales.js";
+import {
+  cancelBulkOperation,
+  downloadBulkOrders,
+  fetchBulkOperation,
+  startBulkOrders,
+} from "./bulk-orders.server.js";
+import {
+  ledgerCovers,
+  ledgerDays,
+  ledgerSales,
+} from "./sales-ledger.server.js";
+import {
+  EMPTY_FILTERS,
+  describeFilters,
+  salesChannelOf,
+} from "./report-filters.js";
+import { rowKey } from "./report-columns.js";
+
+/* -------------------------------------------------------------------------- */
+/*                                 Shop info                                  */
+/* -------------------------------------------------------------------------- */
+
+const SHOP_INFO_QUERY = `
+  query ShopInfo {
+    shop { name ianaTimezone }
+  }
+`;
+
+/**
+ * Store name and IANA timezone. Falls back to the shop domain and Eastern
+ * time when the query fails, so a report can still be produced.
+ */
+export async function fetchShopInfo(admin, fallbackName = "") {
+  const info = {
+    shopName: fallbackName,
+    ianaTimezone: DEFAULT_TIMEZONE,
+  };
+
+  try {
+    const data = await adminQuery(
+      admin,
+      SHOP_INFO_QUERY,
+      {},
+      {
+        task: "fetching shop info",
+      }
+    );
+    const shop = data?.shop;
+    if (shop?.name) info.shopName = shop.name;
+    if (shop) info.ianaTimezone = resolveShopTimezone(shop);
+  } catch (err) {
+    console.error("Error fetching shop info:", err);
+  }
+
+  return { ...info, shopTimezone: info.ianaTimezone };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Queries                                  */
+/* -------------------------------------------------------------------------- */
+
+// `fulfillments` is a plain list with no page info, so a full one may have
+// been cut short.
+const FULFILLMENTS_PER_ORDER = 10;
+
+const ORDERS_QUERY = `
+  query RestockingReportOrders($q: String!, $cursor: String) {
+    orders(first: 50, after: $cursor, query: $q, sortKey: CREATED_AT) {
+      edges {
+        cursor
+        node {
+          createdAt
+          cancelledAt
+          test
+          sourceName
+          retailLocation { name }
+          fulfillments(first: ${FULFILLMENTS_PER_ORDER}) {
+            location { name }
+            fulfillmentLineItems(first: 100) {
+              edges { node { quantity lineItem { id } } }
+              pageInfo { hasNextPage }
+            }
+          }
+          lineItems(first: 100) {
+            edges {
+              node {
+                id
+                quantity
+                currentQuantity
+                product { id title vendor productType tags }
+                variant { id title sku }
+              }
+            }
+            pageInfo { hasNextPage }
+          }
+        }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const LOCATIONS_QUERY = `
+  query RestockingReportLocations($cursor: String) {
+    locations(first: 250, after: $cursor, includeInactive: false) {
+      edges { node { name } }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+// `$levels` is the number of active locations, so one page covers them all.
+const INVENTORY_QUERY = `
+  query RestockingReportInventory($ids: [ID!]!, $levels: Int!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        inventoryItem {
+          inventoryLevels(first: $levels) {
+            edges {
+              node {
+                location { name }
+                quantities(
+                  names: [
+                    "available"
+                    "on_hand"
+                    "committed"
+                    "incoming"
+                    "reserved"
+                    "damaged"
+                  ]
+                ) {
+                  name
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// One query per filter, each paged to the end.
+const VENDORS_QUERY = `
+  query RestockingReportVendors($cursor: String) {
+    productVendors(first: 250, after: $cursor) {
+      nodes
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const PRODUCT_TYPES_QUERY = `
+  query RestockingReportProductTypes($cursor: String) {
+    productTypes(first: 250, after: $cursor) {
+      nodes
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const TAGS_QUERY = `
+  query RestockingReportTags($cursor: String) {
+    productTags(first: 250, after: $cursor) {
+      nodes
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const COLLECTIONS_QUERY = `
+  query RestockingReportCollections($cursor: String) {
+    collections(first: 250, after: $cursor, sortKey: TITLE) {
+      nodes { id title }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const COLLECTION_PRODUCTS_QUERY = `
+  query RestockingReportCollectionProducts($id: ID!, $cursor: String) {
+    collection(id: $id) {
+      title
+      products(first: 250, after: $cursor) {
+        nodes { id }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+const ORDERS_COUNT_QUERY = `
+  query RestockingReportOrdersCount($q: String!) {
+    ordersCount(query: $q, limit: null) { count }
+  }
+`;
+
+function ordersSearchQuery(startISO, endISO) {
+  return `created_at:>='${startISO}' AND created_at:<='${endISO}'`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function fetchOrdersCount(admin, q) {
+  try {
+    const data = await adminQuery(
+      admin,
+      ORDERS_COUNT_QUERY,
+      { q },
+      { task: "fetching the orders count" }
+    );
+    const count = data?.ordersCount?.count;
+    return Number.isFinite(count) ? count : null;
+  } catch (err) {
+    console.error("Error fetching orders count:", err);
+    return null;
+  }
+}
+
+/** Names of every active location, in the order Shopify lists them. */
+async function fetchActiveLocationNames(admin) {
+  const names = [];
+  const pages = pageConnection(
+    admin,
+    LOCATIONS_QUERY,
+    {},
+    (data) => data.locations,
+    { task: "fetching locations" }
+  );
+  for await (const { edges } of pages) {
+    for (const { node } of edges) names.push(node.name);
+  }
+  return names;
+}
+
+// Every page of each filter's values.
+async function loadFilterChoices(admin) {
+  const allNodes = async (query, field, task) => {
+    const nodes = [];
+    const pages = pageConnection(admin, query, {}, (data) => data[field], {
+      task,
+    });
+    for await (const page of pages) nodes.push(...page.nodes);
+    return nodes;
+  };
+
+  const [vendors, productTypes, tags, collections, locations] =
+    await Promise.all([
+      allNodes(VENDORS_QUERY, "productVendors", "fetching vendors"),
+      allNodes(PRODUCT_TYPES_QUERY, "productTypes", "fetching product types"),
+      allNodes(TAGS_QUERY, "productTags", "fetching tags"),
+      allNodes(COLLECTIONS_QUERY, "collections", "fetching collections"),
+      fetchActiveLocationNames(admin),
+    ]);
+
+  return {
+    vendors: vendors.filter(Boolean),
+    productTypes: productTypes.filter(Boolean),
+    tags: tags.filter(Boolean),
+    collections,
+    locations,
+  };
+}
+
+// Paging through a large catalog's filter values takes many calls, and the
+// report, preset and vendor pages ask for them on every load, so each
+// shop's are kept for a few minutes (per server process).
+const FILTER_CHOICES_TTL_MS = 5 * 60 * 1000;
+const filterChoicesByShop = new Map();
+
+/**
+ * Values the report form offers for each filter, from the cache when
+ * they were fetched for `shop` in the last five minutes. Loads started at
+ * the same time share one fetch. Empty lists when a query fails, so the
+ * form still renders without filters; failures aren't cached.
+ */
+export async function fetchFilterChoices(admin, shop) {
+  let entry = filterChoicesByShop.get(shop);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    entry = {
+      choices: loadFilterChoices(admin),
+      expiresAt: Date.now() + FILTER_CHOICES_TTL_MS,
+    };
+    filterChoicesByShop.set(shop, entry);
+  }
+
+  try {
+    return await entry.choices;
+  } catch (err) {
+    if (filterChoicesByShop.get(shop) === entry) {
+      filterChoicesByShop.delete(shop);
+    }
+    console.error("Error fetching filter choices:", err);
+    return {
+      vendors: [],
+      productTypes: [],
+      tags: [],
+      collections: [],
+      locations: [],
+    };
+  }
+}
+
+/**
+ * Titles and product ids of the chosen collections, so line items can be
+ * matched by product without asking for every product's collections.
+ */
+async function resolveCollections(admin, ids) {
+  const collections = [];
+  const productIds = new Set();
+
+  for (const id of ids) {
+    let title = null;
+    const pages = pageConnection(
+      admin,
+      COLLECTION_PRODUCTS_QUERY,
+      { id },
+      (data) => data.collection?.products,
+      { task: "fetching collections" }
+    );
+    for await (const { data, nodes } of pages) {
+      title = data.collection.title;
+      for (const p of nodes) productIds.add(p.id);
+    }
+    collections.push({ id, title });
+  }
+
+  return { collections, productIds: [...productIds] };
+}
+
+/** Variant nodes with their inventory levels, for up to one batch of ids. */
+async function fetchInventoryBatch(admin, ids, levels) {
+  const data = await adminQuery(
+    admin,
+    INVENTORY_QUERY,
+    { ids, levels },
+    { task: "fetching inventory" }
+  );
+  if (!data?.nodes) {
+    throw new AdminGraphqlError("Shopify returned no inventory", {
+      kind: "missing",
+    });
+  }
+  return data.nodes.filter(Boolean);
+}
+
+async function fetchOrdersPage(admin, q, cursor) {
+  const page = await fetchConnectionPage(
+    admin,
+    ORDERS_QUERY,
+    { q, cursor: cursor ?? null },
+    (data) => data.orders,
+    { task: "fetching orders" }
+  );
+  return {
+    edges: page.edges,
+    hasNextPage: page.hasNextPage,
+    nextCursor: page.endCursor,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Aggregation                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Whether a line item's product passes the vendor, type, tag and collection
+ * filters. Each filter with values must match; tags match on any one.
+ */
+function productMatchesFilters(product, filters, collectionProductIds) {
+  if (filters.vendors.length && !filters.vendors.includes(product?.vendor)) {
+    return false;
+  }
+  if (
+    filters.productTypes.length &&
+    !filters.productTypes.includes(product?.productType)
+  ) {
+    return false;
+  }
+  if (
+    filters.tags.length &&
+    !(product?.tags ?? []).some((t) => filters.tags.includes(t))
+  ) {
+    return false;
+  }
+  if (filters.collections.length && !collectionProductIds.has(product?.id)) {
+    return false;
+  }
+  return true;
+}
+
+// The persisted row for a product/variant/SKU, created empty the first time.
+function rowFor(rowsByKey, row, variantId) {
+  const key = rowKey(row);
+  rowsByKey[key] ??= {
+    ...row,
+    variantId,
+    grossSold: 0,
+    returnedQty: 0,
+    netItemsSold: 0,
+    compareNetSold: 0,
+    compareLocationSold: {},
+    unfulfilledSold: 0,
+    locationSold: {},
+    locations: {},
+    quantities: {},
+  };
+  return rowsByKey[key];
+}
+
+/**
+ * Whether some of an order's fulfillments or fulfilled lines weren't read,
+ * leaving their units to the POS location or unfulfilled.
+ */
+function overFulfillmentLimit(order) {
+  const fulfillments = order.fulfillments ?? [];
+  return (
+    fulfillments.length >= FULFILLMENTS_PER_ORDER ||
+    fulfillments.some((f) => f.fulfillmentLineItems?.pageInfo?.hasNextPage)
+  );
+}
+
+/**
+ * Folds a page of order edges into the persisted `{ [rowKey]: row }` map,
+ * attributing each row's net units to the location that sold them.
+ * Cancelled and test orders are skipped unless `options` asks for them, as
+ * are orders and line items outside `options.filters`.
+ * Orders from the comparison range (`comparison`) only add to
+ * `compareNetSold`.
+ * Returns counts of skipped orders, of orders whose line items didn't fit
+ * in one page and of orders whose fulfillments might not have.
+ */
+function mergeOrdersIntoRows(
+  rowsByKey,
+  locationNames,
+  edges,
+  options = {},
+  comparison = false
+) {
+  const stats = {
+    ordersOverLineLimit: 0,
+    ordersOverFulfillmentLimit: 0,
+    cancelledOrders: 0,
+    testOrders: 0,
+  };
+  const filters = { ...EMPTY_FILTERS, ...options.filters };
+  const collectionProductIds = new Set(options.collectionProductIds ?? []);
+
+  for (const order of edges) {
+    if (order.node.test && !options.includeTest) {
+      stats.testOrders++;
+      continue;
+    }
+    if (order.node.cancelledAt && !options.includeCancelled) {
+      stats.cancelledOrders++;
+      continue;
+    }
+    if (
+      filters.channels.length &&
+      !filters.channels.includes(salesChannelOf(order.node.sourceName))
+    ) {
+      continue;
+    }
+    if (order.node.lineItems.pageInfo?.hasNextPage) stats.ordersOverLineLimit++;
+    if (overFulfillmentLimit(order.node)) stats.ordersOverFulfillmentLimit++;
+
+    const fulfilled = fulfilledByLineItem(order.node);
+    const retailLocation = order.node.retailLocation?.name ?? null;
+
+    for (const li of order.node.lineItems.edges) {
+      const n = li.node;
+      const p = n.product;
+      const v = n.variant;
+
+      // ✅ REMOVE items with no SKU
+      if (!v?.sku) continue;
+      if (!productMatchesFilters(p, filters, collectionProductIds)) continue;
+
+      const row = {
+        productTitle: p?.title || "N/A",
+        productVariantTitle: v?.title || "N/A",
+        sku: v.sku,
+        vendor: p?.vendor || "N/A",
+        productType: p?.productType || "N/A",
+      };
+
+      const entry = rowFor(rowsByKey, row, v.id);
+      const qty = lineItemQuantities(n);
+      const sold = attributeNetUnits(qty.net, fulfilled[n.id], retailLocation);
+      if (comparison) {
+        entry.compareNetSold = (entry.compareNetSold ?? 0) + qty.net;
+        entry.compareLocationSold ??= {};
+        for (const [loc, units] of Object.entries(sold.byLocation)) {
+          entry.compareLocationSold[loc] =
+            (entry.compareLocationSold[loc] ?? 0) + units;
+        }
+        continue;
+      }
+      entry.grossSold += qty.gross;
+      entry.returnedQty += qty.returned;
+      entry.netItemsSold += qty.net;
+
+      entry.unfulfilledSold += sold.unfulfilled;
+      for (const [loc, units] of Object.entries(sold.byLocation)) {
+        if (!locationNames.includes(loc)) locationNames.push(loc);
+        entry.locationSold[loc] = (entry.locationSold[loc] ?? 0) + units;
+      }
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Folds sales from the ledger (`ledgerSales`) into the rows with the same
+ * exclusions, filters and location split as `mergeOrdersIntoRows`. Returns
+ * the number of orders in the range and of the cancelled and test ones
+ * left out.
+ */
+function mergeLedgerIntoRows(
+  rowsByKey,
+  locationNames,
+  sales,
+  options = {},
+  comparison = false
+) {
+  const stats = { orders: 0, cancelledOrders: 0, testOrders: 0 };
+  const filters = { ...EMPTY_FILTERS, ...options.filters };
+  const collectionProductIds = new Set(options.collectionProductIds ?? []);
+  const skippedAs = (e) =>
+    e.test && !options.includeTest
+      ? "testOrders"
+      : e.cancelled && !options.includeCancelled
+        ? "cancelledOrders"
+        : null;
+
+  for (const group of sales.orders) {
+    stats.orders += group.count;
+    const skipped = skippedAs(group);
+    if (skipped) stats[skipped] += group.count;
+  }
+
+  for (const line of sales.lines) {
+    if (skippedAs(line)) continue;
+    if (filters.channels.length && !filters.channels.includes(line.channel)) {
+      continue;
+    }
+    const v = line.variant;
+    if (!v?.sku) continue;
+    const product = {
+      id: v.productId,
+      vendor: v.vendor,
+      productType: v.productType,
+      tags: v.tags,
+    };
+    if (!productMatchesFilters(product, filters, collectionProductIds)) {
+      continue;
+    }
+    if (line.location && !line.netSold) continue;
+
+    const entry = rowFor(
+      rowsByKey,
+      {
+        productTitle: v.productTitle,
+        productVariantTitle: v.variantTitle,
+        sku: v.sku,
+        vendor: v.vendor || "N/A",
+        productType: v.productType || "N/A",
+      },
+      line.variantId
+    );
+    if (comparison) {
+      entry.compareNetSold += line.netSold;
+      if (line.location) {
+        entry.compareLocationSold ??= {};
+        entry.compareLocationSold[line.location] =
+          (entry.compareLocationSold[line.location] ?? 0) + line.netSold;
+      }
+      continue;
+    }
+    entry.grossSold += line.grossSold;
+    entry.returnedQty += line.returnedQty;
+    entry.netItemsSold += line.netSold;
+    if (!line.location) {
+      entry.unfulfilledSold += line.netSold;
+      continue;
+    }
+    if (!locationNames.includes(line.location)) {
+      locationNames.push(line.location);
+    }
+    entry.locationSold[line.location] =
+      (entry.locationSold[line.location] ?? 0) + line.netSold;
+  }
+
+  return stats;
+}
+
+/**
+ * Copies each variant's inventory levels onto its rows: `available` into
+ * `locations` (what the reorder maths and pick lists read) and every state
+ * into `quantities[location]`.
+ */
+function mergeInventoryIntoRows(rowsByVariant, locationNames, variants) {
+  for (const variant of variants) {
+    const rows = rowsByVariant.get(variant.id) ?? [];
+    const levels = variant.inventoryItem?.inventoryLevels?.edges ?? [];
+
+    for (const { node } of levels) {
+      const locName = node.location?.name || "Unknown";
+      if (!locationNames.includes(locName)) locationNames.push(locName);
+
+      // ✅ Always numeric, never "-"
+      const quantities = {};
+      for (const q of node.quantities ?? []) {
+        quantities[q.name] = Number.isFinite(q.quantity) ? q.quantity : 0;
+      }
+
+      for (const row of rows) {
+        row.locations[locName] = quantities.available ?? 0;
+        row.quantities[locName] = quantities;
+      }
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                             Prisma report runner                           */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Validates the range and persists a new run. Returns `{ error }` instead of
+ * a run when the dates don't make sense in the store timezone.
+ *
+ * A scheduled run passes a preset's `relativeRange` instead of dates, which
+ * is resolved against the store timezone now, plus the schedule it belongs to.
+ *
+ * When the range (and comparison range) are whole days the sales ledger
+ * covers, sales are read from it here and the run starts at "inventory".
+ *
+ * Reorder suggestions follow the vendor rules saved when the run starts,
+ * so editing a vendor later doesn't change a finished report.
+ */
+export async function startRestockingRun(
+  admin,
+  shop,
+  {
+    startDate,
+    endDate,
+    relativeRange,
+    options = {},
+    scheduleId = null,
+    presetName = null,
+  }
+) {
+  const { shopName, ianaTimezone } = await fetchShopInfo(admin, shop);
+
+  if (relativeRange) {
+    const dates = resolveRelativeRange(relativeRange, ianaTimezone);
+    if (!dates) return { error: `Unknown date range "${relativeRange}"` };
+    ({ startDate, endDate } = dates);
+  }
+
+  const range = zonedRangeToUtc(startDate, endDate, ianaTimezone);
+  if (!range) return { error: "Invalid date input" };
+  if (range.start > range.end) {
+    return { error: "Start date must be before end date" };
+  }
+
+  const startISO = range.start.toISOString();
+  const endISO = range.end.toISOString();
+
+  let compare = {};
+  if (options.compare) {
+    const dates = comparisonDates(startDate, endDate, options.compare);
+    const compareRange =
+      dates && zonedRangeToUtc(dates.startDate, dates.endDate, ianaTimezone);
+    if (!compareRange) return { error: "Invalid comparison dates" };
+    if (compareRange.start > compareRange.end) {
+      return { error: "Comparison start must be before its end" };
+    }
+    compare = {
+      compareStartDate: dates.startDate,
+      compareEndDate: dates.endDate,
+      compareStartISO: compareRange.start.toISOString(),
+      compareEndISO: compareRange.end.toISOString(),
+    };
+  }
+
+  const days = ledgerDays(startDate, endDate);
+  const compareDays =
+    options.compare &&
+    ledgerDays(compare.compareStartDate, compare.compareEndDate);
+  const fromLedger = await ledgerCovers(
+    shop,
+    ianaTimezone,
+    options.compare ? [days, compareDays] : [days]
+  );
+
+  let locationNames;
+  let collections;
+  try {
+    locationNames = await fetchActiveLocationNames(admin);
+    collections = await resolveCollections(
+      admin,
+      options.filters?.collections ?? []
+    );
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const runOptions = {
+    ...options,
+    filters: {
+      ...EMPTY_FILTERS,
+      ...options.filters,
+      collections: collections.collections,
+    },
+    collectionProductIds: collections.productIds,
+  };
+  if (options.reorder?.enabled) {
+    runOptions.reorder = {
+      ...options.reorder,
+      vendors: await vendorReorderRules(shop),
+    };
+  }
+
+  let progress;
+  if (fromLedger) {
+    progress = await salesFromLedger(
+      shop,
+      days,
+      compareDays,
+      runOptions,
+      locationNames
+    );
+  } else {
+    const totalOrders = await fetchOrdersCount(
+      admin,
+      ordersSearchQuery(startISO, endISO)
+    );
+    progress = { totalOrders, phase: ordersPhase(totalOrders, false) };
+    if (options.compare) {
+      progress.compareTotalOrders = await fetchOrdersCount(
+        admin,
+        ordersSearchQuery(compare.compareStartISO, compare.compareEndISO)
+      );
+    }
+  }
+
+  const run = await prisma.restockingReportRun.create({
+    data: {
+      shop,
+      shopName,
+      timezone: ianaTimezone,
+      startDate: String(startDate),
+      endDate: String(endDate),
+      startISO,
+      endISO,
+      ...compare,
+      ...progress,
+      locationNames,
+      options: runOptions,
+      scheduleId,
+      presetName,
+    },
+  });
+
+  return { run };
+}
+
+/**
+ * A run's sales read from the ledger in one go, for the range and the
+ * comparison range (`compareDays`), leaving only inventory to fetch.
+ */
+async function salesFromLedger(
+  shop,
+  days,
+  compareDays,
+  options,
+  locationNames
+) {
+  const rowsByKey = {};
+  const sales = mergeLedgerIntoRows(
+    rowsByKey,
+    locationNames,
+    await ledgerSales(shop, days),
+    options
+  );
+  const progress = {
+    phase: "inventory",
+    fromLedger: true,
+    rowsByKey,
+    totalOrders: sales.orders,
+    processedOrders: sales.orders,
+    cancelledOrders: sales.cancelledOrders,
+    testOrders: sales.testOrders,
+  };
+
+  if (compareDays) {
+    const compared = mergeLedgerIntoRows(
+      rowsByKey,
+      locationNames,
+      await ledgerSales(shop, compareDays),
+      options,
+      true
+    );
+    progress.compareTotalOrders = compared.orders;
+    progress.compareOrdersDone = compared.orders;
+  }
+  return progress;
+}
+
+// Ranges with at least this many orders are read from a bulk export instead
+// of page by page.
+const BULK_ORDERS_THRESHOLD = Number(process.env.BULK_ORDERS_THRESHOLD) || 2500;
+
+function ordersPhase(orderCount, comparison) {
+  const bulk = orderCount !== null && orderCount >= BULK_ORDERS_THRESHOLD;
+  if (comparison) return bulk ? "bulkCompareOrders" : "compareOrders";
+  return bulk ? "bulkOrders" : "orders";
+}
+
+// Variants per inventory request; the query cost grows with the location count.
+function inventoryBatchSize(locationCount) {
+  return Math.max(1, Math.min(100, Math.floor(900 / (locationCount + 2))));
+}
+
+// Orders merged between saves while reading a bulk export.
+const BULK_MERGE_BATCH = 250;
+// How long to wait between checks on a bulk export Shopify is still writing.
+const BULK_POLL_MS = 1000;
+
+const isBulkPhase = (phase) =>
+  phase === "bulkOrders" || phase === "bulkCompareOrders";
+
+/**
+ * Works through the run for up to a few seconds, persisting progress after
+ * each request so the next call (or a later visit) picks up where it left
+ * off. Phases: order pages from the saved cursor, the same again for the
+ * comparison range when there is one, then inventory levels for every
+ * variant sold, from `inventoryOffset`.
+ *
+ * Large ranges read orders from a bulk export instead ("bulkOrders" and
+ * "bulkCompareOrders"): the first call starts it, later ones check on it
+ * until Shopify has written the file, then stream it from the byte offset
+ * saved in `cursor`. When Shopify won't start the export the run pages
+ * through the range as usual.
+ */
+export async function continueRestockingRun(admin, shop, runId) {
+  const run = await prisma.restockingReportRun.findUnique({
+    where: { id: runId },
+  });
+  if (!run || run.shop !== shop) throw new Error("Invalid run");
+  if (run.status !== "running") return run;
+
+  const startedAt = Date.now();
+  const MAX_MS = 3000;
+  const MAX_LOOPS = 3;
+
+  const q = ordersSearchQuery(run.startISO, run.endISO);
+  const compareQ = run.compareStartISO
+    ? ordersSearchQuery(run.compareStartISO, run.compareEndISO)
+    : null;
+  const rowsByKey = run.rowsByKey ?? {};
+  const locationNames = run.locationNames ?? [];
+
+  let phase = run.phase;
+  let cursor = run.cursor;
+  let bulkOperationId = run.bulkOperationId;
+  let bulkObjectCount = run.bulkObjectCount;
+  let inventoryOffset = run.inventoryOffset;
+  let processedOrders = run.processedOrders;
+  let compareOrdersDone = run.compareOrdersDone;
+  let pagesFetched = run.pagesFetched;
+  let ordersOverLineLimit = run.ordersOverLineLimit;
+  let ordersOverFulfillmentLimit = run.ordersOverFulfillmentLimit ?? 0;
+  let cancelledOrders = run.cancelledOrders;
+  let testOrders = run.testOrders;
+  let loops = 0;
+
+  function mergeOrders(edges, comparison) {
+    const stats = mergeOrdersIntoRows(
+      rowsByKey,
+      locationNames,
+      edges,
+      run.options ?? {},
+      comparison
+    );
+    ordersOverLineLimit += stats.ordersOverLineLimit;
+    ordersOverFulfillmentLimit += stats.ordersOverFulfillmentLimit;
+    if (comparison) {
+      compareOrdersDone += edges.length;
+    } else {
+      cancelledOrders += stats.cancelledOrders;
+      testOrders += stats.testOrders;
+      processedOrders += edges.length;
+    }
+  }
+
+  // Moves on from the range just read: to the comparison range, if any.
+  function finishOrdersPhase(comparison) {
+    phase =
+      !comparison && compareQ
+        ? ordersPhase(run.compareTotalOrders, true)
+        : "inventory";
+    cursor = null;
+    bulkOperationId = null;
+    bulkObjectCount = null;
+  }
+
+  // Only write while still running, so a cancel that landed mid-page wins.
+  async function saveOrdersProgress() {
+    const { count } = await prisma.restockingReportRun.updateMany({
+      where: { id: runId, status: "running" },
+      data: {
+        phase,
+        cursor,
+        bulkOperationId,
+        bulkObjectCount,
+        processedOrders,
+        compareOrdersDone,
+        pagesFetched,
+        ordersOverLineLimit,
+        ordersOverFulfillmentLimit,
+        cancelledOrders,
+        testOrders,
+        rowsByKey,
+        locationNames,
+      },
+    });
+    return count > 0;
+  }
+
+  while (Date.now() - startedAt < MAX_MS && loops < MAX_LOOPS) {
+    loops++;
+    // Paged queries wait on Shopify's query cost themselves (`adminQuery`);
+    // only a bulk export still being written is worth pausing for.
+    let pause = 0;
+
+    if (phase === "orders" || phase === "compareOrders") {
+      const comparison = phase === "compareOrders";
+      let page;
+      try {
+        page = await fetchOrdersPage(admin, comparison ? compareQ : q, cursor);
+      } catch (err) {
+        return finishRun(runId, { status: "error", error: err.message });
+      }
+
+      mergeOrders(page.edges, comparison);
+      pagesFetched++;
+      cursor = page.nextCursor;
+      if (!page.hasNextPage) finishOrdersPhase(comparison);
+
+      if (!(await saveOrdersProgress())) break;
+    } else if (isBulkPhase(phase)) {
+      const comparison = phase === "bulkCompareOrders";
+      let op = null;
+
+      try {
+        if (!bulkOperationId) {
+          const started = await startBulkOrders(
+            admin,
+            comparison ? compareQ : q
+          );
+          if (started.error) {
+            console.warn(`Bulk export not started, paging: ${started.error}`);
+            phase = comparison ? "compareOrders" : "orders";
+          } else {
+            bulkOperationId = started.id;
+            pause = BULK_POLL_MS;
+          }
+        } else {
+          op = await fetchBulkOperation(admin, bulkOperationId);
+          bulkObjectCount = op.objectCount;
+        }
+
+        if (op?.status === "CREATED" || op?.status === "RUNNING") {
+          pause = BULK_POLL_MS;
+        } else if (op?.status === "COMPLETED") {
+          const orders = op.url
+            ? downloadBulkOrders(op.url, Number(cursor) || 0)
+            : [];
+          let batch = [];
+          let finished = true;
+          for await (const { edge, end } of orders) {
+            batch.push(edge);
+            if (end !== null && batch.length >= BULK_MERGE_BATCH) {
+              mergeOrders(batch, comparison);
+              batch = [];
+              cursor = String(end);
+              if (Date.now() - startedAt >= MAX_MS) {
+                finished = false;
+                break;
+              }
+            }
+          }
+          mergeOrders(batch, comparison);
+          if (finished) finishOrdersPhase(comparison);
+        } else if (op) {
+          const code = op.errorCode ? ` (${op.errorCode})` : "";
+          throw new Error(
+            `Shopify's bulk export of orders ended ${op.status.toLowerCase()}${code}`
+          );
+        }
+      } catch (err) {
+        return finishRun(runId, { status: "error", error: err.message });
+      }
+
+      // Cancelled meanwhile: the export is no use to anyone now.
+      if (!(await saveOrdersProgress())) {
+        if (bulkOperationId && op?.status !== "COMPLETED") {
+          await cancelBulkOperation(admin, bulkOperationId);
+        }
+        break;
+      }
+    } else {
+      const rowsByVariant = groupRowsByVariant(rowsByKey);
+      const variantIds = [...rowsByVariant.keys()].sort();
+      const batch = variantIds.slice(
+        inventoryOffset,
+        inventoryOffset + inventoryBatchSize(locationNames.length)
+      );
+
+      if (batch.length) {
+        let variants;
+        try {
+          variants = await fetchInventoryBatch(
+            admin,
+            batch,
+            Math.max(1, locationNames.length)
+          );
+        } catch (err) {
+          return finishRun(runId, { status: "error", error: err.message });
+        }
+        mergeInventoryIntoRows(rowsByVariant, locationNames, variants);
+        inventoryOffset += batch.length;
+      }
+
+      if (inventoryOffset >= variantIds.length) {
+        await attachReceiptDates(shop, rowsByKey);
+        return finishRun(runId, {
+          status: "done",
+          done: true,
+          inventoryOffset,
+          rowsByKey,
+          locationNames,
+        });
+      }
+
+      const { count } = await prisma.restockingReportRun.updateMany({
+        where: { id: runId, status: "running" },
+        data: { inventoryOffset, rowsByKey, locationNames },
+      });
+      if (count === 0) break;
+    }
+
+    if (pause) await sleep(pause);
+  }
+
+  return prisma.restockingReportRun.findUnique({ where: { id: runId } });
+}
+
+// Rows share a variant when a SKU was retitled mid-range.
+function groupRowsByVariant(rowsByKey) {
+  const map = new Map();
+  for (const row of Object.values(rowsByKey)) {
+    if (!row.variantId) continue;
+    if (!map.has(row.variantId)) map.set(row.variantId, []);
+    map.get(row.variantId).push(row);
+  }
+  return map;
+}
+
+// Stocky receiving history, snapshotted onto the rows when the run finishes.
+async function attachReceiptDates(shop, rowsByKey) {
+  const rows = Object.values(rowsByKey);
+  const receipts = await receiptDatesBySku(shop, [
+    ...new Set(rows.map((r) => r.sku)),
+  ]);
+  for (const row of rows) {
+    row.firstReceivedAt = receipts[row.sku]?.firstReceivedAt ?? null;
+    row.lastReceivedAt = receipts[row.sku]?.lastReceivedAt ?? null;
+  }
+}
+
+async function finishRun(runId, data) {
+  await prisma.restockingReportRun.updateMany({
+    where: { id: runId, status: "running" },
+    data: { ...data, completedAt: new Date() },
+  });
+  return prisma.restockingReportRun.findUnique({ where: { id: runId } });
+}
+
+/**
+ * Stops a running run. With `admin`, a bulk export it is waiting on is
+ * cancelled too, which frees the shop's bulk query for the next run.
+ */
+export async function cancelRestockingRun(shop, runId, admin = null) {
+  const { count } = await prisma.restockingReportRun.updateMany({
+    where: { id: runId, shop, status: "running" },
+    data: { status: "cancelled", completedAt: new Date() },
+  });
+  const run = await getRestockingRun(shop, runId);
+  if (count && admin && run.bulkOperationId && isBulkPhase(run.phase)) {
+    await cancelBulkOperation(admin, run.bulkOperationId);
+  }
+  return run;
+}
+
+export async function getRestockingRun(shop, runId) {
+  const run = await prisma.restockingReportRun.findUnique({
+    where: { id: runId },
+  });
+  return run && run.shop === shop ? run : null;
+}
+
+export async function listRestockingRuns(shop, take = 10, skip = 0) {
+  return prisma.restockingReportRun.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take,
+    skip,
+    select: {
+      id: true,
+      createdAt: true,
+      completedAt: true,
+      startDate: true,
+      endDate: true,
+      status: true,
+      processedOrders: true,
+      presetName: true,
+      scheduleId: true,
+    },
+  });
+}
+
+export async function countRestockingRuns(shop) {
+  return prisma.restockingReportRun.count({ where: { shop } });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Views of a run                               */
+/* -------------------------------------------------------------------------- */
+
+/** Progress summary the page polls for while a run is in flight. */
+export function runProgress(run) {
+  return {
+    id: run.id,
+    status: run.status,
+    error: run.error,
+    startDate: run.startDate,
+    endDate: run.endDate,
+    phase: run.phase,
+    processedOrders: run.processedOrders,
+    pagesFetched: run.pagesFetched,
+    totalOrders: run.totalOrders,
+    compareOrdersDone: run.compareOrdersDone,
+    compareTotalOrders: run.compareTotalOrders,
+    bulk: isBulkPhase(run.phase),
+    bulkObjectCount: run.bulkObjectCount,
+    inventoryChecked: run.inventoryOffset,
+    variantCount: groupRowsByVariant(run.rowsByKey ?? {}).size,
+  };
+}
+
+/**
+ * "Excluded N cancelled and M test orders", or "" when the run included
+ * both (or predates the exclusions and has no such options).
+ */
+function excludedOrdersNote(run) {
+  const options = run.options ?? {};
+  const parts = [];
+  if (options.includeCancelled === false) {
+    parts.push(`${run.cancelledOrders} cancelled`);
+  }
+  if (options.includeTest === false) parts.push(`${run.testOrders} test`);
+  return parts.length ? `Excluded ${parts.join(" and ")} orders` : "";
+}
+
+// No comparison figure when the comparison range wasn't split by location.
+function comparedSales(row) {
+  return row.compareNetSold === null
+    ? { soldChange: null, soldChangePct: null }
+    : salesChange(row.netItemsSold, row.compareNetSold ?? 0);
+}
+
+/**
+ * A row's sales at the locations a location filter kept, from the units
+ * each of them sold, so velocity and reorder quantities match the stock
+ * counted there. Returns aren't split by location, so gross and returned
+ * are left blank, and units no location sold (unfulfilled) don't count.
+ * Rows from runs that predate the split keep their shop-wide sales.
+ */
+function salesAtLocations(row, locationNames) {
+  if (!row.locationSold) return row;
+  const at = (byLocation) =>
+    locationNames.reduce((sum, loc) => sum + (byLocation[loc] ?? 0), 0);
+  return {
+    ...row,
+    grossSold: null,
+    returnedQty: null,
+    netItemsSold: at(row.locationSold),
+    unfulfilledSold: 0,
+    compareNetSold: row.compareLocationSold
+      ? at(row.compareLocationSold)
+      : null,
+  };
+}
+
+/**
+ * The finished report in the shape the results table and the exports use.
+ * `timestamp` is when the run completed, in the store timezone. Transfer
+ * suggestions are worked out when reorder suggestions are on (they count
+ * transfers as stock) or `withTransfers` asks for them; `transfers` is
+ * empty and `transferSettings` null otherwise.
+ */
+export function runToReport(run, { withTransfers = false } = {}) {
+  const truncatedReasons = [];
+  if (run.ordersOverLineLimit) {
+    truncatedReasons.push(
+      `${run.ordersOverLineLimit} order(s) have more than 100 line items; only the first 100 of each are counted.`
+    );
+  }
+  if (run.ordersOverFulfillmentLimit) {
+    truncatedReasons.push(
+      `${run.ordersOverFulfillmentLimit} order(s) have ${FULFILLMENTS_PER_ORDER} or more fulfillments, or more than 100 lines in one; units in the fulfillments not read are counted as unfulfilled or at the POS location.`
+    );
+  }
+
+  const options = run.options ?? {};
+  const locationFilter = options.filters?.locations ?? [];
+  const locationNames = (run.locationNames ?? []).filter(
+    (loc) => !locationFilter.length || locationFilter.includes(loc)
+  );
+  const rangeDays =
+    (new Date(run.endISO) - new Date(run.startISO)) / 86_400_000;
+
+  const comparison = run.compareStartISO
+    ? {
+        mode: options.compare?.mode,
+        startDate: run.compareStartDate,
+        endDate: run.compareEndDate,
+        orderCount: run.compareOrdersDone,
+      }
+    : null;
+
+  let rows = Object.values(run.rowsByKey ?? {})
+    .map((r) =>
+      locationFilter.length ? salesAtLocations(r, locationNames) : r
+    )
+    .map((r) => ({
+      grossSold: r.netItemsSold,
+      returnedQty: 0,
+      quantities: {},
+      ...r,
+      ...(comparison ? comparedSales(r) : {}),
+      firstReceived: formatDate(r.firstReceivedAt, run.timezone),
+      lastReceived: formatDate(r.lastReceivedAt, run.timezone),
+    }))
+    .filter(
+      (r) =>
+        !locationFilter.length ||
+        locationNames.some(
+          (loc) => loc in (r.locations ?? {}) || r.locationSold?.[loc]
+        )
+    )
+    .sort((a, b) => a.sku.localeCompare(b.sku));
+
+  // Runs from before sales were attributed have no `locationSold`.
+  const salesByLocation = rows.every((r) => r.locationSold);
+
+  // Stock is moved between locations before any of it is ordered.
+  const reorder = options.reorder?.enabled ? options.reorder : null;
+  const transferSettings =
+    reorder || withTransfers ? (reorder ?? DEFAULT_REORDER_SETTINGS) : null;
+  if (transferSettings) {
+    rows = withTransferSuggestions(
+      rows,
+      locationNames,
+      rangeDays,
+      transferSettings
+    );
+  }
+  if (reorder) {
+    rows = withReorderSuggestions(rows, locationNames, rangeDays, reorder);
+  }
+  const vendorMinimums = reorder ? vendorMinimumShortfalls(rows, reorder) : [];
+
+  return {
+    runId: run.id,
+    rows,
+    locationNames,
+    salesByLocation,
+    quantityStates: options.quantityStates ?? DEFAULT_QUANTITY_STATES,
+    reorder,
+    vendorMinimums,
+    transfers: transferSettings ? transferList(rows) : [],
+    transferSettings,
+    comparison,
+    rangeDays,
+    timestamp: formatTimestamp(run.completedAt ?? run.updatedAt, run.timezone),
+    startDate: run.startDate,
+    endDate: run.endDate,
+    shopName: run.shopName,
+    shopTimezone: run.timezone,
+    orderCount: run.processedOrders,
+    fromLedger: Boolean(run.fromLedger),
+    excludedOrders: excludedOrdersNote(run),
+    filters: describeFilters(options.filters),
+    truncated: truncatedReasons.length > 0,
+    truncatedReasons,
+  };
+}
@@ -4,113 +4,104 @@ import {
   Card,
   Layout,
   BlockStack,
+  InlineStack,
+  Banner,
   Text,
   Button,
   TextField,
-  Spinner,
+  ChoiceList,
+  Scrollable,
+  Select,
+  ProgressBar,
+  IndexTable,
+  Popover,
+  Box,
+  Checkbox,
 } from "@shopify/polaris";
-import { useState } from "react";
-import {
-  useActionData,
-  useNavigation,
-  useLoaderData,
-  Form,
-} from "react-router-dom";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useFetcher, useLoaderData, useSearchParams } from "react-router-dom";
 import { authenticate } from "../shopify.server";
+import {
+  cancelRestockingRun,
+  continueRestockingRun,
+  fetchFilterChoices,
+  fetchShopInfo,
+  getRestockingRun,
+  listRestockingRuns,
+  runProgress,
+  runToReport,
+  startRestockingRun,
+} from "../restocking-report.server";
+import { downloadExport } from "../download";
+import {
+  listPresets,
+  parsePresetForm,
+  parseReportOptions,
+  savePreset,
+} from "../report-presets.server";
+import {
+  emailSettings,
+  queueReportEmail,
+  sendDelivery,
+} from "../report-email.server";
+import { renderReportOptionFields, useReportOptionsForm } from "../report-form";
+import { EMAIL_FORMATS, parseEmailForm } from "../report-email";
+import { compareModeLabel } from "../report-compare";
+import { RELATIVE_RANGES, resolveRelativeRange } from "../timezone";
+import { compareByColumn, reportColumns, rowKey } from "../report-columns";
+import { createPurchaseOrders } from "../purchase-orders.server";
+import { poNumber, vendorLabel } from "../purchase-orders";
+import { vendorMinimumNote } from "../reorder";
+
+const PAGE_SIZE = 50;
+
+function runPayload(run) {
+  if (!run) return { run: null, report: null };
+  return {
+    run: runProgress(run),
+    report: run.status === "done" ? runToReport(run) : null,
+  };
+}
 
 /* -------------------------------------------------------------------------- */
-/*                             Helper: TZ Mapping                             */
+/*                        LOADER (store name, saved runs)                     */
 /* -------------------------------------------------------------------------- */
 
-const RAILS_TZ_TO_IANA = {
-  "Eastern Time (US & Canada)": "America/New_York",
-  "Central Time (US & Canada)": "America/Chicago",
-  "Mountain Time (US & Canada)": "America/Denver",
-  "Pacific Time (US & Canada)": "America/Los_Angeles",
-};
-
-function zonedDateTimeToUtc(datetimeStr, timeZone) {
-  if (!datetimeStr) return null;
-
-  const [datePart, timePart] = datetimeStr.split("T");
-  if (!datePart || !timePart) return null;
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const [{ shopName, ianaTimezone }, filterChoices, presets] =
+    await Promise.all([
+      fetchShopInfo(admin, session.shop),
+      fetchFilterChoices(admin, session.shop),
+      listPresets(session.shop),
+    ]);
 
-  const [yearStr, monthStr, dayStr] = datePart.split("-");
-  const [hourStr, minuteStr = "0"] = timePart.split(":");
+  const runId = new URL(request.url).searchParams.get("run");
+  const run = runId ? await getRestockingRun(session.shop, runId) : null;
 
-  const year = Number(yearStr);
-  const month = Number(monthStr);
-  const day = Number(dayStr);
-  const hour = Number(hourStr);
-  const minute = Number(minuteStr);
+  return {
+    shopName,
+    shopTimezone: ianaTimezone,
+    filterChoices,
+    presets,
+    email: emailSettings(),
+    recentRuns: await listRestockingRuns(session.shop),
+    ...runPayload(run),
+  };
+}
 
+// Progress polling shouldn't re-run the loader (and its Admin API calls)
+// every few hundred milliseconds.
+export function shouldRevalidate({ formData, defaultShouldRevalidate }) {
+  const intent = formData?.get("intent");
   if (
-    [year, month, day, hour, minute].some(
-      (n) => Number.isNaN(n) || !Number.isFinite(n)
-    )
+    intent === "reportContinue" ||
+    intent === "reportEmail" ||
+    intent === "purchaseOrdersCreate"
   ) {
-    return null;
+    return false;
   }
-
-  const naiveUtc = new Date(Date.UTC(year, month - 1, day, hour, minute, 0, 0));
-
-  const dtf = new Intl.DateTimeFormat("en-US", {
-    timeZone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false,
-  });
-
-  const parts = dtf.formatToParts(naiveUtc);
-  const map = {};
-  for (const p of parts) {
-    if (p.type !== "literal") {
-      map[p.type] = p.value;
-    }
-  }
-
-  const localAsIfUtcMs = Date.UTC(
-    Number(map.year),
-    Number(map.month) - 1,
-    Number(map.day),
-    Number(map.hour),
-    Number(map.minute),
-    Number(map.second)
-  );
-
-  const offsetMs = localAsIfUtcMs - naiveUtc.getTime();
-  return new Date(naiveUtc.getTime() - offsetMs);
-}
-
-/* -------------------------------------------------------------------------- */
-/*                               LOADER (store name)                          */
-/* -------------------------------------------------------------------------- */
-
-export async function loader({ request }) {
-  const { admin, session } = await authenticate.admin(request);
-
-  const SHOP_NAME_QUERY = `
-    query StoreName {
-      shop { name }
-    }
-  `;
-
-  let shopName = session.shop;
-  try {
-    const resp = await admin.graphql(SHOP_NAME_QUERY);
-    const json = await resp.json();
-    if (json?.data?.shop?.name) {
-      shopName = json.data.shop.name;
-    }
-  } catch (err) {
-    console.error("Error fetching store name:", err);
-  }
-
-  return { shopName };
+  return defaultShouldRevalidate;
 }
 
 /* -------------------------------------------------------------------------- */
@@ -118,183 +109,83 @@ export async function loader({ request }) {
 /* -------------------------------------------------------------------------- */
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
   const formData = await request.formData();
+  const intent = String(formData.get("intent"));
 
-  const startDateStr = formData.get("startDate");
-  const endDateStr = formData.get("endDate");
+  if (intent === "reportStart") {
+    const { run, error } = await startRestockingRun(admin, shop, {
+      startDate: formData.get("startDate"),
+      endDate: formData.get("endDate"),
+      options: parseReportOptions(formData),
+    });
+    if (error) return { error };
 
-  const SHOP_TZ_QUERY = `
-    query ShopTimezone {
-      shop { timezone }
-    }
-  `;
-
-  let storeRailsTz = "Eastern Time (US & Canada)";
-  let storeIanaTz = "America/New_York";
-
-  try {
-    const shopResp = await admin.graphql(SHOP_TZ_QUERY);
-    const shopJson = await shopResp.json();
-    const tz = shopJson?.data?.shop?.timezone;
-    if (tz && typeof tz === "string") {
-      storeRailsTz = tz;
-      storeIanaTz = RAILS_TZ_TO_IANA[tz] || "UTC";
-    }
-  } catch (err) {
-    console.error("Error fetching shop timezone:", err);
+    return runPayload(await continueRestockingRun(admin, shop, run.id));
   }
 
-  const startUTC = zonedDateTimeToUtc(startDateStr, storeIanaTz);
-  const endUTC = zonedDateTimeToUtc(endDateStr, storeIanaTz);
+  if (intent === "reportContinue") {
+    const runId = String(formData.get("runId"));
+    return runPayload(await continueRestockingRun(admin, shop, runId));
+  }
 
-  if (!startUTC || !endUTC) {
-    return {
-      rows: [],
-      locationNames: [],
-      timestamp: new Date().toLocaleString("en-US", {
-        timeZone: storeIanaTz,
-      }),
-      startDate: startDateStr,
-      endDate: endDateStr,
-      error: "Invalid date input",
-      shopTimezone: storeRailsTz,
-    };
+  if (intent === "presetSave") {
+    const id = String(formData.get("presetId") || "") || null;
+    const { preset, error } = await savePreset(
+      shop,
+      id,
+      parsePresetForm(formData)
+    );
+    return error ? { error } : { savedPreset: preset.name };
   }
 
-  endUTC.setSeconds(59, 999);
-
-  const ORDERS_QUERY = `
-    query RestockingReportOrders($cursor: String) {
-      orders(first: 50, after: $cursor, sortKey: CREATED_AT, reverse: true) {
-        edges {
-          cursor
-          node {
-            createdAt
-            lineItems(first: 50) {
-              edges {
-                node {
-                  quantity
-                  product { title vendor productType }
-                  variant {
-                    title
-                    sku
-                    inventoryItem {
-                      inventoryLevels(first: 5) {
-                        edges {
-                          node {
-                            quantities(names: "available") {
-                              name
-                              quantity
-                            }
-                            location { name }
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-        pageInfo { hasNextPage endCursor }
-      }
-    }
-  `;
-
-  let allOrders = [];
-  let cursor = null;
-  let hasNextPage = true;
-  let pageCount = 0;
-
-  while (hasNextPage) {
-    const response = await admin.graphql(ORDERS_QUERY, { variables: { cursor } });
-    const data = await response.json();
-    if (data.errors) break;
-
-    const connection = data?.data?.orders;
-    if (!connection) break;
-
-    for (const edge of connection.edges || []) {
-      const createdUTC = new Date(edge.node.createdAt);
-      if (createdUTC >= startUTC && createdUTC <= endUTC) {
-        allOrders.push(edge);
-      }
-    }
+  if (intent === "reportEmail") {
+    const run = await getRestockingRun(shop, String(formData.get("runId")));
+    if (run?.status !== "done") return { error: "Report run not found" };
 
-    cursor = connection.pageInfo.endCursor;
-    hasNextPage = connection.pageInfo.hasNextPage;
+    const { recipients, formats, error } = parseEmailForm(formData);
+    if (error) return { error };
+    if (!recipients.length) return { error: "Add at least one recipient" };
+    if (!formats.length) return { error: "Choose at least one attachment" };
 
-    pageCount++;
-    if (pageCount > 20 || allOrders.length > 500) break;
+    const queued = await queueReportEmail(shop, run, { recipients, formats });
+    const delivery = await sendDelivery(queued.id);
+    return {
+      emailed: {
+        status: delivery.status,
+        recipients: delivery.recipients,
+        error: delivery.lastError,
+      },
+    };
   }
 
-  const rawRows = [];
-  const locationNames = new Set();
-
-  for (const order of allOrders) {
-    for (const li of order.node.lineItems.edges) {
-      const n = li.node;
-      const p = n.product;
-      const v = n.variant;
-
-      // ✅ REMOVE items with no SKU
-      if (!v?.sku) continue;
-
-      const locData = {};
-      const levels = v?.inventoryItem?.inventoryLevels?.edges || [];
-
-      for (const lvl of levels) {
-        const locName = lvl.node.location?.name || "Unknown";
-        const available = lvl.node.quantities?.find(
-          (q) => q.name === "available"
-        );
-        locationNames.add(locName);
-
-        // ✅ Always numeric, never "-"
-        locData[locName] = Number.isFinite(available?.quantity)
-          ? available.quantity
-          : 0;
-      }
-
-      rawRows.push({
-        productTitle: p?.title || "N/A",
-        productVariantTitle: v?.title || "N/A",
-        sku: v.sku,
-        vendor: p?.vendor || "N/A",
-        productType: p?.productType || "N/A",
-        netItemsSold: n.quantity,
-        locations: locData,
-      });
-    }
+  if (intent === "purchaseOrdersCreate") {
+    const run = await getRestockingRun(shop, String(formData.get("runId")));
+    if (run?.status !== "done") return { error: "Report run not found" };
+
+    const { purchaseOrders, error } = await createPurchaseOrders(
+      admin,
+      shop,
+      run,
+      formData.getAll("rowKey").map(String)
+    );
+    if (error) return { error };
+    return {
+      purchaseOrders: purchaseOrders.map(({ id, number, vendor }) => ({
+        id,
+        number,
+        vendor,
+      })),
+    };
   }
 
-  const grouped = {};
-  for (const r of rawRows) {
-    const key = `${r.productTitle}||${r.productVariantTitle}||${r.sku}`;
-    if (!grouped[key]) {
-      grouped[key] = {
-        ...r,
-        netItemsSold: 0,
-        locations: {},
-      };
-    }
-
-    grouped[key].netItemsSold += r.netItemsSold;
-    Object.assign(grouped[key].locations, r.locations);
+  if (intent === "reportCancel") {
+    const runId = String(formData.get("runId"));
+    return runPayload(await cancelRestockingRun(shop, runId, admin));
   }
 
-  return {
-    rows: Object.values(grouped).sort((a, b) => a.sku.localeCompare(b.sku)),
-    locationNames: Array.from(locationNames),
-    timestamp: new Date().toLocaleString("en-US", {
-      timeZone: storeIanaTz,
-    }),
-    startDate: startDateStr,
-    endDate: endDateStr,
-    shopTimezone: storeRailsTz,
-  };
+  return { error: "Unknown intent" };
 };
 
 /* -------------------------------------------------------------------------- */
@@ -302,44 +193,278 @@ export const action = async ({ request }) => {
 /* -------------------------------------------------------------------------- */
 
 export default function RestockingReport() {
-  const { shopName } = useLoaderData();
-  const data = useActionData();
-  const navigation = useNavigation();
+  const loaderData = useLoaderData();
+  const { shopName, shopTimezone, filterChoices, presets, email, recentRuns } =
+    loaderData;
+  const fetcher = useFetcher();
+  const presetFetcher = useFetcher();
+  const emailFetcher = useFetcher();
+  const poFetcher = useFetcher();
+  const formRef = useRef(null);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   const [startDate, setStartDate] = useState("");
   const [endDate, setEndDate] = useState("");
+  const optionsForm = useReportOptionsForm();
+  const [presetId, setPresetId] = useState("");
+  const [presetName, setPresetName] = useState("");
+  const [presetRange, setPresetRange] = useState("last_7_days");
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [columnsOpen, setColumnsOpen] = useState(false);
+  const [emailOpen, setEmailOpen] = useState(false);
+  const [emailRecipients, setEmailRecipients] = useState("");
+  const [emailFormats, setEmailFormats] = useState(["csv"]);
+  const [selectedKeys, setSelectedKeys] = useState([]);
+
+  const runId = searchParams.get("run");
+  const fetched = fetcher.data?.run;
+  const { run, report: data } =
+    fetched && fetched.id === runId ? fetcher.data : loaderData;
+
+  const running = run?.status === "running";
+  const starting =
+    fetcher.state !== "idle" &&
+    fetcher.formData?.get("intent") === "reportStart";
+
+  const openRun = useCallback(
+    (id) => {
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        if (id) next.set("run", id);
+        else next.delete("run");
+        next.delete("page");
+        return next;
+      });
+    },
+    [setSearchParams]
+  );
+
+  /* ---------- Results view state (kept in the URL) ---------- */
+
+  const search = searchParams.get("q") ?? "";
+  const sortDirection =
+    searchParams.get("dir") === "desc" ? "descending" : "ascending";
+  const hiddenIds = new Set(
+    (searchParams.get("hide") ?? "")
+      .split(",")
+      .filter(Boolean)
+      .map(decodeURIComponent)
+  );
 
-  const loading = navigation.state === "submitting";
+  const columns = useMemo(() => (data ? reportColumns(data) : []), [data]);
+  const visibleColumns = columns.filter((c) => !hiddenIds.has(c.id));
+  const sortColumn =
+    visibleColumns.find((c) => c.id === searchParams.get("sort")) ??
+    visibleColumns.find((c) => c.id === "sku") ??
+    visibleColumns[0];
+
+  const viewRows = useMemo(() => {
+    if (!data) return [];
+    const needle = search.trim().toLowerCase();
+    const rows = needle
+      ? data.rows.filter((r) =>
+          [r.productTitle, r.productVariantTitle, r.sku].some((v) =>
+            String(v ?? "")
+              .toLowerCase()
+              .includes(needle)
+          )
+        )
+      : [...data.rows];
+    if (!sortColumn) return rows;
+    const compare = compareByColumn(sortColumn);
+    return rows.sort(
+      sortDirection === "descending" ? (a, b) => compare(b, a) : compare
+    );
+  }, [data, search, sortColumn, sortDirection]);
+
+  const pageCount = Math.max(1, Math.ceil(viewRows.length / PAGE_SIZE));
+  const currentPage = Math.min(
+    pageCount,
+    Math.max(1, Number.parseInt(searchParams.get("page") ?? "1", 10) || 1)
+  );
+  const pageRows = viewRows.slice(
+    (currentPage - 1) * PAGE_SIZE,
+    currentPage * PAGE_SIZE
+  );
+
+  // Any change other than paging starts back on page 1.
+  function setView(changes) {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        for (const [key, value] of Object.entries(changes)) {
+          if (value === null || value === "") next.delete(key);
+          else next.set(key, value);
+        }
+        if (!("page" in changes)) next.delete("page");
+        return next;
+      },
+      { replace: true }
+    );
+  }
+
+  function goToPage(page) {
+    setView({ page: page > 1 ? String(page) : null });
+  }
+
+  /* ---------- Row selection (for purchase orders) ---------- */
+
+  const selectedSet = new Set(selectedKeys);
+
+  useEffect(() => setSelectedKeys([]), [data?.runId]);
+
+  // Selection outlives paging and searching; "all" means every matching row.
+  function handleSelectionChange(type, selecting, selection) {
+    let ids;
+    if (type === "single") ids = [selection];
+    else if (type === "all") ids = viewRows.map(rowKey);
+    else if (type === "page") ids = pageRows.map(rowKey);
+    else ids = pageRows.slice(selection[0], selection[1] + 1).map(rowKey);
+
+    setSelectedKeys((keys) =>
+      selecting
+        ? [...new Set([...keys, ...ids])]
+        : keys.filter((k) => !ids.includes(k))
+    );
+  }
+
+  function createPurchaseOrdersFromSelection() {
+    const body = new FormData();
+    body.set("intent", "purchaseOrdersCreate");
+    body.set("runId", data.runId);
+    for (const key of selectedKeys) body.append("rowKey", key);
+    poFetcher.submit(body, { method: "post" });
+  }
+
+  useEffect(() => {
+    if (poFetcher.state === "idle" && poFetcher.data?.purchaseOrders) {
+      setSelectedKeys([]);
+    }
+  }, [poFetcher.state, poFetcher.data]);
+
+  /* ---------- Presets ---------- */
+
+  const selectedPreset = presets.find((p) => p.id === presetId);
+  const updatesPreset = selectedPreset?.name === presetName.trim();
+
+  function applyPreset(id) {
+    setPresetId(id);
+    const preset = presets.find((p) => p.id === id);
+    if (!preset) return;
+
+    const range = resolveRelativeRange(preset.range, shopTimezone);
+    if (range) {
+      setStartDate(range.startDate);
+      setEndDate(range.endDate);
+    }
+    optionsForm.reset(preset.options);
+    setPresetName(preset.name);
+    setPresetRange(preset.range);
+    setView({
+      hide: preset.hiddenColumns.map(encodeURIComponent).join(",") || null,
+    });
+  }
+
+  function savePresetFromForm() {
+    const body = new FormData(formRef.current);
+    body.set("intent", "presetSave");
+    body.set("presetId", updatesPreset ? presetId : "");
+    body.set("presetName", presetName);
+    body.set("presetRange", presetRange);
+    for (const id of hiddenIds) body.append("hiddenColumns", id);
+    presetFetcher.submit(body, { method: "post" });
+  }
+
+  function showColumns(selected) {
+    if (selected.length === 0) return;
+    const hide = columns
+      .filter((c) => !selected.includes(c.id))
+      .map((c) => encodeURIComponent(c.id));
+    setView({ hide: hide.join(",") || null });
+  }
+
+  /* ---------- Follow a freshly started run ---------- */
+
+  // Only a run id the fetcher hasn't returned before is followed, so opening
+  // another run from the history doesn't jump back to it.
+  const fetchedId = fetched?.id;
+  const followedId = useRef(null);
+  useEffect(() => {
+    if (!fetchedId || fetchedId === followedId.current) return;
+    followedId.current = fetchedId;
+    if (fetchedId !== runId) openRun(fetchedId);
+  }, [fetchedId, runId, openRun]);
+
+  /* ---------- Poll loop ---------- */
+
+  useEffect(() => {
+    if (!running || fetcher.state !== "idle") return;
+
+    const t = setTimeout(() => {
+      fetcher.submit(
+        { intent: "reportContinue", runId: run.id },
+        { method: "post" }
+      );
+    }, 350);
+
+    return () => clearTimeout(t);
+  }, [running, run?.id, fetcher]);
+
+  async function handleExport(format) {
+    setExporting(format);
+    setExportError(null);
+    try {
+      await downloadExport("/app/report-export", {
+        format,
+        runId: data.runId,
+      });
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  }
+
+  const inventoryPhase = run?.phase === "inventory";
+  const comparePhase =
+    run?.phase === "compareOrders" || run?.phase === "bulkCompareOrders";
+  const [ordersDone, ordersTotal] = comparePhase
+    ? [run.compareOrdersDone, run.compareTotalOrders]
+    : [run?.processedOrders, run?.totalOrders];
+  const progress = inventoryPhase
+    ? run.variantCount > 0
+      ? Math.round((run.inventoryChecked / run.variantCount) * 100)
+      : 100
+    : ordersTotal > 0
+      ? Math.min(100, Math.round((ordersDone / ordersTotal) * 100))
+      : null;
 
   return (
     <Page title={`Restocking Report (${shopName})`}>
-      <style>
-        {`
-          table {
-            border-collapse: collapse;
-            width: 100%;
-          }
-          th, td {
-            border: 1px solid #000;
-            padding: 6px;
-            text-align: left;
-            vertical-align: top;
-            word-break: break-word;
-          }
-          th {
-            background: #f2f2f2;
-            font-weight: bold;
-          }
-        `}
-      </style>
-
       <Layout>
         <Layout.Section>
           <Card>
             <BlockStack gap="400">
               <Text variant="headingLg">Restocking Report</Text>
 
-              <Form method="post">
+              <InlineStack gap="200" blockAlign="end">
+                <Select
+                  label="Preset"
+                  options={[
+                    { label: "Choose a preset", value: "" },
+                    ...presets.map((p) => ({ label: p.name, value: p.id })),
+                  ]}
+                  value={presetId}
+                  onChange={applyPreset}
+                />
+                <Button variant="plain" url="/app/report-presets">
+                  Manage presets
+                </Button>
+              </InlineStack>
+
+              <fetcher.Form method="post" ref={formRef}>
+                <input type="hidden" name="intent" value="reportStart" />
                 <BlockStack gap="200">
                   <TextField
                     label="Start Date"
@@ -357,18 +482,97 @@ export default function RestockingReport() {
                     onChange={setEndDate}
                     required
                   />
-                  <Button submit primary>Run Report</Button>
+                  {renderReportOptionFields(optionsForm, filterChoices)}
+                  <Button submit primary loading={starting} disabled={running}>
+                    Run Report
+                  </Button>
                 </BlockStack>
-              </Form>
+              </fetcher.Form>
+
+              <InlineStack gap="200" blockAlign="end">
+                <TextField
+                  label="Preset name"
+                  value={presetName}
+                  onChange={setPresetName}
+                  autoComplete="off"
+                />
+                <Select
+                  label="Preset date range"
+                  options={RELATIVE_RANGES}
+                  value={presetRange}
+                  onChange={setPresetRange}
+                />
+                <Button
+                  onClick={savePresetFromForm}
+                  loading={presetFetcher.state !== "idle"}
+                  disabled={!presetName.trim()}
+                >
+                  {updatesPreset ? "Update preset" : "Save as preset"}
+                </Button>
+              </InlineStack>
+              {presetFetcher.data?.error && (
+                <Text tone="critical">{presetFetcher.data.error}</Text>
+              )}
+              {presetFetcher.data?.savedPreset && (
+                <Text tone="success">
+                  {`Saved preset "${presetFetcher.data.savedPreset}".`}
+                </Text>
+              )}
+
+              {fetcher.data?.error && (
+                <Text tone="critical">{fetcher.data.error}</Text>
+              )}
             </BlockStack>
           </Card>
         </Layout.Section>
 
-        {loading && (
+        {run && run.status !== "done" && (
           <Layout.Section>
             <Card>
-              <Spinner accessibilityLabel="Loading" size="large" />
-              <Text>Fetching data…</Text>
+              <BlockStack gap="300">
+                <Text variant="headingMd">
+                  {running
+                    ? inventoryPhase
+                      ? "Fetching inventory…"
+                      : run.bulk
+                        ? "Exporting orders in bulk…"
+                        : "Fetching orders…"
+                    : `Run ${run.status}`}{" "}
+                  ({run.startDate} → {run.endDate})
+                </Text>
+                {progress !== null && (
+                  <ProgressBar progress={progress} size="small" />
+                )}
+                <Text>
+                  Orders processed: {run.processedOrders}
+                  {run.totalOrders !== null ? ` of ${run.totalOrders}` : ""}
+                  {run.bulk
+                    ? ` · Objects exported by Shopify: ${run.bulkObjectCount ?? 0}`
+                    : ` · Pages fetched: ${run.pagesFetched}`}
+                  {comparePhase || run.compareOrdersDone
+                    ? ` · Comparison orders: ${run.compareOrdersDone}${run.compareTotalOrders !== null ? ` of ${run.compareTotalOrders}` : ""}`
+                    : ""}
+                  {inventoryPhase
+                    ? ` · Variants checked: ${run.inventoryChecked} of ${run.variantCount}`
+                    : ""}
+                </Text>
+                {run.error && <Text tone="critical">{run.error}</Text>}
+                {running && (
+                  <InlineStack>
+                    <Button
+                      tone="critical"
+                      onClick={() =>
+                        fetcher.submit(
+                          { intent: "reportCancel", runId: run.id },
+                          { method: "post" }
+                        )
+                      }
+                    >
+                      Cancel
+                    </Button>
+                  </InlineStack>
+                )}
+              </BlockStack>
             </Card>
           </Layout.Section>
         )}
@@ -386,39 +590,360 @@ export default function RestockingReport() {
                     ? ` (Store timezone: ${data.shopTimezone})`
                     : ""}
                 </Text>
+                {data.fromLedger && (
+                  <Text tone="subdued">
+                    {`${data.orderCount} orders read from the local sales ledger, which order webhooks keep up to date.`}
+                  </Text>
+                )}
+
+                {data.filters.length > 0 && (
+                  <Text>
+                    {data.filters
+                      .map(([label, values]) => `${label}: ${values}`)
+                      .join(" · ")}
+                  </Text>
+                )}
+
+                {data.comparison && (
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text>
+                      {`Compared with ${compareModeLabel(data.comparison.mode).toLowerCase()} (${data.comparison.startDate} → ${data.comparison.endDate}, ${data.comparison.orderCount} orders). Change is net sold now minus net sold then.`}
+                    </Text>
+                    <Button
+                      variant="plain"
+                      onClick={() => setView({ sort: "change", dir: "desc" })}
+                    >
+                      Biggest gains
+                    </Button>
+                    <Button
+                      variant="plain"
+                      onClick={() => setView({ sort: "change", dir: null })}
+                    >
+                      Biggest drops
+                    </Button>
+                  </InlineStack>
+                )}
+
+                {data.excludedOrders && (
+                  <Text tone="subdued">
+                    {`${data.excludedOrders}. Net is gross sold minus refunded and removed units.`}
+                  </Text>
+                )}
+
+                {data.salesByLocation && (
+                  <Text tone="subdued">
+                    Sold units are counted at the location that fulfilled them,
+                    or at the POS location for in-store orders. Unfulfilled
+                    units have not shipped from any location yet.
+                  </Text>
+                )}
+
+                {data.reorder && (
+                  <Text tone="subdued">
+                    {`Reorder suggestions: ${data.reorder.targetDaysOfCover} days of cover + ${data.reorder.leadTimeDays} days lead time, safety stock ${data.reorder.safetyStock}. Velocity is net units sold per day over ${Math.round(data.rangeDays * 10) / 10} days; incoming stock counts as stock.`}
+                    {Object.keys(data.reorder.vendors ?? {}).length > 0 &&
+                      " Vendor lead times, order cadences and case packs from Vendor Settings apply to their products."}
+                    {data.transfers.length > 0 &&
+                      " Per-location orders count suggested transfers as stock."}
+                  </Text>
+                )}
+
+                {data.vendorMinimums?.length > 0 && (
+                  <Banner
+                    tone="warning"
+                    title="Some suggested orders are under the vendor's minimum"
+                  >
+                    <BlockStack gap="100">
+                      {data.vendorMinimums.map((shortfall) => (
+                        <Text key={shortfall.vendor}>
+                          {vendorMinimumNote(shortfall)}
+                        </Text>
+                      ))}
+                    </BlockStack>
+                  </Banner>
+                )}
+
+                {data.truncated && (
+                  <Banner tone="warning" title="This report is incomplete">
+                    <BlockStack gap="100">
+                      {data.truncatedReasons.map((reason) => (
+                        <Text key={reason}>{reason}</Text>
+                      ))}
+                    </BlockStack>
+                  </Banner>
+                )}
+
+                <InlineStack gap="200">
+                  <Button
+                    onClick={() => handleExport("csv")}
+                    loading={exporting === "csv"}
+                    disabled={Boolean(exporting)}
+                  >
+                    Download CSV
+                  </Button>
+                  <Button
+                    onClick={() => handleExport("xlsx")}
+                    loading={exporting === "xlsx"}
+                    disabled={Boolean(exporting)}
+                  >
+                    Download Excel
+                  </Button>
+                  <Button
+                    onClick={() => handleExport("pdf")}
+                    loading={exporting === "pdf"}
+                    disabled={Boolean(exporting)}
+                  >
+                    Print pick list (PDF)
+                  </Button>
+                  {data.locationNames.length > 1 && (
+                    <Button url={`/app/transfers?run=${data.runId}`}>
+                      Transfer suggestions
+                    </Button>
+                  )}
+                  {email.configured && (
+                    <Button
+                      disclosure={emailOpen ? "up" : "down"}
+                      onClick={() => setEmailOpen((open) => !open)}
+                    >
+                      Email report
+                    </Button>
+                  )}
+                </InlineStack>
+                {exportError && <Text tone="critical">{exportError}</Text>}
+
+                {emailOpen && (
+                  <emailFetcher.Form method="post">
+                    <input type="hidden" name="intent" value="reportEmail" />
+                    <input type="hidden" name="runId" value={run.id} />
+                    <BlockStack gap="200">
+                      <InlineStack gap="300" blockAlign="end">
+                        <div style={{ minWidth: "24rem" }}>
+                          <TextField
+                            label="Recipients"
+                            name="emailRecipients"
+                            value={emailRecipients}
+                            onChange={setEmailRecipients}
+                            autoComplete="email"
+                            placeholder="manager@example.com, buyer@example.com"
+                          />
+                        </div>
+                        {EMAIL_FORMATS.map(({ value, label }) => (
+                          <Checkbox
+                            key={value}
+                            label={label}
+                            name="emailFormats"
+                            value={value}
+                            checked={emailFormats.includes(value)}
+                            onChange={(checked) =>
+                              setEmailFormats((formats) =>
+                                checked
+                                  ? [...formats, value]
+                                  : formats.filter((f) => f !== value)
+                              )
+                            }
+                          />
+                        ))}
+                        <Button
+                          submit
+                          loading={emailFetcher.state !== "idle"}
+                          disabled={!emailRecipients.trim()}
+                        >
+                          Send
+                        </Button>
+                      </InlineStack>
+                      {emailFetcher.data?.error && (
+                        <Text tone="critical">{emailFetcher.data.error}</Text>
+                      )}
+                      {emailFetcher.data?.emailed?.status === "sent" && (
+                        <Text tone="success">
+                          Sent to{" "}
+                          {emailFetcher.data.emailed.recipients.join(", ")}
+                        </Text>
+                      )}
+                      {emailFetcher.data?.emailed?.status === "pending" && (
+                        <Text tone="caution">
+                          {`Couldn't send yet (${emailFetcher.data.emailed.error}). It will be retried automatically; see the email log.`}
+                        </Text>
+                      )}
+                    </BlockStack>
+                  </emailFetcher.Form>
+                )}
+
+                <InlineStack gap="200" blockAlign="end" wrap={false}>
+                  <div style={{ flex: 1 }}>
+                    <TextField
+                      label="Search"
+                      labelHidden
+                      placeholder="Search product title, variant or SKU"
+                      autoComplete="off"
+                      value={search}
+                      onChange={(value) => setView({ q: value })}
+                      clearButton
+                      onClearButtonClick={() => setView({ q: null })}
+                    />
+                  </div>
+                  <Popover
+                    active={columnsOpen}
+                    onClose={() => setColumnsOpen(false)}
+                    activator={
+                      <Button
+                        disclosure
+                        onClick={() => setColumnsOpen((open) => !open)}
+                      >
+                        {hiddenIds.size
+                          ? `Columns (${hiddenIds.size} hidden)`
+                          : "Columns"}
+                      </Button>
+                    }
+                  >
+                    <Box padding="300" maxWidth="22rem">
+                      <Scrollable style={{ maxHeight: "20rem" }}>
+                        <ChoiceList
+                          title="Show columns"
+                          allowMultiple
+                          choices={columns.map((c) => ({
+                            value: c.id,
+                            label: c.title,
+                          }))}
+                          selected={visibleColumns.map((c) => c.id)}
+                          onChange={showColumns}
+                        />
+                      </Scrollable>
+                    </Box>
+                  </Popover>
+                </InlineStack>
+
+                <Text tone="subdued">
+                  {search
+                    ? `${viewRows.length} of ${data.rows.length} variants match`
+                    : `${data.rows.length} variants`}
+                  {selectedKeys.length
+                    ? ` · ${selectedKeys.length} selected for purchase orders`
+                    : ""}
+                </Text>
 
-                <div style={{ marginTop: "1rem" }}>
-                  <table>
-                    <thead>
-                      <tr>
-                        <th>Product Title</th>
-                        <th>Variant Title</th>
-                        <th>SKU</th>
-                        <th>Vendor</th>
-                        <th>Product Type</th>
-                        <th>Net Items Sold</th>
-                        {data.locationNames.map((loc) => (
-                          <th key={loc}>{loc}</th>
+                {poFetcher.data?.error && (
+                  <Text tone="critical">{poFetcher.data.error}</Text>
+                )}
+                {poFetcher.data?.purchaseOrders && (
+                  <Banner
+                    tone="success"
+                    title={`Created ${poFetcher.data.purchaseOrders.length} draft purchase order(s)`}
+                    action={{
+                      content: "Review purchase orders",
+                      url: "/app/purchase-orders?status=draft",
+                    }}
+                  >
+                    <Text>
+                      {poFetcher.data.purchaseOrders
+                        .map(
+                          (po) => `${poNumber(po)} ${vendorLabel(po.vendor)}`
+                        )
+                        .join(" · ")}
+                    </Text>
+                  </Banner>
+                )}
+
+                <IndexTable
+                  resourceName={{ singular: "variant", plural: "variants" }}
+                  itemCount={pageRows.length}
+                  selectedItemsCount={
+                    selectedKeys.length > 0 &&
+                    selectedKeys.length === viewRows.length
+                      ? "All"
+                      : selectedKeys.length
+                  }
+                  onSelectionChange={handleSelectionChange}
+                  hasMoreItems={viewRows.length > pageRows.length}
+                  promotedBulkActions={[
+                    {
+                      content:
+                        poFetcher.state !== "idle"
+                          ? "Creating purchase orders…"
+                          : "Create purchase orders",
+                      onAction: createPurchaseOrdersFromSelection,
+                      disabled: poFetcher.state !== "idle",
+                    },
+                  ]}
+                  headings={visibleColumns.map((c) => ({
+                    id: c.id,
+                    title: c.title,
+                    alignment: c.numeric ? "end" : "start",
+                  }))}
+                  sortable={visibleColumns.map(() => true)}
+                  sortColumnIndex={visibleColumns.indexOf(sortColumn)}
+                  sortDirection={sortDirection}
+                  defaultSortDirection="ascending"
+                  onSort={(index, direction) =>
+                    setView({
+                      sort: visibleColumns[index].id,
+                      dir: direction === "descending" ? "desc" : null,
+                    })
+                  }
+                  pagination={{
+                    hasPrevious: currentPage > 1,
+                    hasNext: currentPage < pageCount,
+                    onPrevious: () => goToPage(currentPage - 1),
+                    onNext: () => goToPage(currentPage + 1),
+                    label: `Page ${currentPage} of ${pageCount}`,
+                  }}
+                >
+                  {pageRows.map((r, index) => {
+                    const id = rowKey(r);
+                    return (
+                      <IndexTable.Row
+                        id={id}
+                        key={id}
+                        position={index}
+                        selected={selectedSet.has(id)}
+                      >
+                        {visibleColumns.map((c) => (
+                          <IndexTable.Cell key={c.id}>
+                            <Text
+                              as="span"
+                              numeric={c.numeric}
+                              alignment={c.numeric ? "end" : "start"}
+                            >
+                              {c.value(r) === "" || c.value(r) == null
+                                ? "—"
+                                : c.value(r)}
+                            </Text>
+                          </IndexTable.Cell>
                         ))}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {data.rows.map((r, idx) => (
-                        <tr key={idx}>
-                          <td>{r.productTitle}</td>
-                          <td>{r.productVariantTitle}</td>
-                          <td>{r.sku}</td>
-                          <td>{r.vendor}</td>
-                          <td>{r.productType}</td>
-                          <td>{r.netItemsSold}</td>
-                          {data.locationNames.map((loc) => (
-                            <td key={loc}>{r.locations[loc] ?? 0}</td>
-                          ))}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
+                      </IndexTable.Row>
+                    );
+                  })}
+                </IndexTable>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        {recentRuns.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="200">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd">Recent runs</Text>
+                  <Button variant="plain" url="/app/report-history">
+                    History and comparisons
+                  </Button>
+                </InlineStack>
+                {recentRuns.map((r) => (
+                  <InlineStack key={r.id} gap="200" blockAlign="center">
+                    <Button
+                      variant="plain"
+                      onClick={() => openRun(r.id)}
+                      disabled={r.id === runId}
+                    >
+                      {`${r.startDate} → ${r.endDate}`}
+                    </Button>
+                    <Text tone="subdued">
+                      {r.status} · {r.processedOrders} orders
+                      {r.scheduleId ? ` · scheduled: ${r.presetName}` : ""}
+                    </Text>
+                  </InlineStack>
+                ))}
               </BlockStack>
             </Card>
           </Layout.Section>
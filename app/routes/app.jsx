@@ -16,10 +16,15 @@ export default function App() {
   return (
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
-        
-        {/* // TODO: Markdown report disabled temporarily    
-        // <s-link href="/app/markdown-report">Markdown Report</s-link> */}
-
+        <s-link href="/app/markdown-report">Markdown Report</s-link>
+        <s-link href="/app/purchase-orders">Purchase Orders</s-link>
+        <s-link href="/app/vendor-profiles">Vendor Settings</s-link>
+        <s-link href="/app/low-stock">Low Stock</s-link>
+        <s-link href="/app/stocky-import">Stocky Import</s-link>
+        <s-link href="/app/report-history">Report History</s-link>
+        <s-link href="/app/report-presets">Report Presets</s-link>
+        <s-link href="/app/report-schedules">Report Schedules</s-link>
+        <s-link href="/app/report-emails">Email Log</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,313 @@
+// app/routes/app.low-stock.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  TextField,
+  Select,
+  Badge,
+  Banner,
+  DataTable,
+} from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useSearchParams } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import { fetchShopInfo } from "../restocking-report.server";
+import {
+  deleteThreshold,
+  listThresholds,
+  lowStockAlerts,
+  saveThreshold,
+  snapshotSummary,
+} from "../inventory-snapshot.server";
+import {
+  THRESHOLD_SCOPES,
+  parseThresholdForm,
+  thresholdScopeLabel,
+} from "../low-stock";
+import { formatTimestamp } from "../timezone";
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const locationName = new URL(request.url).searchParams.get("location") ?? "";
+
+  const [{ ianaTimezone }, summary, thresholds, { alerts, sales }] =
+    await Promise.all([
+      fetchShopInfo(admin, shop),
+      snapshotSummary(shop),
+      listThresholds(shop),
+      lowStockAlerts(shop, { locationName }),
+    ]);
+
+  return {
+    shopTimezone: ianaTimezone,
+    summary,
+    thresholds,
+    alerts,
+    sales,
+    locationName,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               SERVER ACTION                                */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const formData = await request.formData();
+  const intent = String(formData.get("intent"));
+
+  if (intent === "thresholdSave") {
+    const threshold = parseThresholdForm(formData);
+    if (threshold.error) return { error: threshold.error };
+    await saveThreshold(shop, threshold);
+    return { saved: true };
+  }
+
+  if (intent === "thresholdDelete") {
+    await deleteThreshold(shop, String(formData.get("thresholdId")));
+    return { deleted: true };
+  }
+
+  return { error: "Unknown intent" };
+};
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+// Items that sold nothing lately are still listed, flagged rather than dropped.
+function salesCells(alert, sales) {
+  if (!sales) return ["—", "—"];
+  const s = alert.variantId ? sales.byVariant[alert.variantId] : null;
+  const sold = s?.sold ?? 0;
+  const lastSold = s?.lastSoldDay ?? `None since ${sales.coveredFrom}`;
+  if (sold > 0) return [sold, lastSold];
+  return [
+    sold,
+    <InlineStack key="last" gap="100" blockAlign="center" wrap={false}>
+      <Text>{lastSold}</Text>
+      <Badge tone="attention">No recent sales</Badge>
+    </InlineStack>,
+  ];
+}
+
+function alertRows(alerts, sales) {
+  return alerts.map((a) => [
+    a.productTitle,
+    a.variantTitle,
+    a.sku ?? "",
+    a.locationName,
+    a.available,
+    a.onHand,
+    `${a.threshold} (${thresholdScopeLabel(a.thresholdScope).toLowerCase()})`,
+    a.shortfall,
+    ...salesCells(a, sales),
+  ]);
+}
+
+export default function LowStock() {
+  const { shopTimezone, summary, thresholds, alerts, sales, locationName } =
+    useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+
+  const [scope, setScope] = useState("sku");
+  const [value, setValue] = useState("");
+  const [threshold, setThreshold] = useState("");
+
+  const saving =
+    fetcher.state !== "idle" &&
+    fetcher.formData?.get("intent") === "thresholdSave";
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.saved) {
+      setValue("");
+      setThreshold("");
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const soldHeading = sales ? `Sold since ${sales.sinceDay}` : "Sold";
+
+  return (
+    <Page
+      title="Low stock"
+      backAction={{ content: "Restocking Report", url: "/app" }}
+    >
+      <Layout>
+        {summary.levels === 0 && (
+          <Layout.Section>
+            <Banner tone="warning" title="The inventory snapshot is empty">
+              <p>
+                Run <code>npm run inventory:sync -- --shop &lt;shop&gt;</code>{" "}
+                once to load every level. The inventory_levels/update webhook
+                keeps it current from then on.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="end">
+                <BlockStack gap="050">
+                  <Text variant="headingMd">Below threshold</Text>
+                  {summary.recordedAt && (
+                    <Text tone="subdued">
+                      {summary.levels} levels in the snapshot, last updated{" "}
+                      {formatTimestamp(summary.recordedAt, shopTimezone)}
+                    </Text>
+                  )}
+                  {!sales && (
+                    <Text tone="subdued">
+                      Recent sales show once the sales ledger has been
+                      backfilled.
+                    </Text>
+                  )}
+                </BlockStack>
+                <Select
+                  label="Location"
+                  options={[
+                    { label: "All locations", value: "" },
+                    ...summary.locations.map((l) => ({ label: l, value: l })),
+                  ]}
+                  value={locationName}
+                  onChange={(location) =>
+                    setSearchParams(location ? { location } : {})
+                  }
+                />
+              </InlineStack>
+
+              {alerts.length === 0 ? (
+                <Text tone="subdued">
+                  {thresholds.length === 0
+                    ? "Add a threshold below to start getting alerts."
+                    : "Nothing is below its threshold."}
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "text",
+                    "text",
+                    "text",
+                    "numeric",
+                    "numeric",
+                    "text",
+                    "numeric",
+                    "numeric",
+                    "text",
+                  ]}
+                  headings={[
+                    "Product",
+                    "Variant",
+                    "SKU",
+                    "Location",
+                    "Available",
+                    "On hand",
+                    "Threshold",
+                    "Short by",
+                    soldHeading,
+                    "Last sold",
+                  ]}
+                  rows={alertRows(alerts, sales)}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd">Thresholds</Text>
+              <Text tone="subdued">
+                An item is low when fewer units are available at a location than
+                its threshold. A SKU&apos;s own threshold wins over its product
+                type&apos;s, which wins over its vendor&apos;s.
+              </Text>
+
+              <fetcher.Form method="post">
+                <input type="hidden" name="intent" value="thresholdSave" />
+                <InlineStack gap="200" blockAlign="end">
+                  <Select
+                    label="Applies to"
+                    name="thresholdScope"
+                    options={THRESHOLD_SCOPES.map(({ value, label }) => ({
+                      value,
+                      label,
+                    }))}
+                    value={scope}
+                    onChange={setScope}
+                  />
+                  <TextField
+                    label={thresholdScopeLabel(scope)}
+                    name="thresholdValue"
+                    value={value}
+                    onChange={setValue}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Threshold"
+                    name="threshold"
+                    type="number"
+                    min={1}
+                    value={threshold}
+                    onChange={setThreshold}
+                    autoComplete="off"
+                  />
+                  <Button submit primary loading={saving}>
+                    Save threshold
+                  </Button>
+                </InlineStack>
+              </fetcher.Form>
+              {fetcher.data?.error && (
+                <Text tone="critical">{fetcher.data.error}</Text>
+              )}
+
+              {thresholds.map((t) => (
+                <InlineStack
+                  key={t.id}
+                  gap="300"
+                  align="space-between"
+                  blockAlign="center"
+                >
+                  <Text>
+                    {thresholdScopeLabel(t.scope)}{" "}
+                    <Text as="span" fontWeight="semibold">
+                      {t.value}
+                    </Text>
+                    : below {t.threshold}
+                  </Text>
+                  <Button
+                    tone="critical"
+                    onClick={() =>
+                      fetcher.submit(
+                        { intent: "thresholdDelete", thresholdId: t.id },
+                        { method: "post" }
+                      )
+                    }
+                  >
+                    Delete
+                  </Button>
+                </InlineStack>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,54 @@
+// app/routes/app.markdown-export.jsx
+import { authenticate } from "../shopify.server";
+import {
+  MARKDOWN_COLUMNS,
+  getReportRun,
+  markdownResults,
+} from "../markdown-report.server";
+import {
+  EXPORT_CONTENT_TYPES,
+  buildCsv,
+  buildXlsx,
+  downloadResponse,
+} from "../report-export.server";
+
+/* -------------------------------------------------------------------------- */
+/*                        Resource route: file download                       */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const format = String(formData.get("format") || "csv");
+  if (format !== "csv" && format !== "xlsx") {
+    return new Response("Unknown export format", { status: 400 });
+  }
+
+  const run = await getReportRun(session.shop, String(formData.get("runId")));
+  if (!run || run.status !== "done") {
+    return new Response("Report run not found", { status: 404 });
+  }
+
+  const results = markdownResults(run);
+  const scope = formData.get("scope") === "all" ? "all" : "candidates";
+  const rows = scope === "all" ? results.rows : results.candidates;
+
+  const meta = [
+    ["Markdown Report"],
+    ["Look-back", `${results.lookBackDays} days (since ${results.sinceDate})`],
+    ["Markdown threshold", `sold <= ${results.periodQtySoldLTE}`],
+    ["Generated at", results.timestamp],
+  ];
+  const header = MARKDOWN_COLUMNS.map(([label]) => label);
+  const body = rows.map((r) => MARKDOWN_COLUMNS.map(([, field]) => r[field]));
+  const lines = [...meta, [], header, ...body];
+
+  const fileName = `markdown-${scope}_${results.sinceDate}.${format}`;
+  const file =
+    format === "xlsx"
+      ? buildXlsx("Markdown Report", lines, [0, meta.length + 1])
+      : buildCsv(lines);
+
+  return downloadResponse(file, EXPORT_CONTENT_TYPES[format], fileName);
+};
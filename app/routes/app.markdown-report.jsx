@@ -1,12 +1,20 @@
-import React, { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import {
   useActionData,
   useFetcher,
+  useLoaderData,
   useLocation,
   useNavigation,
 } from "react-router";
 import { authenticate } from "../shopify.server";
-import prisma from "../db.server";
+import {
+  MARKDOWN_COLUMNS,
+  continueReportRun,
+  getLatestDoneRun,
+  markdownResults,
+  startReportRun,
+} from "../markdown-report.server";
+import { downloadExport } from "../download";
 
 /* =========================
    Helpers
@@ -17,135 +25,40 @@ function toInt(value, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 /* =========================
-   Shopify helpers
+   Loader
 ========================= */
 
-async function adminGraphql(admin, query, variables) {
-  const resp = await admin.graphql(query, { variables });
-  return resp.json();
-}
-
-async function fetchOrdersChunk(admin, sinceISO, afterCursor) {
-  const query = `
-    query OrdersSince($q: String!, $after: String) {
-      orders(first: 50, after: $after, query: $q, sortKey: CREATED_AT) {
-        edges {
-          cursor
-          node {
-            createdAt
-            lineItems(first: 100) {
-              edges {
-                node {
-                  quantity
-                  variant { id }
-                }
-              }
-            }
-          }
-        }
-        pageInfo { hasNextPage }
-      }
-    }
-  `;
-
-  const q = `created_at:>=${sinceISO}`;
-  const data = await adminGraphql(admin, query, {
-    q,
-    after: afterCursor ?? null,
-  });
-
-  const orders = data?.data?.orders;
-  if (!orders) throw new Error("Orders query failed");
-
-  const edges = orders.edges ?? [];
-  const hasNextPage = orders.pageInfo?.hasNextPage ?? false;
-  const nextCursor = hasNextPage ? edges.at(-1)?.cursor ?? null : null;
-
-  return { edges, hasNextPage, nextCursor };
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const run = await getLatestDoneRun(session.shop);
+  return { results: run ? markdownResults(run) : null };
 }
 
 /* =========================
-   Prisma report runner
+   Action
 ========================= */
 
-async function startReportRun(shop, lookBackDays) {
-  const sinceISO = new Date(
-    Date.now() - lookBackDays * 86400000
-  ).toISOString();
-
-  return prisma.reportRunState.create({
-    data: {
-      shop,
-      sinceISO,
-      cursor: null,
-      processedOrders: 0,
-      salesByVariant: {},
-      done: false,
-    },
-  });
+function progressMessage(progressed) {
+  if (progressed.error) return `Report failed: ${progressed.error}`;
+  if (progressed.done) return "Report complete.";
+  return progressed.phase === "inventory"
+    ? "Loading in-stock variants…"
+    : "Scanning orders…";
 }
 
-function mergeSalesMap(existing, edges) {
-  const map = existing ?? {};
-  for (const e of edges) {
-    for (const li of e.node.lineItems.edges) {
-      const id = li.node.variant?.id;
-      if (!id) continue;
-      map[id] = (map[id] ?? 0) + li.node.quantity;
-    }
-  }
-  return map;
-}
-
-async function continueReportRun(admin, shop, runId) {
-  const run = await prisma.reportRunState.findUnique({ where: { id: runId } });
-  if (!run || run.shop !== shop) throw new Error("Invalid run");
-
-  const startedAt = Date.now();
-  const MAX_MS = 3000;
-  const MAX_LOOPS = 3;
-
-  let cursor = run.cursor;
-  let processed = run.processedOrders;
-  let sales = run.salesByVariant;
-  let loops = 0;
-
-  while (Date.now() - startedAt < MAX_MS && loops < MAX_LOOPS) {
-    loops++;
-
-    const chunk = await fetchOrdersChunk(admin, run.sinceISO, cursor);
-    sales = mergeSalesMap(sales, chunk.edges);
-    processed += chunk.edges.length;
-    cursor = chunk.nextCursor;
-
-    await prisma.reportRunState.update({
-      where: { id: runId },
-      data: { cursor, processedOrders: processed, salesByVariant: sales },
-    });
-
-    if (!chunk.hasNextPage) {
-      await prisma.reportRunState.update({
-        where: { id: runId },
-        data: { done: true },
-      });
-      return { done: true, processed };
-    }
-
-    await sleep(150);
-  }
-
-  return { done: false, processed };
+function reportPayload(runId, progressed) {
+  return {
+    report: {
+      runId,
+      done: progressed.done,
+      processedOrders: progressed.processed,
+      message: progressMessage(progressed),
+    },
+    results: progressed.run ? markdownResults(progressed.run) : null,
+  };
 }
 
-/* =========================
-   Action
-========================= */
-
 export async function action({ request }) {
   try {
     const auth = await authenticate.admin(request);
@@ -158,34 +71,25 @@ export async function action({ request }) {
     const intent = String(formData.get("intent"));
 
     if (intent === "reportStart") {
-      const lookBackDays = toInt(formData.get("lookBackDays"), 60);
-      const run = await startReportRun(shop, lookBackDays);
+      const lookBackDays = Math.max(1, toInt(formData.get("lookBackDays"), 60));
+      const periodQtySoldLTE = Math.max(
+        0,
+        toInt(formData.get("periodQtySoldLTE"), 0)
+      );
+      const run = await startReportRun(admin, shop, {
+        lookBackDays,
+        periodQtySoldLTE,
+      });
       const progressed = await continueReportRun(admin, shop, run.id);
 
-      return {
-        report: {
-          runId: run.id,
-          done: progressed.done,
-          processedOrders: progressed.processed,
-          message: "Scanning orders…",
-        },
-      };
+      return reportPayload(run.id, progressed);
     }
 
     if (intent === "reportContinue") {
       const runId = String(formData.get("runId"));
       const progressed = await continueReportRun(admin, shop, runId);
 
-      return {
-        report: {
-          runId,
-          done: progressed.done,
-          processedOrders: progressed.processed,
-          message: progressed.done
-            ? "Report complete."
-            : "Scanning orders…",
-        },
-      };
+      return reportPayload(runId, progressed);
     }
 
     return { error: "Unknown intent" };
@@ -199,13 +103,52 @@ export async function action({ request }) {
    Page
 ========================= */
 
+function renderMarkdownTable(rows) {
+  return (
+    <table style={{ borderCollapse: "collapse", width: "100%" }}>
+      <thead>
+        <tr>
+          {MARKDOWN_COLUMNS.map(([label]) => (
+            <th key={label} style={cellStyle}>
+              {label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.variantId}>
+            {MARKDOWN_COLUMNS.map(([label, field]) => (
+              <td key={label} style={cellStyle}>
+                {r[field]}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+const cellStyle = {
+  border: "1px solid #000",
+  padding: 6,
+  textAlign: "left",
+  verticalAlign: "top",
+};
+
 export default function MarkdownReport() {
+  const loaderData = useLoaderData();
   const actionData = useActionData();
   const reportFetcher = useFetcher();
   const navigation = useNavigation();
   const location = useLocation();
 
   const [runId, setRunId] = useState(null);
+  const [lookBackDays, setLookBackDays] = useState("60");
+  const [periodQtySoldLTE, setPeriodQtySoldLTE] = useState("0");
+  const [showAll, setShowAll] = useState(false);
+  const [exportError, setExportError] = useState(null);
 
   const actionUrl = useMemo(() => {
     const sp = new URLSearchParams(location.search);
@@ -217,7 +160,6 @@ export default function MarkdownReport() {
     if (!keep.get("embedded")) keep.set("embedded", "1");
     return `${location.pathname}?${keep.toString()}`;
   }, [location.pathname, location.search]);
-
   /* ---------- SSR-safe sessionStorage ---------- */
 
   useEffect(() => {
@@ -255,19 +197,55 @@ export default function MarkdownReport() {
   }, [runId, reportFetcher, actionUrl]);
 
   const report = reportFetcher.data?.report || actionData?.report;
+  const results =
+    reportFetcher.data?.results || actionData?.results || loaderData.results;
+
+  async function handleExport(format, scope) {
+    setExportError(null);
+    try {
+      await downloadExport("/app/markdown-export", {
+        format,
+        scope,
+        runId: results.runId,
+      });
+    } catch (err) {
+      setExportError(err.message);
+    }
+  }
 
   return (
     <div style={{ padding: 16 }}>
       <h1>Markdown Report</h1>
 
+      <div style={{ display: "flex", gap: 12, margin: "12px 0" }}>
+        <label>
+          Look-back days{" "}
+          <input
+            type="number"
+            min="1"
+            value={lookBackDays}
+            onChange={(e) => setLookBackDays(e.target.value)}
+          />
+        </label>
+        <label>
+          Markdown if sold ≤{" "}
+          <input
+            type="number"
+            min="0"
+            value={periodQtySoldLTE}
+            onChange={(e) => setPeriodQtySoldLTE(e.target.value)}
+          />
+        </label>
+      </div>
+
       {/* ✅ IMPORTANT: button, NOT form */}
       <button
         type="button"
-        disabled={navigation.state === "submitting"}
+        disabled={navigation.state === "submitting" || Boolean(runId)}
         onClick={(e) => {
           e.preventDefault();
           reportFetcher.submit(
-            { intent: "reportStart" },
+            { intent: "reportStart", lookBackDays, periodQtySoldLTE },
             { method: "post", action: actionUrl }
           );
         }}
@@ -282,6 +260,50 @@ export default function MarkdownReport() {
           {"\n"}Done: {String(report.done)}
         </pre>
       ) : null}
+
+      {results ? (
+        <div style={{ marginTop: 16 }}>
+          <h2>
+            Markdown candidates: {results.candidates.length} of{" "}
+            {results.rows.length} in-stock variants
+          </h2>
+          <p>
+            Sold ≤ {results.periodQtySoldLTE} since {results.sinceDate} (
+            {results.lookBackDays} days, {results.processedOrders} orders).
+            Generated at {results.timestamp}.
+          </p>
+
+          <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+            <button
+              type="button"
+              onClick={() => handleExport("csv", "candidates")}
+            >
+              Download candidates (CSV)
+            </button>
+            <button
+              type="button"
+              onClick={() => handleExport("xlsx", "candidates")}
+            >
+              Download candidates (Excel)
+            </button>
+            <button type="button" onClick={() => handleExport("csv", "all")}>
+              Download all in-stock variants (CSV)
+            </button>
+          </div>
+          {exportError ? <p style={{ color: "#b00" }}>{exportError}</p> : null}
+
+          <label style={{ display: "block", marginBottom: 8 }}>
+            <input
+              type="checkbox"
+              checked={showAll}
+              onChange={(e) => setShowAll(e.target.checked)}
+            />{" "}
+            Show all in-stock variants
+          </label>
+
+          {renderMarkdownTable(showAll ? results.rows : results.candidates)}
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -0,0 +1,52 @@
+// app/routes/app.purchase-order-export.jsx
+import { authenticate } from "../shopify.server";
+import { fetchShopInfo } from "../restocking-report.server";
+import { getPurchaseOrder } from "../purchase-orders.server";
+import { getVendorProfile } from "../vendor-profiles.server";
+import {
+  buildPurchaseOrderCsv,
+  buildPurchaseOrderPdf,
+  purchaseOrderFileName,
+} from "../purchase-order-export.server";
+import {
+  EXPORT_CONTENT_TYPES,
+  downloadResponse,
+} from "../report-export.server";
+
+const BUILDERS = {
+  csv: buildPurchaseOrderCsv,
+  pdf: buildPurchaseOrderPdf,
+};
+
+/* -------------------------------------------------------------------------- */
+/*                        Resource route: file download                       */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const format = String(formData.get("format") || "csv");
+  if (!BUILDERS[format]) {
+    return new Response("Unknown export format", { status: 400 });
+  }
+
+  const po = await getPurchaseOrder(
+    session.shop,
+    String(formData.get("purchaseOrderId"))
+  );
+  if (!po) {
+    return new Response("Purchase order not found", { status: 404 });
+  }
+
+  const [{ shopName, ianaTimezone }, vendorProfile] = await Promise.all([
+    fetchShopInfo(admin, session.shop),
+    getVendorProfile(session.shop, po.vendor),
+  ]);
+
+  return downloadResponse(
+    BUILDERS[format](po, { shopName, timeZone: ianaTimezone, vendorProfile }),
+    EXPORT_CONTENT_TYPES[format],
+    purchaseOrderFileName(po, format)
+  );
+};
@@ -0,0 +1,455 @@
+// app/routes/app.purchase-orders.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  TextField,
+  Select,
+  Badge,
+  Banner,
+  DataTable,
+  Link,
+} from "@shopify/polaris";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useFetcher, useLoaderData, useSearchParams } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import { fetchShopInfo } from "../restocking-report.server";
+import {
+  deletePurchaseOrder,
+  getPurchaseOrder,
+  listPurchaseOrders,
+  savePurchaseOrder,
+  setPurchaseOrderStatus,
+} from "../purchase-orders.server";
+import {
+  PO_STATUSES,
+  formatMoney,
+  parsePurchaseOrderForm,
+  poNumber,
+  poStatus,
+  poTotals,
+  vendorLabel,
+} from "../purchase-orders";
+import { getVendorProfile } from "../vendor-profiles.server";
+import { expectedArrival, orderWarnings } from "../vendor-profiles";
+import { downloadExport } from "../download";
+import { formatDate } from "../timezone";
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const params = new URL(request.url).searchParams;
+  const status = params.get("status") ?? "";
+  const poId = params.get("po");
+
+  const [{ ianaTimezone }, purchaseOrders, selected] = await Promise.all([
+    fetchShopInfo(admin, shop),
+    listPurchaseOrders(shop, { status }),
+    poId ? getPurchaseOrder(shop, poId) : null,
+  ]);
+  const vendorProfile = selected
+    ? await getVendorProfile(shop, selected.vendor)
+    : null;
+
+  return {
+    shopTimezone: ianaTimezone,
+    purchaseOrders,
+    selected,
+    vendorProfile,
+    status,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               SERVER ACTION                                */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const formData = await request.formData();
+  const intent = String(formData.get("intent"));
+  const id = String(formData.get("purchaseOrderId"));
+
+  if (intent === "poSave") {
+    const form = parsePurchaseOrderForm(formData);
+    if (form.error) return { error: form.error };
+    const { error } = await savePurchaseOrder(shop, id, form);
+    return error ? { error } : { saved: true };
+  }
+
+  if (intent === "poStatus") {
+    const status = String(formData.get("status"));
+    const { error } = await setPurchaseOrderStatus(shop, id, status);
+    return error ? { error } : { status };
+  }
+
+  if (intent === "poDelete") {
+    const { error } = await deletePurchaseOrder(shop, id);
+    return error ? { error } : { deleted: true };
+  }
+
+  return { error: "Unknown intent" };
+};
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+function statusBadge(status) {
+  const { label, tone } = poStatus(status);
+  return <Badge tone={tone}>{label}</Badge>;
+}
+
+const editedQuantities = (po) => po?.lines.map((l) => String(l.quantity)) ?? [];
+
+export default function PurchaseOrders() {
+  const { shopTimezone, purchaseOrders, selected, vendorProfile, status } =
+    useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+
+  const [quantities, setQuantities] = useState(() =>
+    editedQuantities(selected)
+  );
+  const [note, setNote] = useState(selected?.note ?? "");
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  // Opening another order, or saving this one, starts from what's saved.
+  const savedVersion = `${selected?.id}:${selected?.updatedAt}`;
+  const [editedVersion, setEditedVersion] = useState(savedVersion);
+  if (editedVersion !== savedVersion) {
+    setEditedVersion(savedVersion);
+    setQuantities(editedQuantities(selected));
+    setNote(selected?.note ?? "");
+    setExportError(null);
+  }
+
+  const setParams = useCallback(
+    (changes) => {
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        for (const [key, value] of Object.entries(changes)) {
+          if (value) next.set(key, value);
+          else next.delete(key);
+        }
+        return next;
+      });
+    },
+    [setSearchParams]
+  );
+
+  // Leaves a deleted order's page once, however often the effect re-runs.
+  const closedAfter = useRef(null);
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data?.deleted) return;
+    if (closedAfter.current === fetcher.data) return;
+    closedAfter.current = fetcher.data;
+    setParams({ po: null });
+  }, [fetcher.state, fetcher.data, setParams]);
+
+  const busy = (intent) =>
+    fetcher.state !== "idle" && fetcher.formData?.get("intent") === intent;
+
+  function submit(intent, fields = {}) {
+    fetcher.submit(
+      { intent, purchaseOrderId: selected.id, ...fields },
+      { method: "post" }
+    );
+  }
+
+  async function handleExport(format) {
+    setExporting(format);
+    setExportError(null);
+    try {
+      await downloadExport("/app/purchase-order-export", {
+        format,
+        purchaseOrderId: selected.id,
+      });
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  }
+
+  function renderEditor(po) {
+    const draft = po.status === "draft";
+    const totals = poTotals(po);
+    // Status changes act on the saved order, so save edits first.
+    const dirty =
+      draft &&
+      (note !== (po.note ?? "") ||
+        po.lines.some((l, i) => quantities[i] !== String(l.quantity)));
+    // Drafts are checked as edited, before they're saved.
+    const warnings = orderWarnings(
+      vendorProfile,
+      draft
+        ? {
+            ...po,
+            lines: po.lines.map((l, i) => ({
+              ...l,
+              quantity: Number(quantities[i]) || 0,
+            })),
+          }
+        : po
+    );
+    const expected = expectedArrival(po, vendorProfile);
+
+    const rows = po.lines.map((l, i) => [
+      l.sku,
+      l.productTitle,
+      l.variantTitle,
+      formatMoney(l.unitCost),
+      draft ? (
+        <TextField
+          key={`${l.variantId ?? l.sku}-${i}`}
+          label="Quantity"
+          labelHidden
+          type="number"
+          min={0}
+          name="quantity"
+          value={quantities[i] ?? ""}
+          onChange={(value) =>
+            setQuantities((qs) => qs.map((q, j) => (j === i ? value : q)))
+          }
+          autoComplete="off"
+        />
+      ) : (
+        l.quantity
+      ),
+    ]);
+
+    return (
+      <Card>
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="poSave" />
+          <input type="hidden" name="purchaseOrderId" value={po.id} />
+          <BlockStack gap="300">
+            <InlineStack align="space-between" blockAlign="center">
+              <InlineStack gap="200" blockAlign="center">
+                <Text variant="headingMd">
+                  {`${poNumber(po)} · ${vendorLabel(po.vendor)}`}
+                </Text>
+                {statusBadge(po.status)}
+              </InlineStack>
+              <Button variant="plain" onClick={() => setParams({ po: null })}>
+                Close
+              </Button>
+            </InlineStack>
+            <Text tone="subdued">
+              {`Created ${formatDate(po.createdAt, shopTimezone)}`}
+              {po.sentAt
+                ? ` · sent ${formatDate(po.sentAt, shopTimezone)}`
+                : ""}
+              {expected && !po.receivedAt
+                ? ` · expected ${formatDate(expected, shopTimezone)}`
+                : ""}
+              {po.receivedAt
+                ? ` · received ${formatDate(po.receivedAt, shopTimezone)}`
+                : ""}
+              {` · ${totals.units} units`}
+              {totals.cost !== null
+                ? ` · ${formatMoney(totals.cost, po.currency)}`
+                : ""}
+            </Text>
+            {vendorProfile?.contactEmail && (
+              <Text>
+                Contact:{" "}
+                <Link
+                  url={`mailto:${vendorProfile.contactEmail}?subject=${encodeURIComponent(`Purchase order ${poNumber(po)}`)}`}
+                  external
+                >
+                  {vendorProfile.contactEmail}
+                </Link>
+              </Text>
+            )}
+            {draft && (
+              <Text tone="subdued">
+                Quantities were pre-filled from the report, rounded up to the
+                vendor&apos;s case pack. Lines saved with 0 are removed.
+              </Text>
+            )}
+            {warnings.length > 0 && po.status !== "received" && (
+              <Banner tone="warning" title="This order breaks vendor rules">
+                <BlockStack gap="100">
+                  {warnings.map((w) => (
+                    <Text key={w}>{w}</Text>
+                  ))}
+                </BlockStack>
+              </Banner>
+            )}
+
+            <DataTable
+              columnContentTypes={[
+                "text",
+                "text",
+                "text",
+                "numeric",
+                "numeric",
+              ]}
+              headings={["SKU", "Product", "Variant", "Unit cost", "Quantity"]}
+              rows={rows}
+            />
+
+            {draft ? (
+              <TextField
+                label="Note for the vendor"
+                name="note"
+                value={note}
+                onChange={setNote}
+                multiline={2}
+                autoComplete="off"
+              />
+            ) : (
+              po.note && <Text>{po.note}</Text>
+            )}
+
+            <InlineStack gap="200">
+              {draft && (
+                <Button submit primary loading={busy("poSave")}>
+                  Save
+                </Button>
+              )}
+              {draft && (
+                <Button
+                  onClick={() => submit("poStatus", { status: "sent" })}
+                  loading={busy("poStatus")}
+                  disabled={dirty}
+                >
+                  Mark as sent
+                </Button>
+              )}
+              {po.status === "sent" && (
+                <Button
+                  onClick={() => submit("poStatus", { status: "draft" })}
+                  loading={busy("poStatus")}
+                >
+                  Reopen as draft
+                </Button>
+              )}
+              {po.status !== "received" && (
+                <Button
+                  onClick={() => submit("poStatus", { status: "received" })}
+                  loading={busy("poStatus")}
+                  disabled={dirty}
+                >
+                  Mark as received
+                </Button>
+              )}
+              <Button
+                onClick={() => handleExport("pdf")}
+                loading={exporting === "pdf"}
+                disabled={Boolean(exporting)}
+              >
+                Download PDF
+              </Button>
+              <Button
+                onClick={() => handleExport("csv")}
+                loading={exporting === "csv"}
+                disabled={Boolean(exporting)}
+              >
+                Download CSV
+              </Button>
+              {draft && (
+                <Button
+                  tone="critical"
+                  onClick={() => submit("poDelete")}
+                  loading={busy("poDelete")}
+                >
+                  Delete
+                </Button>
+              )}
+            </InlineStack>
+            {dirty && (
+              <Text tone="subdued">
+                Save your changes to change the status.
+              </Text>
+            )}
+            {po.status !== "received" && (
+              <Text tone="subdued">
+                Receiving the order sets today as the last received date of its
+                SKUs.
+              </Text>
+            )}
+            {fetcher.data?.error && (
+              <Text tone="critical">{fetcher.data.error}</Text>
+            )}
+            {exportError && <Text tone="critical">{exportError}</Text>}
+          </BlockStack>
+        </fetcher.Form>
+      </Card>
+    );
+  }
+
+  return (
+    <Page
+      title="Purchase orders"
+      backAction={{ content: "Restocking Report", url: "/app" }}
+    >
+      <Layout>
+        {selected && <Layout.Section>{renderEditor(selected)}</Layout.Section>}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="end">
+                <Text variant="headingMd">All purchase orders</Text>
+                <Select
+                  label="Status"
+                  labelInline
+                  options={[
+                    { label: "Any", value: "" },
+                    ...PO_STATUSES.map(({ value, label }) => ({
+                      value,
+                      label,
+                    })),
+                  ]}
+                  value={status}
+                  onChange={(value) => setParams({ status: value })}
+                />
+              </InlineStack>
+              {purchaseOrders.length === 0 && (
+                <Text tone="subdued">
+                  No purchase orders yet. Select rows of a finished report and
+                  choose Create purchase orders.
+                </Text>
+              )}
+              {purchaseOrders.map((po) => {
+                const totals = poTotals(po);
+                return (
+                  <InlineStack key={po.id} gap="200" blockAlign="center">
+                    <Button
+                      variant="plain"
+                      onClick={() => setParams({ po: po.id })}
+                      disabled={po.id === selected?.id}
+                    >
+                      {`${poNumber(po)} · ${vendorLabel(po.vendor)}`}
+                    </Button>
+                    {statusBadge(po.status)}
+                    <Text tone="subdued">
+                      {formatDate(po.createdAt, shopTimezone)} ·{" "}
+                      {po.lines.length} lines · {totals.units} units
+                      {totals.cost !== null
+                        ? ` · ${formatMoney(totals.cost, po.currency)}`
+                        : ""}
+                    </Text>
+                  </InlineStack>
+                );
+              })}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,171 @@
+// app/routes/app.report-emails.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Badge,
+  Banner,
+} from "@shopify/polaris";
+import { useFetcher, useLoaderData } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import { fetchShopInfo } from "../restocking-report.server";
+import {
+  emailSettings,
+  listDeliveries,
+  retryDelivery,
+} from "../report-email.server";
+import { formatTimestamp } from "../timezone";
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const [{ ianaTimezone }, deliveries] = await Promise.all([
+    fetchShopInfo(admin, session.shop),
+    listDeliveries(session.shop),
+  ]);
+  return { shopTimezone: ianaTimezone, deliveries, email: emailSettings() };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               SERVER ACTION                                */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = String(formData.get("intent"));
+
+  if (intent === "deliveryRetry") {
+    const delivery = await retryDelivery(
+      session.shop,
+      String(formData.get("deliveryId"))
+    );
+    if (!delivery) return { error: "That email can't be retried" };
+    return { retried: delivery.status };
+  }
+
+  return { error: "Unknown intent" };
+};
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+const STATUS_TONES = {
+  sent: "success",
+  pending: "attention",
+  sending: "info",
+  failed: "critical",
+};
+
+export default function ReportEmails() {
+  const { shopTimezone, deliveries, email } = useLoaderData();
+  const fetcher = useFetcher();
+  const when = (date) => (date ? formatTimestamp(date, shopTimezone) : "—");
+
+  const retrying = (id) =>
+    fetcher.state !== "idle" && fetcher.formData?.get("deliveryId") === id;
+
+  return (
+    <Page
+      title="Email log"
+      backAction={{ content: "Restocking Report", url: "/app" }}
+    >
+      <Layout>
+        {!email.configured && (
+          <Layout.Section>
+            <Banner tone="warning" title="Email isn't set up">
+              <Text>
+                Set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM as
+                needed) on the server to send reports by email.
+              </Text>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd">Report emails</Text>
+              {deliveries.length === 0 && (
+                <Text tone="subdued">
+                  Nothing sent yet. Email a finished report from the Restocking
+                  Report, or add recipients to a schedule.
+                </Text>
+              )}
+              {deliveries.map((delivery) => (
+                <InlineStack
+                  key={delivery.id}
+                  gap="300"
+                  align="space-between"
+                  blockAlign="center"
+                  wrap={false}
+                >
+                  <BlockStack gap="050">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text fontWeight="semibold">{delivery.subject}</Text>
+                      <Badge tone={STATUS_TONES[delivery.status]}>
+                        {delivery.status}
+                      </Badge>
+                      {delivery.scheduleId && <Badge>Scheduled</Badge>}
+                    </InlineStack>
+                    <Text tone="subdued">
+                      To {delivery.recipients.join(", ")} ·{" "}
+                      {delivery.formats.join(", ").toUpperCase()} · Queued{" "}
+                      {when(delivery.createdAt)}
+                    </Text>
+                    <Text tone="subdued">
+                      {delivery.status === "sent"
+                        ? `Sent ${when(delivery.sentAt)}`
+                        : `${delivery.attempts} attempt${
+                            delivery.attempts === 1 ? "" : "s"
+                          }${
+                            delivery.status === "pending"
+                              ? ` · Next attempt ${when(delivery.nextAttemptAt)}`
+                              : ""
+                          }`}
+                    </Text>
+                    {delivery.lastError && delivery.status !== "sent" && (
+                      <Text tone="critical">{delivery.lastError}</Text>
+                    )}
+                  </BlockStack>
+                  <InlineStack gap="200" wrap={false}>
+                    <Button url={`/app?run=${delivery.runId}`}>
+                      Open report
+                    </Button>
+                    {["pending", "failed"].includes(delivery.status) && (
+                      <Button
+                        loading={retrying(delivery.id)}
+                        onClick={() =>
+                          fetcher.submit(
+                            {
+                              intent: "deliveryRetry",
+                              deliveryId: delivery.id,
+                            },
+                            { method: "post" }
+                          )
+                        }
+                      >
+                        Retry now
+                      </Button>
+                    )}
+                  </InlineStack>
+                </InlineStack>
+              ))}
+              {fetcher.data?.error && (
+                <Text tone="critical">{fetcher.data.error}</Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
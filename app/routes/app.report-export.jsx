@@ -0,0 +1,50 @@
+// app/routes/app.report-export.jsx
+import { authenticate } from "../shopify.server";
+import { getRestockingRun, runToReport } from "../restocking-report.server";
+import {
+  EXPORT_CONTENT_TYPES,
+  buildReportCsv,
+  buildReportXlsx,
+  downloadResponse,
+  exportFileName,
+} from "../report-export.server";
+import { buildReportPdf } from "../report-pdf.server";
+
+const BUILDERS = {
+  csv: buildReportCsv,
+  xlsx: buildReportXlsx,
+  pdf: buildReportPdf,
+};
+
+/* -------------------------------------------------------------------------- */
+/*                        Resource route: file download                       */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const format = String(formData.get("format") || "csv");
+  if (!EXPORT_CONTENT_TYPES[format]) {
+    return new Response("Unknown export format", { status: 400 });
+  }
+
+  const run = await getRestockingRun(
+    session.shop,
+    String(formData.get("runId"))
+  );
+  if (!run) {
+    return new Response("Report run not found", { status: 404 });
+  }
+  if (run.status !== "done") {
+    return new Response("Report run has not finished", { status: 409 });
+  }
+
+  const report = runToReport(run);
+
+  return downloadResponse(
+    BUILDERS[format](report),
+    EXPORT_CONTENT_TYPES[format],
+    exportFileName(report, format)
+  );
+};
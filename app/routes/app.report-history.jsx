@@ -0,0 +1,334 @@
+// app/routes/app.report-history.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Select,
+  Badge,
+  DataTable,
+  Pagination,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { useLoaderData, useSearchParams } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import {
+  countRestockingRuns,
+  fetchShopInfo,
+  getRestockingRun,
+  listRestockingRuns,
+  runToReport,
+} from "../restocking-report.server";
+import { diffReports, formatChange } from "../report-diff";
+import { formatTimestamp } from "../timezone";
+
+const PAGE_SIZE = 25;
+const COMPARE_CHOICES = 100;
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+async function loadDiff(shop, fromId, toId) {
+  if (!fromId || !toId) return null;
+  const [from, to] = await Promise.all([
+    getRestockingRun(shop, fromId),
+    getRestockingRun(shop, toId),
+  ]);
+  if (from?.status !== "done" || to?.status !== "done") {
+    return { error: "Both runs must exist and have finished" };
+  }
+
+  const before = runToReport(from);
+  const after = runToReport(to);
+  return {
+    from: { id: from.id, startDate: from.startDate, endDate: from.endDate },
+    to: { id: to.id, startDate: to.startDate, endDate: to.endDate },
+    fromTimestamp: before.timestamp,
+    toTimestamp: after.timestamp,
+    ...diffReports(before, after),
+  };
+}
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const params = new URL(request.url).searchParams;
+  const page = Math.max(1, Number.parseInt(params.get("page") ?? "1", 10) || 1);
+
+  const [{ ianaTimezone }, runs, total, recent, diff] = await Promise.all([
+    fetchShopInfo(admin, shop),
+    listRestockingRuns(shop, PAGE_SIZE, (page - 1) * PAGE_SIZE),
+    countRestockingRuns(shop),
+    listRestockingRuns(shop, COMPARE_CHOICES),
+    loadDiff(shop, params.get("from"), params.get("to")),
+  ]);
+
+  return {
+    shopTimezone: ianaTimezone,
+    runs,
+    page,
+    pageCount: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    finishedRuns: recent.filter((r) => r.status === "done"),
+    diff,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+const STATUS_TONES = { done: "success", error: "critical", running: "info" };
+
+const stockTotal = (entry) =>
+  Object.values(entry.stock).reduce((sum, n) => sum + n, 0);
+
+function entryRows(entries) {
+  return entries.map((e) => [
+    e.productTitle,
+    e.productVariantTitle,
+    e.sku,
+    e.netItemsSold,
+    stockTotal(e),
+  ]);
+}
+
+function changeRows(diff) {
+  return diff.changed.map((e) => [
+    e.productTitle,
+    e.productVariantTitle,
+    e.sku,
+    formatChange(e.netBefore, e.netAfter),
+    ...diff.locationNames.map((loc) => {
+      const c = e.locations[loc];
+      if (!c) return "";
+      return (
+        <BlockStack key={loc} gap="050">
+          {c.soldBefore !== c.soldAfter && (
+            <Text>Sold {formatChange(c.soldBefore, c.soldAfter)}</Text>
+          )}
+          {c.stockBefore !== c.stockAfter && (
+            <Text>Stock {formatChange(c.stockBefore, c.stockAfter)}</Text>
+          )}
+        </BlockStack>
+      );
+    }),
+  ]);
+}
+
+function runLabel(run) {
+  const name = run.presetName ? `${run.presetName}: ` : "";
+  return `${name}${run.startDate} → ${run.endDate}`;
+}
+
+export default function ReportHistory() {
+  const { shopTimezone, runs, page, pageCount, finishedRuns, diff } =
+    useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const when = (date) => formatTimestamp(date, shopTimezone);
+
+  const choices = finishedRuns.map((r) => ({
+    label: `${runLabel(r)} (${when(r.completedAt ?? r.createdAt)})`,
+    value: r.id,
+  }));
+  const [fromId, setFromId] = useState(
+    searchParams.get("from") ?? finishedRuns[1]?.id ?? ""
+  );
+  const [toId, setToId] = useState(
+    searchParams.get("to") ?? finishedRuns[0]?.id ?? ""
+  );
+
+  function setParams(changes) {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      for (const [key, value] of Object.entries(changes)) {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      }
+      return next;
+    });
+  }
+
+  const entryHeadings = ["Product", "Variant", "SKU", "Net sold", "Stock"];
+  const entryTypes = ["text", "text", "text", "numeric", "numeric"];
+
+  return (
+    <Page
+      title="Report history"
+      backAction={{ content: "Restocking Report", url: "/app" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd">Compare two runs</Text>
+              {choices.length < 2 ? (
+                <Text tone="subdued">
+                  Finish at least two runs to compare them.
+                </Text>
+              ) : (
+                <InlineStack gap="200" blockAlign="end">
+                  <Select
+                    label="From (older)"
+                    options={choices}
+                    value={fromId}
+                    onChange={setFromId}
+                  />
+                  <Select
+                    label="To (newer)"
+                    options={choices}
+                    value={toId}
+                    onChange={setToId}
+                  />
+                  <Button
+                    primary
+                    disabled={!fromId || !toId || fromId === toId}
+                    onClick={() => setParams({ from: fromId, to: toId })}
+                  >
+                    Compare
+                  </Button>
+                  {diff && (
+                    <Button
+                      variant="plain"
+                      onClick={() => setParams({ from: null, to: null })}
+                    >
+                      Clear
+                    </Button>
+                  )}
+                </InlineStack>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {diff?.error && (
+          <Layout.Section>
+            <Card>
+              <Text tone="critical">{diff.error}</Text>
+            </Card>
+          </Layout.Section>
+        )}
+
+        {diff && !diff.error && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text variant="headingMd">
+                    {`${diff.from.startDate} → ${diff.from.endDate} vs ${diff.to.startDate} → ${diff.to.endDate}`}
+                  </Text>
+                  <Text tone="subdued">
+                    Generated {diff.fromTimestamp} and {diff.toTimestamp}.{" "}
+                    {diff.added.length} new SKUs · {diff.removed.length} dropped
+                    · {diff.changed.length} changed · {diff.unchanged} unchanged
+                  </Text>
+                  {!diff.compareSold && (
+                    <Text tone="subdued">
+                      Sold by location isn&apos;t compared: one of the runs
+                      predates it.
+                    </Text>
+                  )}
+                  <InlineStack gap="200">
+                    <Button url={`/app?run=${diff.from.id}`}>
+                      Open older run
+                    </Button>
+                    <Button url={`/app?run=${diff.to.id}`}>
+                      Open newer run
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+
+                {diff.added.length > 0 && (
+                  <BlockStack gap="200">
+                    <Text variant="headingSm">New SKUs</Text>
+                    <DataTable
+                      columnContentTypes={entryTypes}
+                      headings={entryHeadings}
+                      rows={entryRows(diff.added)}
+                    />
+                  </BlockStack>
+                )}
+
+                {diff.removed.length > 0 && (
+                  <BlockStack gap="200">
+                    <Text variant="headingSm">Dropped SKUs</Text>
+                    <DataTable
+                      columnContentTypes={entryTypes}
+                      headings={entryHeadings}
+                      rows={entryRows(diff.removed)}
+                    />
+                  </BlockStack>
+                )}
+
+                {diff.changed.length > 0 && (
+                  <BlockStack gap="200">
+                    <Text variant="headingSm">Changed</Text>
+                    <DataTable
+                      columnContentTypes={[
+                        "text",
+                        "text",
+                        "text",
+                        "text",
+                        ...diff.locationNames.map(() => "text"),
+                      ]}
+                      headings={[
+                        "Product",
+                        "Variant",
+                        "SKU",
+                        "Net sold",
+                        ...diff.locationNames,
+                      ]}
+                      rows={changeRows(diff)}
+                    />
+                  </BlockStack>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="200">
+              <Text variant="headingMd">All runs</Text>
+              {runs.length === 0 && (
+                <Text tone="subdued">No report runs yet.</Text>
+              )}
+              {runs.map((r) => (
+                <InlineStack key={r.id} gap="200" blockAlign="center">
+                  <Button
+                    variant="plain"
+                    url={`/app?run=${r.id}`}
+                    disabled={r.status !== "done"}
+                  >
+                    {runLabel(r)}
+                  </Button>
+                  <Badge tone={STATUS_TONES[r.status]}>{r.status}</Badge>
+                  {r.scheduleId && <Badge>Scheduled</Badge>}
+                  <Text tone="subdued">
+                    {when(r.completedAt ?? r.createdAt)} · {r.processedOrders}{" "}
+                    orders
+                  </Text>
+                </InlineStack>
+              ))}
+              {pageCount > 1 && (
+                <InlineStack align="center">
+                  <Pagination
+                    hasPrevious={page > 1}
+                    onPrevious={() => setParams({ page: String(page - 1) })}
+                    hasNext={page < pageCount}
+                    onNext={() => setParams({ page: String(page + 1) })}
+                    label={`Page ${page} of ${pageCount}`}
+                  />
+                </InlineStack>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,233 @@
+// app/routes/app.report-presets.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  TextField,
+  Select,
+  ChoiceList,
+} from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import { fetchFilterChoices } from "../restocking-report.server";
+import {
+  deletePreset,
+  listPresets,
+  parsePresetForm,
+  savePreset,
+} from "../report-presets.server";
+import { renderReportOptionFields, useReportOptionsForm } from "../report-form";
+import { describeFilters } from "../report-filters";
+import { columnTitle } from "../report-columns";
+import { compareModeLabel } from "../report-compare";
+import { RELATIVE_RANGES, relativeRangeLabel } from "../timezone";
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const [presets, filterChoices] = await Promise.all([
+    listPresets(session.shop),
+    fetchFilterChoices(admin, session.shop),
+  ]);
+  return { presets, filterChoices };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               SERVER ACTION                                */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const formData = await request.formData();
+  const intent = String(formData.get("intent"));
+
+  if (intent === "presetSave") {
+    const id = String(formData.get("presetId") || "") || null;
+    const { error } = await savePreset(shop, id, parsePresetForm(formData));
+    return error ? { error } : { saved: true };
+  }
+
+  if (intent === "presetDelete") {
+    await deletePreset(shop, String(formData.get("presetId")));
+    return { deleted: true };
+  }
+
+  return { error: "Unknown intent" };
+};
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+// Collection filters hold ids; show their titles in the summary.
+function presetSummary(preset, filterChoices) {
+  const filters = { ...preset.options?.filters };
+  filters.collections = (filters.collections ?? []).map((id) => ({
+    id,
+    title: filterChoices.collections.find((c) => c.id === id)?.title,
+  }));
+  const parts = describeFilters(filters).map(([k, v]) => `${k}: ${v}`);
+  const compare = preset.options?.compare;
+  return [
+    relativeRangeLabel(preset.range),
+    ...(compare ? [`vs ${compareModeLabel(compare.mode).toLowerCase()}`] : []),
+    ...parts,
+  ].join(" · ");
+}
+
+export default function ReportPresets() {
+  const { presets, filterChoices } = useLoaderData();
+  const fetcher = useFetcher();
+  const optionsForm = useReportOptionsForm();
+
+  // null: no editor open; "": a new preset; otherwise the preset being edited
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState("");
+  const [range, setRange] = useState("last_7_days");
+  const [hiddenColumns, setHiddenColumns] = useState([]);
+
+  const saving =
+    fetcher.state !== "idle" &&
+    fetcher.formData?.get("intent") === "presetSave";
+
+  function openEditor(preset) {
+    setEditingId(preset?.id ?? "");
+    setName(preset?.name ?? "");
+    setRange(preset?.range ?? "last_7_days");
+    setHiddenColumns(preset?.hiddenColumns ?? []);
+    optionsForm.reset(preset?.options);
+  }
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.saved) setEditingId(null);
+  }, [fetcher.state, fetcher.data]);
+
+  return (
+    <Page
+      title="Report presets"
+      backAction={{ content: "Restocking Report", url: "/app" }}
+      primaryAction={{ content: "New preset", onAction: () => openEditor() }}
+    >
+      <Layout>
+        {editingId !== null && (
+          <Layout.Section>
+            <Card>
+              <fetcher.Form method="post">
+                <input type="hidden" name="intent" value="presetSave" />
+                <input type="hidden" name="presetId" value={editingId} />
+                <BlockStack gap="300">
+                  <Text variant="headingMd">
+                    {editingId ? `Edit ${name || "preset"}` : "New preset"}
+                  </Text>
+                  <InlineStack gap="200">
+                    <TextField
+                      label="Name"
+                      name="presetName"
+                      value={name}
+                      onChange={setName}
+                      autoComplete="off"
+                      requiredIndicator
+                    />
+                    <Select
+                      label="Date range"
+                      name="presetRange"
+                      options={RELATIVE_RANGES}
+                      value={range}
+                      onChange={setRange}
+                    />
+                  </InlineStack>
+
+                  {renderReportOptionFields(optionsForm, filterChoices)}
+
+                  {hiddenColumns.length > 0 && (
+                    <ChoiceList
+                      title="Hidden columns (untick to show again)"
+                      allowMultiple
+                      choices={hiddenColumns.map((id) => ({
+                        value: id,
+                        label: columnTitle(id),
+                      }))}
+                      selected={hiddenColumns}
+                      onChange={setHiddenColumns}
+                    />
+                  )}
+                  {hiddenColumns.map((id) => (
+                    <input
+                      key={id}
+                      type="hidden"
+                      name="hiddenColumns"
+                      value={id}
+                    />
+                  ))}
+
+                  <InlineStack gap="200">
+                    <Button submit primary loading={saving}>
+                      Save preset
+                    </Button>
+                    <Button onClick={() => setEditingId(null)}>Cancel</Button>
+                  </InlineStack>
+                  {fetcher.data?.error && (
+                    <Text tone="critical">{fetcher.data.error}</Text>
+                  )}
+                </BlockStack>
+              </fetcher.Form>
+            </Card>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd">Saved presets</Text>
+              {presets.length === 0 && (
+                <Text tone="subdued">
+                  No presets yet. Create one here or save the current form from
+                  the Restocking Report.
+                </Text>
+              )}
+              {presets.map((preset) => (
+                <InlineStack
+                  key={preset.id}
+                  gap="300"
+                  align="space-between"
+                  blockAlign="center"
+                  wrap={false}
+                >
+                  <BlockStack gap="050">
+                    <Text fontWeight="semibold">{preset.name}</Text>
+                    <Text tone="subdued">
+                      {presetSummary(preset, filterChoices)}
+                    </Text>
+                  </BlockStack>
+                  <InlineStack gap="200" wrap={false}>
+                    <Button onClick={() => openEditor(preset)}>Edit</Button>
+                    <Button
+                      tone="critical"
+                      onClick={() =>
+                        fetcher.submit(
+                          { intent: "presetDelete", presetId: preset.id },
+                          { method: "post" }
+                        )
+                      }
+                    >
+                      Delete
+                    </Button>
+                  </InlineStack>
+                </InlineStack>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
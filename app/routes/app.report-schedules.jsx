@@ -0,0 +1,388 @@
+// app/routes/app.report-schedules.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  TextField,
+  Select,
+  Checkbox,
+  ChoiceList,
+  Badge,
+} from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import { fetchShopInfo } from "../restocking-report.server";
+import { listPresets } from "../report-presets.server";
+import {
+  deleteSchedule,
+  listSchedules,
+  listSnapshots,
+  queueScheduleNow,
+  saveSchedule,
+  setScheduleEnabled,
+} from "../report-scheduler.server";
+import { emailSettings } from "../report-email.server";
+import { EMAIL_FORMATS, parseEmailForm } from "../report-email";
+import { CRON_EXAMPLES, cronError, nextCronTime } from "../cron";
+import { formatTimestamp, relativeRangeLabel } from "../timezone";
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const [{ ianaTimezone }, schedules, presets, snapshots] = await Promise.all([
+    fetchShopInfo(admin, shop),
+    listSchedules(shop),
+    listPresets(shop),
+    listSnapshots(shop),
+  ]);
+  return {
+    shopTimezone: ianaTimezone,
+    schedules,
+    presets,
+    snapshots,
+    email: emailSettings(),
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               SERVER ACTION                                */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const formData = await request.formData();
+  const intent = String(formData.get("intent"));
+  const scheduleId = String(formData.get("scheduleId") || "") || null;
+
+  if (intent === "scheduleSave") {
+    const email = parseEmailForm(formData);
+    if (email.error) return { error: email.error };
+
+    const { ianaTimezone } = await fetchShopInfo(admin, shop);
+    const { error } = await saveSchedule(
+      shop,
+      scheduleId,
+      {
+        presetId: String(formData.get("presetId") ?? ""),
+        cron: String(formData.get("cron") ?? ""),
+        enabled: formData.get("enabled") === "on",
+        emailRecipients: email.recipients,
+        emailFormats: email.formats,
+      },
+      ianaTimezone
+    );
+    return error ? { error } : { saved: true };
+  }
+
+  if (intent === "scheduleToggle") {
+    await setScheduleEnabled(
+      shop,
+      scheduleId,
+      formData.get("enabled") === "on"
+    );
+    return { saved: true };
+  }
+
+  if (intent === "scheduleRunNow") {
+    await queueScheduleNow(shop, scheduleId);
+    return { queued: true };
+  }
+
+  if (intent === "scheduleDelete") {
+    await deleteSchedule(shop, scheduleId);
+    return { deleted: true };
+  }
+
+  return { error: "Unknown intent" };
+};
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+const STATUS_TONES = { done: "success", error: "critical", running: "info" };
+
+export default function ReportSchedules() {
+  const { shopTimezone, schedules, presets, snapshots, email } =
+    useLoaderData();
+  const fetcher = useFetcher();
+
+  // null: no editor open; "": a new schedule; otherwise the schedule's id
+  const [editingId, setEditingId] = useState(null);
+  const [presetId, setPresetId] = useState("");
+  const [cron, setCron] = useState(CRON_EXAMPLES[0].value);
+  const [enabled, setEnabled] = useState(true);
+  const [recipients, setRecipients] = useState("");
+  const [formats, setFormats] = useState(["csv"]);
+
+  const saving =
+    fetcher.state !== "idle" &&
+    fetcher.formData?.get("intent") === "scheduleSave";
+
+  const when = (date) => (date ? formatTimestamp(date, shopTimezone) : "—");
+  const cronProblem = cronError(cron);
+
+  function openEditor(schedule) {
+    setEditingId(schedule?.id ?? "");
+    setPresetId(schedule?.presetId ?? presets[0]?.id ?? "");
+    setCron(schedule?.cron ?? CRON_EXAMPLES[0].value);
+    setEnabled(schedule?.enabled ?? true);
+    setRecipients((schedule?.emailRecipients ?? []).join(", "));
+    setFormats(schedule?.emailFormats ?? ["csv"]);
+  }
+
+  function submit(intent, schedule, extra = {}) {
+    fetcher.submit(
+      { intent, scheduleId: schedule.id, ...extra },
+      { method: "post" }
+    );
+  }
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.saved) setEditingId(null);
+  }, [fetcher.state, fetcher.data]);
+
+  return (
+    <Page
+      title="Report schedules"
+      backAction={{ content: "Restocking Report", url: "/app" }}
+      primaryAction={{
+        content: "New schedule",
+        onAction: () => openEditor(),
+        disabled: presets.length === 0,
+      }}
+    >
+      <Layout>
+        {editingId !== null && (
+          <Layout.Section>
+            <Card>
+              <fetcher.Form method="post">
+                <input type="hidden" name="intent" value="scheduleSave" />
+                <input type="hidden" name="scheduleId" value={editingId} />
+                <BlockStack gap="300">
+                  <Text variant="headingMd">
+                    {editingId ? "Edit schedule" : "New schedule"}
+                  </Text>
+                  <InlineStack gap="200" blockAlign="end">
+                    <Select
+                      label="Preset"
+                      name="presetId"
+                      options={presets.map((p) => ({
+                        label: `${p.name} (${relativeRangeLabel(p.range)})`,
+                        value: p.id,
+                      }))}
+                      value={presetId}
+                      onChange={setPresetId}
+                    />
+                    <TextField
+                      label="Schedule (cron)"
+                      name="cron"
+                      value={cron}
+                      onChange={setCron}
+                      autoComplete="off"
+                      monospaced
+                      error={cronProblem ?? undefined}
+                      helpText={
+                        cronProblem
+                          ? "minute hour day-of-month month day-of-week"
+                          : `Next run: ${when(nextCronTime(cron, shopTimezone))}`
+                      }
+                    />
+                    <Select
+                      label="Common schedules"
+                      labelHidden
+                      placeholder="Common schedules"
+                      options={CRON_EXAMPLES}
+                      value=""
+                      onChange={setCron}
+                    />
+                  </InlineStack>
+                  <Checkbox
+                    label="Enabled"
+                    name="enabled"
+                    checked={enabled}
+                    onChange={setEnabled}
+                  />
+                  <Text tone="subdued">
+                    Times are in the store timezone ({shopTimezone}).
+                  </Text>
+
+                  <TextField
+                    label="Email the report to"
+                    name="emailRecipients"
+                    value={recipients}
+                    onChange={setRecipients}
+                    autoComplete="off"
+                    placeholder="manager@example.com, buyer@example.com"
+                    helpText={
+                      email.configured
+                        ? `Sent from ${email.from} after each run. Leave empty to only keep the snapshot.`
+                        : "Email isn't set up on the server (SMTP_HOST), so nothing will be sent."
+                    }
+                  />
+                  {recipients.trim() && (
+                    <ChoiceList
+                      title="Attachments"
+                      allowMultiple
+                      choices={EMAIL_FORMATS}
+                      selected={formats}
+                      onChange={setFormats}
+                    />
+                  )}
+                  {formats.map((format) => (
+                    <input
+                      key={format}
+                      type="hidden"
+                      name="emailFormats"
+                      value={format}
+                    />
+                  ))}
+
+                  <InlineStack gap="200">
+                    <Button
+                      submit
+                      primary
+                      loading={saving}
+                      disabled={Boolean(cronProblem)}
+                    >
+                      Save schedule
+                    </Button>
+                    <Button onClick={() => setEditingId(null)}>Cancel</Button>
+                  </InlineStack>
+                  {fetcher.data?.error && (
+                    <Text tone="critical">{fetcher.data.error}</Text>
+                  )}
+                </BlockStack>
+              </fetcher.Form>
+            </Card>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd">Schedules</Text>
+              {presets.length === 0 && (
+                <Text tone="subdued">
+                  Schedules run a saved preset. Create a preset first under
+                  Report Presets.
+                </Text>
+              )}
+              {presets.length > 0 && schedules.length === 0 && (
+                <Text tone="subdued">No schedules yet.</Text>
+              )}
+              {schedules.map((schedule) => (
+                <InlineStack
+                  key={schedule.id}
+                  gap="300"
+                  align="space-between"
+                  blockAlign="center"
+                  wrap={false}
+                >
+                  <BlockStack gap="050">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text fontWeight="semibold">{schedule.preset.name}</Text>
+                      <Text tone="subdued">
+                        <code>{schedule.cron}</code>
+                      </Text>
+                      {!schedule.enabled && <Badge>Paused</Badge>}
+                      {schedule.emailRecipients.length > 0 && (
+                        <Text tone="subdued">
+                          Emails {schedule.emailRecipients.join(", ")}
+                        </Text>
+                      )}
+                    </InlineStack>
+                    <Text tone="subdued">
+                      Next run:{" "}
+                      {schedule.enabled ? when(schedule.nextRunAt) : "—"}
+                      {" · "}Last run: {when(schedule.lastRunAt)}
+                      {schedule.lastStatus ? ` (${schedule.lastStatus})` : ""}
+                    </Text>
+                    {schedule.lastError && (
+                      <Text tone="critical">{schedule.lastError}</Text>
+                    )}
+                  </BlockStack>
+                  <InlineStack gap="200" wrap={false}>
+                    {schedule.lastRunId && (
+                      <Button url={`/app?run=${schedule.lastRunId}`}>
+                        Open last
+                      </Button>
+                    )}
+                    {schedule.enabled && (
+                      <Button
+                        onClick={() => submit("scheduleRunNow", schedule)}
+                      >
+                        Run now
+                      </Button>
+                    )}
+                    <Button
+                      onClick={() =>
+                        submit("scheduleToggle", schedule, {
+                          enabled: schedule.enabled ? "" : "on",
+                        })
+                      }
+                    >
+                      {schedule.enabled ? "Pause" : "Resume"}
+                    </Button>
+                    <Button onClick={() => openEditor(schedule)}>Edit</Button>
+                    <Button
+                      tone="critical"
+                      onClick={() => submit("scheduleDelete", schedule)}
+                    >
+                      Delete
+                    </Button>
+                  </InlineStack>
+                </InlineStack>
+              ))}
+              {fetcher.data?.queued && (
+                <Text tone="subdued">
+                  Queued. The scheduler picks it up within a minute.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="200">
+              <Text variant="headingMd">Snapshots</Text>
+              {snapshots.length === 0 && (
+                <Text tone="subdued">
+                  Each scheduled run is kept here once it finishes.
+                </Text>
+              )}
+              {snapshots.map((run) => (
+                <InlineStack key={run.id} gap="200" blockAlign="center">
+                  <Button
+                    variant="plain"
+                    url={`/app?run=${run.id}`}
+                    disabled={run.status !== "done"}
+                  >
+                    {`${run.presetName} · ${run.startDate} → ${run.endDate}`}
+                  </Button>
+                  <Badge tone={STATUS_TONES[run.status]}>{run.status}</Badge>
+                  <Text tone="subdued">
+                    {when(run.completedAt ?? run.createdAt)} ·{" "}
+                    {run.processedOrders} orders
+                  </Text>
+                  {run.error && <Text tone="critical">{run.error}</Text>}
+                </InlineStack>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,251 @@
+// app/routes/app.stocky-import.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  ProgressBar,
+} from "@shopify/polaris";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { fetchShopInfo } from "../restocking-report.server";
+import { getSyncState, importStockyBatch } from "../stocky-import.server";
+import {
+  IMPORT_BATCH_ROWS,
+  detectColumns,
+  fileHash,
+  parseCsv,
+} from "../stocky-csv";
+
+function stateView(state) {
+  if (!state) return null;
+  return {
+    fileName: state.fileName,
+    fileHash: state.fileHash,
+    fullOffset: state.fullOffset,
+    fullDone: state.fullDone,
+    totalRows: state.totalRows,
+    skippedRows: state.skippedRows,
+    updatedAt: state.updatedAt,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const [state, skuCount] = await Promise.all([
+    getSyncState(session.shop),
+    prisma.stockySkuReceipt.count({ where: { shop: session.shop } }),
+  ]);
+  return { state: stateView(state), skuCount };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               SERVER ACTION                                */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const formData = await request.formData();
+  const intent = String(formData.get("intent"));
+
+  if (intent === "importBatch") {
+    let header, rows;
+    try {
+      header = JSON.parse(String(formData.get("header")));
+      rows = JSON.parse(String(formData.get("rows")));
+    } catch {
+      return { error: "Invalid import batch" };
+    }
+
+    const { ianaTimezone } = await fetchShopInfo(admin, shop);
+    const { state, error } = await importStockyBatch(shop, {
+      fileHash: String(formData.get("fileHash") || ""),
+      fileName: String(formData.get("fileName") || ""),
+      header,
+      totalRows: Number(formData.get("totalRows")),
+      offset: Number(formData.get("offset")),
+      rows,
+      timeZone: ianaTimezone,
+    });
+    if (error) return { error };
+
+    return { state: stateView(state) };
+  }
+
+  if (intent === "importReset") {
+    await prisma.stockySyncState.updateMany({
+      where: { shop },
+      data: { fileHash: null, fullOffset: 0, fullDone: false },
+    });
+    return { state: stateView(await getSyncState(shop)) };
+  }
+
+  return { error: "Unknown intent" };
+};
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+export default function StockyImport() {
+  const { state: savedState, skuCount } = useLoaderData();
+  const fetcher = useFetcher();
+
+  const [file, setFile] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [fileError, setFileError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  // The chosen file, parsed once: `{ name, hash, header, data }`.
+  const parsed = useRef(null);
+
+  const state = fetcher.data?.state ?? savedState;
+  const error = fileError ?? fetcher.data?.error;
+
+  /* ---------- Batch loop ---------- */
+
+  const { submit } = fetcher;
+  const submitBatch = useCallback(
+    (offset) => {
+      const { name, hash, header, data } = parsed.current;
+      submit(
+        {
+          intent: "importBatch",
+          fileHash: hash,
+          fileName: name,
+          header: JSON.stringify(header),
+          totalRows: data.length,
+          offset,
+          rows: JSON.stringify(data.slice(offset, offset + IMPORT_BATCH_ROWS)),
+        },
+        { method: "post" }
+      );
+    },
+    [submit]
+  );
+
+  useEffect(() => {
+    if (!importing || fetcher.state !== "idle" || !fetcher.data) return;
+    if (fetcher.data.error || fetcher.data.state?.fullDone) {
+      setImporting(false);
+      return;
+    }
+    submitBatch(fetcher.data.state.fullOffset);
+  }, [importing, fetcher.state, fetcher.data, submitBatch]);
+
+  async function startImport() {
+    setReading(true);
+    setFileError(null);
+    try {
+      const text = await file.text();
+      const [header, ...data] = parseCsv(text);
+      if (!data.length) throw new Error("The file has no data rows");
+      const columns = detectColumns(header);
+      if (columns.error) throw new Error(columns.error);
+
+      const hash = await fileHash(text);
+      parsed.current = { name: file.name, hash, header, data };
+      // Pick up where the server left off with this file.
+      const offset =
+        state?.fileHash === hash && !state.fullDone ? state.fullOffset : 0;
+      setImporting(true);
+      submitBatch(offset);
+    } catch (err) {
+      setFileError(err.message);
+    } finally {
+      setReading(false);
+    }
+  }
+
+  const progress =
+    state?.totalRows > 0
+      ? Math.round((state.fullOffset / state.totalRows) * 100)
+      : 0;
+  const resumable = state && !state.fullDone && state.fullOffset > 0;
+
+  return (
+    <Page title="Stocky receiving history">
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text>
+                Upload a Stocky purchase order or receiving CSV export. Each
+                SKU&apos;s first and last received dates are added to the
+                Restocking Report. Large files are imported in batches and can
+                be resumed by choosing the same file again.
+              </Text>
+              <Text tone="subdued">SKUs with receipt dates: {skuCount}</Text>
+
+              {resumable && (
+                <Text tone="caution">
+                  {`${state.fileName} stopped at row ${state.fullOffset} of ${state.totalRows}. Choose the same file to resume.`}
+                </Text>
+              )}
+
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                aria-label="Stocky CSV export"
+                onChange={(e) => setFile(e.target.files?.[0] ?? null)}
+              />
+
+              <InlineStack gap="200">
+                <Button
+                  primary
+                  disabled={!file || importing}
+                  loading={reading || importing}
+                  onClick={startImport}
+                >
+                  {resumable ? "Resume import" : "Import"}
+                </Button>
+                {state?.fullDone && (
+                  <Button
+                    disabled={importing}
+                    onClick={() =>
+                      fetcher.submit(
+                        { intent: "importReset" },
+                        { method: "post" }
+                      )
+                    }
+                  >
+                    Allow re-importing {state.fileName}
+                  </Button>
+                )}
+              </InlineStack>
+
+              {error && <Text tone="critical">{error}</Text>}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {state?.fileName && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd">{state.fileName}</Text>
+                <ProgressBar progress={progress} size="small" />
+                <Text>
+                  {`Rows imported: ${state.fullOffset} of ${state.totalRows}`}
+                  {state.skippedRows
+                    ? ` · ${state.skippedRows} skipped (no SKU, date or quantity received)`
+                    : ""}
+                </Text>
+                {state.fullDone && <Text tone="success">Import complete.</Text>}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,50 @@
+// app/routes/app.transfer-export.jsx
+import { authenticate } from "../shopify.server";
+import { getRestockingRun, runToReport } from "../restocking-report.server";
+import {
+  EXPORT_CONTENT_TYPES,
+  downloadResponse,
+} from "../report-export.server";
+import {
+  buildTransferCsv,
+  buildTransferPdf,
+  transferFileName,
+} from "../transfer-export.server";
+
+const BUILDERS = {
+  csv: buildTransferCsv,
+  pdf: buildTransferPdf,
+};
+
+/* -------------------------------------------------------------------------- */
+/*                        Resource route: file download                       */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const format = String(formData.get("format") || "csv");
+  if (!BUILDERS[format]) {
+    return new Response("Unknown export format", { status: 400 });
+  }
+
+  const run = await getRestockingRun(
+    session.shop,
+    String(formData.get("runId"))
+  );
+  if (!run) {
+    return new Response("Report run not found", { status: 404 });
+  }
+  if (run.status !== "done") {
+    return new Response("Report run has not finished", { status: 409 });
+  }
+
+  const report = runToReport(run, { withTransfers: true });
+
+  return downloadResponse(
+    BUILDERS[format](report),
+    EXPORT_CONTENT_TYPES[format],
+    transferFileName(report, format)
+  );
+};
@@ -0,0 +1,210 @@
+// app/routes/app.transfers.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Select,
+  Banner,
+  DataTable,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { useLoaderData, useSearchParams } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import { getRestockingRun, runToReport } from "../restocking-report.server";
+import { transferCoverNote } from "../transfers";
+import { downloadExport } from "../download";
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const runId = new URL(request.url).searchParams.get("run");
+  const run = runId ? await getRestockingRun(session.shop, runId) : null;
+  if (!run || run.status !== "done") return { report: null };
+
+  const report = runToReport(run, { withTransfers: true });
+  return {
+    report: {
+      runId: report.runId,
+      startDate: report.startDate,
+      endDate: report.endDate,
+      timestamp: report.timestamp,
+      locationNames: report.locationNames,
+      salesByLocation: report.salesByLocation,
+      transfers: report.transfers,
+      transferSettings: report.transferSettings,
+      reorder: Boolean(report.reorder),
+      truncated: report.truncated,
+    },
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+export default function Transfers() {
+  const { report } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  if (!report) {
+    return (
+      <Page
+        title="Transfer suggestions"
+        backAction={{ content: "Restocking Report", url: "/app" }}
+      >
+        <Card>
+          <Text tone="subdued">
+            Open a finished report and choose Transfer suggestions to see which
+            locations can restock each other.
+          </Text>
+        </Card>
+      </Page>
+    );
+  }
+
+  const from = searchParams.get("from") ?? "";
+  const transfers = from
+    ? report.transfers.filter((t) => t.from === from)
+    : report.transfers;
+  const units = transfers.reduce((sum, t) => sum + t.quantity, 0);
+
+  async function handleExport(format) {
+    setExporting(format);
+    setExportError(null);
+    try {
+      await downloadExport("/app/transfer-export", {
+        format,
+        runId: report.runId,
+      });
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  }
+
+  return (
+    <Page
+      title="Transfer suggestions"
+      subtitle={`Sales from ${report.startDate} to ${report.endDate}, generated ${report.timestamp}`}
+      backAction={{
+        content: "Restocking Report",
+        url: `/app?run=${report.runId}`,
+      }}
+    >
+      <Layout>
+        {report.truncated && (
+          <Layout.Section>
+            <Banner tone="warning" title="This report is incomplete">
+              <p>
+                Not every order in the range was counted, so sales at some
+                locations may be understated.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="end">
+                <BlockStack gap="050">
+                  <Text variant="headingMd">
+                    {`${transfers.length} transfers · ${units} units`}
+                  </Text>
+                  <Text tone="subdued">
+                    {`${transferCoverNote(report)}; what it has beyond that can go to a location short of its own. `}
+                    {report.reorder
+                      ? "The report's suggested orders already count these transfers as stock."
+                      : "Turn on reorder suggestions to see what to order after these transfers."}
+                  </Text>
+                </BlockStack>
+                <Select
+                  label="Ship from"
+                  options={[
+                    { label: "All locations", value: "" },
+                    ...report.locationNames.map((l) => ({
+                      label: l,
+                      value: l,
+                    })),
+                  ]}
+                  value={from}
+                  onChange={(location) =>
+                    setSearchParams((prev) => {
+                      const next = new URLSearchParams(prev);
+                      if (location) next.set("from", location);
+                      else next.delete("from");
+                      return next;
+                    })
+                  }
+                />
+              </InlineStack>
+
+              {!report.salesByLocation && (
+                <Text tone="subdued">
+                  This run is from before sales were counted per location, so it
+                  has no transfer suggestions. Run the report again.
+                </Text>
+              )}
+              {report.salesByLocation && transfers.length === 0 && (
+                <Text tone="subdued">
+                  {report.locationNames.length < 2
+                    ? "The report covers one location, so there is nothing to move."
+                    : "No location has stock another one needs."}
+                </Text>
+              )}
+              {transfers.length > 0 && (
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "text",
+                    "text",
+                    "text",
+                    "text",
+                    "numeric",
+                  ]}
+                  headings={["From", "To", "SKU", "Product", "Variant", "Qty"]}
+                  rows={transfers.map((t) => [
+                    t.from,
+                    t.to,
+                    t.sku,
+                    t.productTitle,
+                    t.productVariantTitle,
+                    t.quantity,
+                  ])}
+                />
+              )}
+
+              <InlineStack gap="200">
+                <Button
+                  onClick={() => handleExport("pdf")}
+                  loading={exporting === "pdf"}
+                  disabled={Boolean(exporting)}
+                >
+                  Print transfer sheet (PDF)
+                </Button>
+                <Button
+                  onClick={() => handleExport("csv")}
+                  loading={exporting === "csv"}
+                  disabled={Boolean(exporting)}
+                >
+                  Download CSV
+                </Button>
+              </InlineStack>
+              {exportError && <Text tone="critical">{exportError}</Text>}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
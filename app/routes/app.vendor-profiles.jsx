@@ -0,0 +1,259 @@
+// app/routes/app.vendor-profiles.jsx
+import {
+  Page,
+  Card,
+  Layout,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  TextField,
+  Select,
+  DataTable,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { useFetcher, useLoaderData, useSearchParams } from "react-router-dom";
+import { authenticate } from "../shopify.server";
+import { fetchFilterChoices } from "../restocking-report.server";
+import {
+  deleteVendorProfile,
+  listVendorProfiles,
+  saveVendorProfile,
+} from "../vendor-profiles.server";
+import {
+  VENDOR_PROFILE_FIELDS,
+  parseVendorProfileForm,
+} from "../vendor-profiles";
+
+/* -------------------------------------------------------------------------- */
+/*                                   LOADER                                   */
+/* -------------------------------------------------------------------------- */
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const vendor = new URL(request.url).searchParams.get("vendor") ?? "";
+  const [profiles, filterChoices] = await Promise.all([
+    listVendorProfiles(session.shop),
+    fetchFilterChoices(admin, session.shop),
+  ]);
+
+  // Vendors no product uses any more keep their saved settings.
+  const vendors = [
+    ...new Set([...filterChoices.vendors, ...profiles.map((p) => p.vendor)]),
+  ].sort((a, b) => a.localeCompare(b));
+
+  return { profiles, vendors, vendor };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               SERVER ACTION                                */
+/* -------------------------------------------------------------------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const formData = await request.formData();
+  const intent = String(formData.get("intent"));
+
+  if (intent === "vendorSave") {
+    const profile = parseVendorProfileForm(formData);
+    if (profile.error) return { error: profile.error };
+    await saveVendorProfile(shop, profile);
+    return { saved: true };
+  }
+
+  if (intent === "vendorDelete") {
+    await deleteVendorProfile(shop, String(formData.get("profileId")));
+    return { deleted: true };
+  }
+
+  return { error: "Unknown intent" };
+};
+
+/* -------------------------------------------------------------------------- */
+/*                           CLIENT-SIDE COMPONENT                            */
+/* -------------------------------------------------------------------------- */
+
+function formValues(profile) {
+  return {
+    ...Object.fromEntries(
+      VENDOR_PROFILE_FIELDS.map(({ name }) => [
+        name,
+        profile?.[name] === null || profile?.[name] === undefined
+          ? ""
+          : String(profile[name]),
+      ])
+    ),
+    contactEmail: profile?.contactEmail ?? "",
+  };
+}
+
+const blank = (value, suffix = "") =>
+  value === null || value === undefined ? "—" : `${value}${suffix}`;
+
+export default function VendorProfiles() {
+  const { profiles, vendors, vendor } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+
+  const profile = profiles.find((p) => p.vendor === vendor) ?? null;
+  const [values, setValues] = useState(() => formValues(profile));
+  const set = (name, value) => setValues((v) => ({ ...v, [name]: value }));
+
+  // Choosing another vendor, or saving this one, starts from what's saved.
+  const savedVersion = `${vendor}:${profile?.updatedAt}`;
+  const [editedVersion, setEditedVersion] = useState(savedVersion);
+  if (editedVersion !== savedVersion) {
+    setEditedVersion(savedVersion);
+    setValues(formValues(profile));
+  }
+
+  const busy = (intent) =>
+    fetcher.state !== "idle" && fetcher.formData?.get("intent") === intent;
+
+  return (
+    <Page
+      title="Vendor settings"
+      backAction={{ content: "Restocking Report", url: "/app" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <fetcher.Form method="post">
+              <input type="hidden" name="intent" value="vendorSave" />
+              <BlockStack gap="300">
+                <Text variant="headingMd">Ordering rules</Text>
+                <Text tone="subdued">
+                  Reorder suggestions use a vendor&apos;s lead time instead of
+                  the report&apos;s, cover at least its order cadence, and round
+                  up to its case pack. Purchase orders are pre-filled in whole
+                  cases and flagged when under the minimum quantity or value.
+                  Leave a field blank to use the report&apos;s settings.
+                </Text>
+                <Select
+                  label="Vendor"
+                  name="vendor"
+                  options={[
+                    { label: "Choose a vendor", value: "" },
+                    ...vendors.map((v) => ({
+                      label: profiles.some((p) => p.vendor === v)
+                        ? `${v} (saved)`
+                        : v,
+                      value: v,
+                    })),
+                  ]}
+                  value={vendor}
+                  onChange={(value) =>
+                    setSearchParams(value ? { vendor: value } : {})
+                  }
+                />
+                {vendor && (
+                  <>
+                    <InlineStack gap="200" wrap>
+                      {VENDOR_PROFILE_FIELDS.map(({ name, label, integer }) => (
+                        <TextField
+                          key={name}
+                          label={label}
+                          name={name}
+                          type="number"
+                          min={0}
+                          step={integer ? 1 : 0.01}
+                          value={values[name]}
+                          onChange={(value) => set(name, value)}
+                          autoComplete="off"
+                        />
+                      ))}
+                    </InlineStack>
+                    <TextField
+                      label="Contact email"
+                      name="contactEmail"
+                      type="email"
+                      value={values.contactEmail}
+                      onChange={(value) => set("contactEmail", value)}
+                      autoComplete="email"
+                    />
+                    <InlineStack gap="200">
+                      <Button submit primary loading={busy("vendorSave")}>
+                        Save
+                      </Button>
+                      {profile && (
+                        <Button
+                          tone="critical"
+                          loading={busy("vendorDelete")}
+                          onClick={() =>
+                            fetcher.submit(
+                              {
+                                intent: "vendorDelete",
+                                profileId: profile.id,
+                              },
+                              { method: "post" }
+                            )
+                          }
+                        >
+                          Clear settings
+                        </Button>
+                      )}
+                    </InlineStack>
+                  </>
+                )}
+                {fetcher.data?.error && (
+                  <Text tone="critical">{fetcher.data.error}</Text>
+                )}
+              </BlockStack>
+            </fetcher.Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd">Saved vendors</Text>
+              {profiles.length === 0 ? (
+                <Text tone="subdued">
+                  No vendor has settings yet; every product follows the
+                  report&apos;s reorder settings.
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "text",
+                  ]}
+                  headings={[
+                    "Vendor",
+                    "Lead time",
+                    "Min. quantity",
+                    "Min. value",
+                    "Case pack",
+                    "Order every",
+                    "Contact",
+                  ]}
+                  rows={profiles.map((p) => [
+                    <Button
+                      key={p.id}
+                      variant="plain"
+                      onClick={() => setSearchParams({ vendor: p.vendor })}
+                    >
+                      {p.vendor}
+                    </Button>,
+                    blank(p.leadTimeDays, " days"),
+                    blank(p.minOrderQty),
+                    blank(p.minOrderValue),
+                    blank(p.casePack),
+                    blank(p.orderCadenceDays, " days"),
+                    p.contactEmail ?? "",
+                  ])}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { syncInventoryLevel } from "../inventory-snapshot.server";
+
+// inventory_levels/update re-reads the level, so the inventory snapshot
+// holds its latest quantities.
+export const action = async ({ request }) => {
+  const { shop, admin, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // No offline session: the app was uninstalled since.
+  if (!admin) return new Response();
+
+  await syncInventoryLevel(admin, shop, {
+    inventoryItemId: `gid://shopify/InventoryItem/${payload.inventory_item_id}`,
+    locationId: `gid://shopify/Location/${payload.location_id}`,
+  });
+
+  return new Response();
+};
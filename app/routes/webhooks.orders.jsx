@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { syncLedgerOrder } from "../sales-ledger.server";
+
+// orders/create, orders/updated, orders/cancelled and refunds/create all
+// re-read the order, so the sales ledger holds its latest state.
+export const action = async ({ request }) => {
+  const { shop, admin, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // No offline session: the app was uninstalled since.
+  if (!admin) return new Response();
+
+  const orderId =
+    topic === "REFUNDS_CREATE"
+      ? `gid://shopify/Order/${payload.order_id}`
+      : (payload.admin_graphql_api_id ?? `gid://shopify/Order/${payload.id}`);
+  await syncLedgerOrder(admin, shop, orderId);
+
+  return new Response();
+};
@@ -0,0 +1,573 @@
+// app/sales-ledger.server.js
+import { DateTime } from "luxon";
+import prisma from "./db.server.js";
+import {
+  WEBHOOK_TRIES,
+  adminQuery,
+  pageConnection,
+} from "./admin-graphql.server.js";
+import { resolveShopTimezone } from "./timezone.js";
+import { salesChannelOf } from "./report-filters.js";
+import {
+  attributeNetUnits,
+  fulfilledByLineItem,
+  lineItemQuantities,
+} from "./order-sales.js";
+import {
+  downloadBulkOrders,
+  startBulkOrders,
+  waitForBulkOperation,
+} from "./bulk-orders.server.js";
+
+/* -------------------------------------------------------------------------- */
+/*                              Recording orders                              */
+/* -------------------------------------------------------------------------- */
+
+const LINE_ITEM_FIELDS = `
+  id
+  quantity
+  currentQuantity
+  product { id title vendor productType tags }
+  variant { id title sku }
+`;
+
+// Order.fulfillments is a plain list with no next page; the line
+// connections under it are paged.
+const LEDGER_FULFILLMENTS = 50;
+
+// The fields the restocking report reads, for one order, plus the store
+// timezone in case the ledger hasn't got one yet. Line items and
+// fulfillment lines past the first page are fetched by the queries below.
+const LEDGER_ORDER_QUERY = `
+  query SalesLedgerOrder($id: ID!) {
+    shop { ianaTimezone }
+    order(id: $id) {
+      id
+      createdAt
+      updatedAt
+      cancelledAt
+      test
+      sourceName
+      retailLocation { name }
+      fulfillments(first: ${LEDGER_FULFILLMENTS}) {
+        id
+        location { name }
+        fulfillmentLineItems(first: 250) {
+          edges { node { quantity lineItem { id } } }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+      lineItems(first: 250) {
+        edges { node { ${LINE_ITEM_FIELDS} } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+const LEDGER_LINE_ITEMS_QUERY = `
+  query SalesLedgerOrderLineItems($id: ID!, $cursor: String) {
+    order(id: $id) {
+      lineItems(first: 250, after: $cursor) {
+        edges { node { ${LINE_ITEM_FIELDS} } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+const LEDGER_FULFILLMENT_LINES_QUERY = `
+  query SalesLedgerFulfillmentLineItems($id: ID!, $cursor: String) {
+    fulfillment(id: $id) {
+      fulfillmentLineItems(first: 250, after: $cursor) {
+        edges { node { quantity lineItem { id } } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+function addTo(totals, key, values) {
+  const entry = (totals[key] ??= {
+    ...values,
+    grossSold: 0,
+    returnedQty: 0,
+    netSold: 0,
+  });
+  entry.grossSold += values.grossSold ?? 0;
+  entry.returnedQty += values.returnedQty ?? 0;
+  entry.netSold += values.netSold ?? 0;
+}
+
+/**
+ * What an order adds to the ledger: its store-local day, channel and
+ * exclusions, one line per variant and location, and the product details
+ * of each variant. Units are split across locations the way the restocking
+ * report splits them; gross and returned units go on the location "" line
+ * along with net units nobody has fulfilled.
+ */
+function ledgerEntry(order, timeZone) {
+  const fulfilled = fulfilledByLineItem(order);
+  const retailLocation = order.retailLocation?.name ?? null;
+  const totals = {};
+  const variants = {};
+
+  for (const { node: n } of order.lineItems?.edges ?? []) {
+    const v = n.variant;
+    if (!v?.id) continue;
+    const p = n.product;
+    variants[v.id] = {
+      productId: p?.id ?? null,
+      sku: v.sku || null,
+      productTitle: p?.title || "N/A",
+      variantTitle: v.title || "N/A",
+      vendor: p?.vendor ?? null,
+      productType: p?.productType ?? null,
+      tags: p?.tags ?? [],
+    };
+
+    const qty = lineItemQuantities(n);
+    const sold = attributeNetUnits(qty.net, fulfilled[n.id], retailLocation);
+    addTo(totals, `${v.id}||`, {
+      variantId: v.id,
+      location: "",
+      grossSold: qty.gross,
+      returnedQty: qty.returned,
+      netSold: sold.unfulfilled,
+    });
+    for (const [location, units] of Object.entries(sold.byLocation)) {
+      addTo(totals, `${v.id}||${location}`, {
+        variantId: v.id,
+        location,
+        netSold: units,
+      });
+    }
+  }
+
+  return {
+    orderId: order.id,
+    day: DateTime.fromISO(order.createdAt).setZone(timeZone).toISODate(),
+    channel: salesChannelOf(order.sourceName),
+    cancelled: Boolean(order.cancelledAt),
+    test: Boolean(order.test),
+    orderUpdatedAt: new Date(order.updatedAt ?? order.createdAt),
+    lines: Object.values(totals),
+    variants,
+  };
+}
+
+// Adds (`sign` 1) or takes back out (-1) an entry's lines.
+async function applyLines(tx, shop, entry, sign) {
+  for (const line of entry.lines) {
+    const key = {
+      shop,
+      day: entry.day,
+      variantId: line.variantId,
+      location: line.location,
+      channel: entry.channel,
+      cancelled: entry.cancelled,
+      test: entry.test,
+    };
+    const values = {
+      grossSold: sign * line.grossSold,
+      returnedQty: sign * line.returnedQty,
+      netSold: sign * line.netSold,
+    };
+    await tx.salesLedgerDay.upsert({
+      where: { entry: key },
+      create: { ...key, ...values },
+      update: {
+        grossSold: { increment: values.grossSold },
+        returnedQty: { increment: values.returnedQty },
+        netSold: { increment: values.netSold },
+      },
+    });
+  }
+}
+
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+/**
+ * Puts an order (shaped like a node of the paged orders query) in the
+ * ledger, replacing whatever an earlier version of it added. Versions older
+ * than the one recorded are ignored, as webhooks can arrive out of order.
+ * Returns false for those.
+ */
+export async function recordLedgerOrder(shop, order, timeZone) {
+  const entry = ledgerEntry(order, timeZone);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(
+        async (tx) => {
+          const previous = await tx.salesLedgerOrder.findUnique({
+            where: { shop_orderId: { shop, orderId: entry.orderId } },
+          });
+          if (previous && previous.orderUpdatedAt > entry.orderUpdatedAt) {
+            return false;
+          }
+
+          if (previous) await applyLines(tx, shop, previous, -1);
+          await applyLines(tx, shop, entry, 1);
+
+          const { variants, orderId, ...order } = entry;
+          await tx.salesLedgerOrder.upsert({
+            where: { shop_orderId: { shop, orderId } },
+            create: { shop, orderId, ...order },
+            update: order,
+          });
+          for (const [variantId, details] of Object.entries(variants)) {
+            await tx.salesLedgerVariant.upsert({
+              where: { shop_variantId: { shop, variantId } },
+              create: { shop, variantId, ...details },
+              update: details,
+            });
+          }
+          return true;
+        },
+        { isolationLevel: "Serializable" }
+      );
+    } catch (err) {
+      // P2034: the transaction lost a race with another write to the order.
+      if (err.code !== "P2034" || attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * The ledger's timezone for a shop, set the first time it records an order
+ * (from the store's timezone then) and kept until a backfill resets it.
+ */
+async function ledgerTimezone(shop, shopInfo) {
+  const state = await prisma.salesLedgerState.upsert({
+    where: { shop },
+    create: { shop, timezone: resolveShopTimezone(shopInfo) },
+    update: {},
+  });
+  return state.timezone;
+}
+
+// Appends the pages after `connection`'s first to its edges.
+async function restOfConnection(admin, connection, query, id, connectionAt) {
+  const { hasNextPage, endCursor } = connection.pageInfo ?? {};
+  if (!hasNextPage) return;
+  for await (const page of pageConnection(
+    admin,
+    query,
+    { id, cursor: endCursor },
+    connectionAt,
+    { task: "fetching the rest of an order", tries: WEBHOOK_TRIES }
+  )) {
+    connection.edges.push(...page.edges);
+  }
+}
+
+/**
+ * Fills in the line items and fulfillment lines past the first page of an
+ * order from `LEDGER_ORDER_QUERY`, so large orders are recorded in full.
+ */
+async function fetchRestOfOrder(admin, order) {
+  await restOfConnection(
+    admin,
+    order.lineItems,
+    LEDGER_LINE_ITEMS_QUERY,
+    order.id,
+    (data) => data.order?.lineItems
+  );
+  for (const fulfillment of order.fulfillments ?? []) {
+    await restOfConnection(
+      admin,
+      fulfillment.fulfillmentLineItems,
+      LEDGER_FULFILLMENT_LINES_QUERY,
+      fulfillment.id,
+      (data) => data.fulfillment?.fulfillmentLineItems
+    );
+  }
+  if (order.fulfillments?.length >= LEDGER_FULFILLMENTS) {
+    console.warn(
+      `Order ${order.id} has ${LEDGER_FULFILLMENTS} or more fulfillments; ` +
+        "units in any past those are recorded as unfulfilled or at the POS location"
+    );
+  }
+}
+
+/**
+ * Fetches an order by gid and records its current state; the order
+ * webhooks call this. Returns false when the order can't be read (deleted,
+ * or outside the app's access) or the version was older than the ledger's.
+ */
+export async function syncLedgerOrder(admin, shop, orderId) {
+  const data = await adminQuery(
+    admin,
+    LEDGER_ORDER_QUERY,
+    { id: orderId },
+    { task: "fetching an order", tries: WEBHOOK_TRIES }
+  );
+
+  const order = data?.order;
+  if (!order) return false;
+  await fetchRestOfOrder(admin, order);
+  const timeZone = await ledgerTimezone(shop, data.shop);
+  return recordLedgerOrder(shop, order, timeZone);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Backfill                                  */
+/* -------------------------------------------------------------------------- */
+
+async function clearLedger(shop) {
+  await prisma.$transaction([
+    prisma.salesLedgerDay.deleteMany({ where: { shop } }),
+    prisma.salesLedgerOrder.deleteMany({ where: { shop } }),
+    prisma.salesLedgerVariant.deleteMany({ where: { shop } }),
+  ]);
+}
+
+// Without the read_all_orders scope Shopify only returns orders created in
+// the last 60 days.
+const RECENT_ORDER_DAYS = 60;
+
+const ACCESS_SCOPES_QUERY = `
+  query SalesLedgerAccessScopes {
+    currentAppInstallation { accessScopes { handle } }
+  }
+`;
+
+async function readsAllOrders(admin) {
+  const data = await adminQuery(
+    admin,
+    ACCESS_SCOPES_QUERY,
+    {},
+    { task: "checking the app's access scopes" }
+  );
+  const scopes = data?.currentAppInstallation?.accessScopes ?? [];
+  return scopes.some((s) => s.handle === "read_all_orders");
+}
+
+/**
+ * Records every order of the last `days` days (store-local, from midnight)
+ * through a bulk export, then marks the ledger as covering them. Without
+ * the read_all_orders scope the export can't see further back than 60
+ * days, so the ledger only covers the whole days it could see. Safe to run
+ * again: orders already recorded are replaced, not added twice. A ledger
+ * kept in another timezone is cleared first.
+ */
+export async function backfillSalesLedger(
+  admin,
+  shop,
+  { timeZone, days = 365, log = console }
+) {
+  const state = await prisma.salesLedgerState.findUnique({ where: { shop } });
+  if (state && state.timezone !== timeZone) {
+    log.info(`[ledger] ${shop}: timezone changed, clearing the ledger`);
+    await clearLedger(shop);
+  }
+  await prisma.salesLedgerState.upsert({
+    where: { shop },
+    create: { shop, timezone: timeZone, backfillStatus: "running" },
+    update: {
+      timezone: timeZone,
+      backfillStatus: "running",
+      backfillError: null,
+      ...(state?.timezone !== timeZone ? { coveredFrom: null } : {}),
+    },
+  });
+
+  try {
+    let coveredDays = days;
+    if (days >= RECENT_ORDER_DAYS && !(await readsAllOrders(admin))) {
+      // The first whole day inside Shopify's rolling 60-day window.
+      coveredDays = RECENT_ORDER_DAYS - 1;
+      log.info(
+        `[ledger] ${shop}: no read_all_orders scope, covering the last ${coveredDays} days only`
+      );
+    }
+    const coveredFrom = DateTime.now()
+      .setZone(timeZone)
+      .minus({ days: coveredDays })
+      .toISODate();
+
+    const since = DateTime.fromISO(coveredFrom, { zone: timeZone })
+      .toUTC()
+      .toISO();
+    const started = await startBulkOrders(admin, `created_at:>='${since}'`);
+    if (started.error) throw new Error(started.error);
+    const op = await waitForBulkOperation(admin, started.id, {
+      onPoll: (op) =>
+        log.info(
+          `[ledger] ${shop}: export ${op.status}, ${op.objectCount} objects`
+        ),
+    });
+
+    let recorded = 0;
+    if (op.url) {
+      for await (const { edge } of downloadBulkOrders(op.url)) {
+        await recordLedgerOrder(shop, edge.node, timeZone);
+        if (++recorded % 1000 === 0) {
+          log.info(`[ledger] ${shop}: ${recorded} orders recorded`);
+        }
+      }
+    }
+
+    await prisma.salesLedgerState.update({
+      where: { shop },
+      data: { backfillStatus: "done", coveredFrom, backfilledAt: new Date() },
+    });
+    log.info(`[ledger] ${shop}: ${recorded} orders since ${coveredFrom}`);
+    return { recorded, coveredFrom };
+  } catch (err) {
+    await prisma.salesLedgerState.update({
+      where: { shop },
+      data: { backfillStatus: "error", backfillError: err.message },
+    });
+    throw err;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Reading sales                               */
+/* -------------------------------------------------------------------------- */
+
+const DAY_START = /^(\d{4}-\d{2}-\d{2})T00:00$/;
+const DAY_END = /^(\d{4}-\d{2}-\d{2})T23:59$/;
+
+/**
+ * `{ startDay, endDay }` for a `datetime-local` range made of whole days
+ * (midnight to 23:59), or null: the ledger has no finer grain.
+ */
+export function ledgerDays(startDate, endDate) {
+  const start = DAY_START.exec(String(startDate ?? ""));
+  const end = DAY_END.exec(String(endDate ?? ""));
+  return start && end ? { startDay: start[1], endDay: end[1] } : null;
+}
+
+/**
+ * Whether the ledger can answer for every `{ startDay, endDay }` given: a
+ * backfill has finished, in the timezone the report uses, and reached back
+ * far enough.
+ */
+export async function ledgerCovers(shop, timeZone, ranges) {
+  if (!ranges.length || ranges.some((r) => !r)) return false;
+  const state = await prisma.salesLedgerState.findUnique({ where: { shop } });
+  if (!state?.coveredFrom || state.timezone !== timeZone) return false;
+  return ranges.every((r) => r.startDay >= state.coveredFrom);
+}
+
+/**
+ * Units sold between two days (inclusive), summed per variant, location,
+ * channel and exclusion, each with the variant's product details, plus the
+ * number of orders per channel and exclusion.
+ */
+export async function ledgerSales(shop, { startDay, endDay }) {
+  const where = { shop, day: { gte: startDay, lte: endDay } };
+  const [groups, orders] = await Promise.all([
+    prisma.salesLedgerDay.groupBy({
+      by: ["variantId", "location", "channel", "cancelled", "test"],
+      where,
+      _sum: { grossSold: true, returnedQty: true, netSold: true },
+    }),
+    prisma.salesLedgerOrder.groupBy({
+      by: ["channel", "cancelled", "test"],
+      where,
+      _count: { _all: true },
+    }),
+  ]);
+
+  const variants = await prisma.salesLedgerVariant.findMany({
+    where: {
+      shop,
+      variantId: { in: [...new Set(groups.map((g) => g.variantId))] },
+    },
+  });
+  const byId = new Map(variants.map((v) => [v.variantId, v]));
+
+  return {
+    lines: groups.map(({ _sum, ...g }) => ({
+      ...g,
+      grossSold: _sum.grossSold ?? 0,
+      returnedQty: _sum.returnedQty ?? 0,
+      netSold: _sum.netSold ?? 0,
+      variant: byId.get(g.variantId) ?? null,
+    })),
+    orders: orders.map(({ _count, ...o }) => ({ ...o, count: _count._all })),
+  };
+}
+
+/**
+ * Net units sold per variant from `sinceDay` on, leaving out cancelled and
+ * test orders, in the markdown report's `salesByVariant` shape (first and
+ * last sold are the start of the day, in `timeZone`), and how many orders
+ * that covers.
+ */
+export async function ledgerSalesByVariant(shop, sinceDay, timeZone) {
+  const where = { shop, day: { gte: sinceDay }, cancelled: false, test: false };
+  const [groups, orderCount] = await Promise.all([
+    prisma.salesLedgerDay.groupBy({
+      by: ["variantId"],
+      where: { ...where, netSold: { gt: 0 } },
+      _sum: { netSold: true },
+      _min: { day: true },
+      _max: { day: true },
+    }),
+    prisma.salesLedgerOrder.count({ where }),
+  ]);
+
+  const startOf = (day) => DateTime.fromISO(day, { zone: timeZone }).toISO();
+  const salesByVariant = {};
+  for (const g of groups) {
+    if (!g._sum.netSold) continue;
+    salesByVariant[g.variantId] = {
+      qtySold: g._sum.netSold,
+      firstSoldDate: startOf(g._min.day),
+      lastSoldDate: startOf(g._max.day),
+    };
+  }
+  return { salesByVariant, orderCount };
+}
+
+/**
+ * Net units sold per variant over the last `days` store-local days (or
+ * since the backfill, if that's later), and the last day each variant
+ * sold at all, leaving out cancelled and test orders. Null until a
+ * backfill has finished.
+ */
+export async function recentVariantSales(shop, variantIds, days = 30) {
+  const state = await prisma.salesLedgerState.findUnique({ where: { shop } });
+  if (!state?.coveredFrom) return null;
+
+  const lastDays = DateTime.now()
+    .setZone(state.timezone)
+    .minus({ days: days - 1 })
+    .toISODate();
+  const sinceDay = lastDays > state.coveredFrom ? lastDays : state.coveredFrom;
+  const where = {
+    shop,
+    variantId: { in: variantIds },
+    cancelled: false,
+    test: false,
+  };
+  const [recent, last] = await Promise.all([
+    prisma.salesLedgerDay.groupBy({
+      by: ["variantId"],
+      where: { ...where, day: { gte: sinceDay } },
+      _sum: { netSold: true },
+    }),
+    prisma.salesLedgerDay.groupBy({
+      by: ["variantId"],
+      where: { ...where, grossSold: { gt: 0 } },
+      _max: { day: true },
+    }),
+  ]);
+
+  const byVariant = {};
+  for (const g of last) {
+    byVariant[g.variantId] = { sold: 0, lastSoldDay: g._max.day };
+  }
+  for (const g of recent) {
+    byVariant[g.variantId] ??= { sold: 0, lastSoldDay: null };
+    byVariant[g.variantId].sold = g._sum.netSold ?? 0;
+  }
+  return { sinceDay, coveredFrom: state.coveredFrom, byVariant };
+}
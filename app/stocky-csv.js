@@ -0,0 +1,123 @@
+// app/stocky-csv.js
+//
+// Reading a Stocky export, shared by the import page (which parses the file
+// once and posts it in batches) and the server.
+
+/* -------------------------------------------------------------------------- */
+/*                                 CSV parsing                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * RFC 4180 parser: quoted fields may contain commas, doubled quotes and line
+ * breaks. Returns an array of string arrays; blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            Stocky export columns                           */
+/* -------------------------------------------------------------------------- */
+
+// Header names seen across Stocky's purchase-order and receiving exports.
+const SKU_HEADERS = ["sku", "variant sku", "product sku", "item sku"];
+const RECEIVED_AT_HEADERS = [
+  "received date",
+  "date received",
+  "received at",
+  "received_at",
+  "receipt date",
+  "arrival date",
+];
+const RECEIVED_QTY_HEADERS = [
+  "quantity received",
+  "received quantity",
+  "qty received",
+  "received qty",
+  "received",
+];
+
+function findColumn(header, candidates) {
+  const normalized = header.map((h) => h.trim().toLowerCase());
+  for (const name of candidates) {
+    const i = normalized.indexOf(name);
+    if (i !== -1) return i;
+  }
+  return -1;
+}
+
+/**
+ * Locates the SKU, received-date and (optional) received-quantity columns.
+ * Returns `{ error }` when the file doesn't look like a Stocky export.
+ */
+export function detectColumns(header) {
+  const sku = findColumn(header, SKU_HEADERS);
+  const receivedAt = findColumn(header, RECEIVED_AT_HEADERS);
+  const receivedQty = findColumn(header, RECEIVED_QTY_HEADERS);
+
+  if (sku === -1) return { error: "No SKU column found in the file" };
+  if (receivedAt === -1) {
+    return { error: "No received date column found in the file" };
+  }
+  return { sku, receivedAt, receivedQty };
+}
+
+/** Data rows posted per import request. */
+export const IMPORT_BATCH_ROWS = 500;
+
+/**
+ * SHA-256 of the file's text, in hex, so choosing the same file again
+ * resumes its import.
+ */
+export async function fileHash(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return [...new Uint8Array(digest)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
@@ -0,0 +1,192 @@
+// app/stocky-import.server.js
+import { DateTime } from "luxon";
+import prisma from "./db.server.js";
+import { IMPORT_BATCH_ROWS, detectColumns } from "./stocky-csv.js";
+
+/* -------------------------------------------------------------------------- */
+/*                                Stocky dates                                */
+/* -------------------------------------------------------------------------- */
+
+const DATE_FORMATS = [
+  "yyyy-MM-dd HH:mm:ss ZZZ",
+  "yyyy-MM-dd HH:mm:ss",
+  "yyyy-MM-dd HH:mm",
+  "M/d/yyyy H:mm",
+  "M/d/yyyy h:mm a",
+  "M/d/yyyy",
+  "d MMM yyyy",
+  "MMM d, yyyy",
+];
+
+/**
+ * Parses a Stocky date. Dates without an offset are read in the store
+ * timezone; US month/day order is assumed for slash dates.
+ */
+export function parseReceivedAt(value, timeZone) {
+  const s = String(value || "").trim();
+  if (!s) return null;
+
+  const iso = DateTime.fromISO(s, { zone: timeZone });
+  if (iso.isValid) return iso.toJSDate();
+
+  for (const fmt of DATE_FORMATS) {
+    const dt = DateTime.fromFormat(s, fmt, { zone: timeZone });
+    if (dt.isValid) return dt.toJSDate();
+  }
+  return null;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Resumable import                             */
+/* -------------------------------------------------------------------------- */
+
+export async function getSyncState(shop) {
+  return prisma.stockySyncState.findUnique({ where: { shop } });
+}
+
+/**
+ * Folds one batch of data rows into per-SKU first/last received dates.
+ * Rows with no SKU, an unparseable date or zero received are skipped.
+ */
+function aggregateBatch(rows, columns, timeZone) {
+  const bySku = new Map();
+  let skipped = 0;
+
+  for (const row of rows) {
+    const sku = (row[columns.sku] || "").trim();
+    const receivedAt = parseReceivedAt(row[columns.receivedAt], timeZone);
+    const qty =
+      columns.receivedQty === -1
+        ? 1
+        : Number.parseFloat(row[columns.receivedQty] || "0");
+
+    if (!sku || !receivedAt || !(qty > 0)) {
+      skipped++;
+      continue;
+    }
+
+    const entry = bySku.get(sku);
+    if (!entry) {
+      bySku.set(sku, { first: receivedAt, last: receivedAt });
+    } else {
+      if (receivedAt < entry.first) entry.first = receivedAt;
+      if (receivedAt > entry.last) entry.last = receivedAt;
+    }
+  }
+
+  return { bySku, skipped };
+}
+
+/**
+ * Widens each SKU's receipt dates to take in `{ first, last }` from
+ * `bySku` (a Map keyed by SKU). Stocky imports and received purchase
+ * orders both record receipts this way.
+ */
+export async function recordReceipts(shop, bySku) {
+  if (bySku.size === 0) return;
+
+  const existing = await prisma.stockySkuReceipt.findMany({
+    where: { shop, sku: { in: [...bySku.keys()] } },
+  });
+  const current = new Map(existing.map((r) => [r.sku, r]));
+
+  await prisma.$transaction(
+    [...bySku].map(([sku, { first, last }]) => {
+      const prev = current.get(sku);
+      const firstReceivedAt =
+        prev?.firstReceivedAt && prev.firstReceivedAt < first
+          ? prev.firstReceivedAt
+          : first;
+      const lastReceivedAt =
+        prev?.lastReceivedAt && prev.lastReceivedAt > last
+          ? prev.lastReceivedAt
+          : last;
+
+      return prisma.stockySkuReceipt.upsert({
+        where: { shop_sku: { shop, sku } },
+        create: { shop, sku, firstReceivedAt, lastReceivedAt },
+        update: { firstReceivedAt, lastReceivedAt },
+      });
+    })
+  );
+}
+
+/**
+ * Imports one batch of a Stocky CSV that the page has already parsed:
+ * `rows` are the data rows from `offset` on, `header` the file's header row
+ * and `fileHash` identifies the file. Progress lives in `StockySyncState`:
+ * the same file resumes from `fullOffset`, a different one starts over. A
+ * batch that doesn't start at `fullOffset` is ignored, and the state it
+ * returns says where the next one should. Receipt dates only ever widen, so
+ * replaying a batch after an interruption is harmless.
+ */
+export async function importStockyBatch(
+  shop,
+  { fileHash, fileName, header, totalRows, offset, rows, timeZone }
+) {
+  if (!fileHash || !(totalRows > 0)) {
+    return { error: "The file has no data rows" };
+  }
+  if (!Array.isArray(rows) || rows.length > IMPORT_BATCH_ROWS) {
+    return { error: "Invalid import batch" };
+  }
+  const columns = detectColumns(header ?? []);
+  if (columns.error) return { error: columns.error };
+
+  let state = await getSyncState(shop);
+
+  if (!state || state.fileHash !== fileHash || state.totalRows !== totalRows) {
+    state = await prisma.stockySyncState.upsert({
+      where: { shop },
+      create: { shop, fileHash, fileName, totalRows },
+      update: {
+        fileHash,
+        fileName,
+        totalRows,
+        fullOffset: 0,
+        fullDone: false,
+        skippedRows: 0,
+      },
+    });
+  }
+
+  if (state.fullDone || offset !== state.fullOffset) return { state };
+  if (rows.length === 0) return { error: "Invalid import batch" };
+
+  const { bySku, skipped } = aggregateBatch(rows, columns, timeZone);
+  await recordReceipts(shop, bySku);
+
+  const fullOffset = Math.min(totalRows, state.fullOffset + rows.length);
+  state = await prisma.stockySyncState.update({
+    where: { shop },
+    data: {
+      fullOffset,
+      fullDone: fullOffset >= totalRows,
+      skippedRows: state.skippedRows + skipped,
+    },
+  });
+
+  return { state };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                             Report enrichment                              */
+/* -------------------------------------------------------------------------- */
+
+/** `{ [sku]: { firstReceivedAt, lastReceivedAt } }` as ISO strings. */
+export async function receiptDatesBySku(shop, skus) {
+  if (!skus.length) return {};
+
+  const receipts = await prisma.stockySkuReceipt.findMany({
+    where: { shop, sku: { in: skus } },
+  });
+
+  const map = {};
+  for (const r of receipts) {
+    map[r.sku] = {
+      firstReceivedAt: r.firstReceivedAt?.toISOString() ?? null,
+      lastReceivedAt: r.lastReceivedAt?.toISOString() ?? null,
+    };
+  }
+  return map;
+}
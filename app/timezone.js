@@ -0,0 +1,182 @@
+// app/timezone.js
+import { DateTime, IANAZone } from "luxon";
+
+/* -------------------------------------------------------------------------- */
+/*                              Store timezones                               */
+/* -------------------------------------------------------------------------- */
+
+// Only used when Shopify doesn't hand back `ianaTimezone` (older payloads);
+// `shop.timezone` is the Rails display name, e.g. "(GMT-05:00) Eastern Time".
+const RAILS_TZ_TO_IANA = {
+  "Eastern Time (US & Canada)": "America/New_York",
+  "Central Time (US & Canada)": "America/Chicago",
+  "Mountain Time (US & Canada)": "America/Denver",
+  "Pacific Time (US & Canada)": "America/Los_Angeles",
+};
+
+export const DEFAULT_TIMEZONE = "America/New_York";
+
+/**
+ * Picks the IANA zone for a shop from the `ianaTimezone` and `timezone`
+ * fields of the Admin API `shop` object. Never returns an invalid zone.
+ */
+export function resolveShopTimezone({ ianaTimezone, timezone } = {}) {
+  if (ianaTimezone && IANAZone.isValidZone(ianaTimezone)) return ianaTimezone;
+
+  const railsName = String(timezone || "").replace(/^\(GMT[^)]*\)\s*/, "");
+  if (RAILS_TZ_TO_IANA[railsName]) return RAILS_TZ_TO_IANA[railsName];
+  if (IANAZone.isValidZone(railsName)) return railsName;
+
+  return DEFAULT_TIMEZONE;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                           Local time <-> instants                          */
+/* -------------------------------------------------------------------------- */
+
+// Earliest instant at which `local`'s (post-transition) offset applies. Only
+// called for wall times inside a spring-forward gap, so the transition is at
+// most a few hours back; zone transitions fall on whole minutes.
+function gapTransition(local) {
+  const zone = local.zone;
+  const offsetAfter = local.offset;
+  let lo = local.toMillis() - 6 * 3_600_000;
+  let hi = local.toMillis();
+  while (hi - lo > 60_000) {
+    const mid = lo + Math.floor((hi - lo) / 2 / 60_000) * 60_000;
+    if (DateTime.fromMillis(mid, { zone }).offset === offsetAfter) hi = mid;
+    else lo = mid;
+  }
+  return DateTime.fromMillis(hi, { zone });
+}
+
+/**
+ * Converts a `datetime-local` value ("2026-03-08T02:30") in `timeZone` to a
+ * UTC `Date`, or `null` if it doesn't parse.
+ *
+ * DST edges:
+ *  - a wall time skipped by spring-forward resolves to the transition itself
+ *    (03:00 daylight time), the first instant after the gap;
+ *  - a wall time repeated by fall-back resolves to its first occurrence, or
+ *    to the second one with `{ occurrence: "later" }`. Range ends use
+ *    "later" so the repeated hour is counted once, in full.
+ */
+export function zonedDateTimeToUtc(
+  datetimeStr,
+  timeZone,
+  { occurrence = "earlier" } = {}
+) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(
+    String(datetimeStr || "")
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const local = DateTime.fromObject(
+    { year, month, day, hour, minute },
+    { zone: timeZone }
+  );
+  if (!local.isValid) return null;
+
+  if (local.hour !== hour || local.minute !== minute) {
+    return gapTransition(local).toJSDate();
+  }
+
+  const candidates = local.getPossibleOffsets();
+  if (candidates.length < 2) return local.toJSDate();
+
+  const byInstant = [...candidates].sort((a, b) => a.toMillis() - b.toMillis());
+  return (
+    occurrence === "later" ? byInstant[byInstant.length - 1] : byInstant[0]
+  ).toJSDate();
+}
+
+/**
+ * Start and end instants for an inclusive `datetime-local` range. The end is
+ * extended to the last millisecond of its minute, as the form only has
+ * minute precision.
+ */
+export function zonedRangeToUtc(startStr, endStr, timeZone) {
+  const start = zonedDateTimeToUtc(startStr, timeZone);
+  const endMinute = zonedDateTimeToUtc(endStr, timeZone, {
+    occurrence: "later",
+  });
+  if (!start || !endMinute) return null;
+
+  const end = new Date(endMinute.getTime() + 59_999);
+  return { start, end };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Relative ranges                               */
+/* -------------------------------------------------------------------------- */
+
+export const RELATIVE_RANGES = [
+  { value: "today", label: "Today" },
+  { value: "yesterday", label: "Yesterday" },
+  { value: "last_7_days", label: "Last 7 days" },
+  { value: "last_30_days", label: "Last 30 days" },
+  { value: "week_to_date", label: "Week to date" },
+  { value: "month_to_date", label: "Month to date" },
+  { value: "last_month", label: "Last month" },
+  { value: "year_to_date", label: "Year to date" },
+];
+
+const LOCAL_MINUTE = "yyyy-LL-dd'T'HH:mm";
+
+/**
+ * `datetime-local` start and end strings for a relative range, as of `now`
+ * in the store timezone. "Last N days" are the N whole days before today;
+ * the "to date" ranges end at the current minute. Null for unknown ranges.
+ */
+export function resolveRelativeRange(range, timeZone, now = new Date()) {
+  const current = DateTime.fromJSDate(now).setZone(timeZone);
+  const today = current.startOf("day");
+  const endOfYesterday = today.minus({ days: 1 }).endOf("day");
+
+  const bounds = {
+    today: [today, current],
+    yesterday: [today.minus({ days: 1 }), endOfYesterday],
+    last_7_days: [today.minus({ days: 7 }), endOfYesterday],
+    last_30_days: [today.minus({ days: 30 }), endOfYesterday],
+    week_to_date: [current.startOf("week"), current],
+    month_to_date: [current.startOf("month"), current],
+    last_month: [
+      current.startOf("month").minus({ months: 1 }),
+      current.startOf("month").minus({ months: 1 }).endOf("month"),
+    ],
+    year_to_date: [current.startOf("year"), current],
+  }[range];
+  if (!bounds) return null;
+
+  return {
+    startDate: bounds[0].toFormat(LOCAL_MINUTE),
+    endDate: bounds[1].toFormat(LOCAL_MINUTE),
+  };
+}
+
+export function relativeRangeLabel(range) {
+  return RELATIVE_RANGES.find((r) => r.value === range)?.label ?? range;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Formatting                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Timestamp shown on reports and exports: "2026-11-01 01:30:00 EST". The
+ * zone abbreviation disambiguates the repeated fall-back hour.
+ */
+export function formatTimestamp(date, timeZone) {
+  return DateTime.fromJSDate(date instanceof Date ? date : new Date(date))
+    .setZone(timeZone)
+    .toFormat("yyyy-LL-dd HH:mm:ss ZZZZ");
+}
+
+/** Calendar date ("2026-11-01") of an instant in the store timezone. */
+export function formatDate(date, timeZone) {
+  if (!date) return "";
+  return DateTime.fromJSDate(date instanceof Date ? date : new Date(date))
+    .setZone(timeZone)
+    .toISODate();
+}
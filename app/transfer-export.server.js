@@ -0,0 +1,161 @@
+// app/transfer-export.server.js
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+import { buildCsv } from "./report-export.server.js";
+import { transferCoverNote } from "./transfers.js";
+
+/* -------------------------------------------------------------------------- */
+/*                                Table layout                                */
+/* -------------------------------------------------------------------------- */
+
+const HEADER = ["From", "To", "SKU", "Product", "Variant", "Quantity"];
+
+/** Header lines and one row per transfer, shared by the CSV and the PDF. */
+function transferTable(report) {
+  const meta = [
+    ["Transfer sheet"],
+    ["Store", report.shopName || ""],
+    ["Sales from", `${report.startDate} → ${report.endDate}`],
+    ["Generated at", report.timestamp],
+    ["Rule", transferCoverNote(report)],
+  ];
+  for (const reason of report.truncatedReasons || []) {
+    meta.push(["INCOMPLETE", reason]);
+  }
+  const body = report.transfers.map((t) => [
+    t.from,
+    t.to,
+    t.sku,
+    t.productTitle,
+    t.productVariantTitle,
+    t.quantity,
+  ]);
+  return { meta, body };
+}
+
+export function transferFileName(report, extension) {
+  const clean = (s) => String(s || "").replace(/[^0-9A-Za-z-]/g, "");
+  return `transfers_${clean(report.startDate)}_${clean(
+    report.endDate
+  )}.${extension}`;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    CSV                                     */
+/* -------------------------------------------------------------------------- */
+
+export function buildTransferCsv(report) {
+  const { meta, body } = transferTable(report);
+  return buildCsv([...meta, [], HEADER, ...body]);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                     PDF                                    */
+/* -------------------------------------------------------------------------- */
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 52;
+
+function drawPageHeader(doc, { report, from }) {
+  const width = doc.internal.pageSize.getWidth();
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(14);
+  doc.text(`${report.shopName || "Store"} - Transfer Sheet`, MARGIN, MARGIN);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.text(
+    `Sales from ${report.startDate} to ${report.endDate} · generated at ${report.timestamp}`,
+    MARGIN,
+    MARGIN + 14
+  );
+  const [rule] = doc.splitTextToSize(
+    transferCoverNote(report),
+    width - MARGIN * 2
+  );
+  doc.text(rule, MARGIN, MARGIN + 26);
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text(`Ship from: ${from}`, width - MARGIN, MARGIN, { align: "right" });
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(8);
+  doc.text(
+    `Page ${doc.getCurrentPageInfo().pageNumber}`,
+    width - MARGIN,
+    MARGIN + 14,
+    { align: "right" }
+  );
+}
+
+/**
+ * Printable transfer sheet: one section per sending location, each on a
+ * new page, sorted by receiving location, with "Packed" and "Received"
+ * boxes to tick at either end.
+ */
+export function buildTransferPdf(report) {
+  const doc = new jsPDF({
+    orientation: "portrait",
+    unit: "pt",
+    format: "letter",
+  });
+
+  const groups = new Map();
+  for (const t of report.transfers) {
+    if (!groups.has(t.from)) groups.set(t.from, []);
+    groups.get(t.from).push(t);
+  }
+
+  if (groups.size === 0) {
+    drawPageHeader(doc, { report, from: "-" });
+    doc.setFontSize(10);
+    doc.text(
+      "No transfers suggested: no location has stock another one needs.",
+      MARGIN,
+      MARGIN + HEADER_HEIGHT
+    );
+    return doc.output("arraybuffer");
+  }
+
+  [...groups].forEach(([from, transfers], i) => {
+    if (i > 0) doc.addPage();
+
+    autoTable(doc, {
+      startY: MARGIN + HEADER_HEIGHT,
+      margin: { top: MARGIN + HEADER_HEIGHT, left: MARGIN, right: MARGIN },
+      head: [["Packed", "To", "SKU", "Product", "Variant", "Qty", "Received"]],
+      body: transfers.map((t) => [
+        "",
+        t.to,
+        t.sku,
+        t.productTitle,
+        t.productVariantTitle,
+        t.quantity,
+        "",
+      ]),
+      theme: "grid",
+      styles: { fontSize: 8, cellPadding: 4, overflow: "linebreak" },
+      headStyles: { fillColor: [242, 242, 242], textColor: 0 },
+      columnStyles: {
+        0: { cellWidth: 40 },
+        5: { halign: "right", cellWidth: 36 },
+        6: { cellWidth: 48 },
+      },
+      showHead: "everyPage",
+      didDrawPage: () => drawPageHeader(doc, { report, from }),
+      didDrawCell: (data) => {
+        if (data.section !== "body") return;
+        if (data.column.index !== 0 && data.column.index !== 6) return;
+        const size = 10;
+        doc.rect(
+          data.cell.x + (data.cell.width - size) / 2,
+          data.cell.y + (data.cell.height - size) / 2,
+          size,
+          size
+        );
+      },
+    });
+  });
+
+  return doc.output("arraybuffer");
+}
@@ -0,0 +1,120 @@
+// app/transfers.js
+import {
+  locationVelocities,
+  stockPosition,
+  vendorReorderSettings,
+} from "./reorder.js";
+
+/* -------------------------------------------------------------------------- */
+/*                            Transfer suggestions                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Units a location should hold to cover its own sales through the lead
+ * time plus the days of cover, with the safety stock left over: the same
+ * target the reorder suggestions order up to.
+ */
+function coverTarget(velocity, settings) {
+  return (
+    velocity * (settings.leadTimeDays + settings.targetDaysOfCover) +
+    settings.safetyStock
+  );
+}
+
+/**
+ * Transfers that move one row's surplus to the locations short of it, as
+ * `[{ from, to, quantity }]`. A location is short by what its stock
+ * position lacks of its cover target; it has surplus of whatever it has
+ * available beyond its own target. The largest shortfall is filled first,
+ * from the largest surplus. Needs the units each location sold, so rows
+ * without `locationSold` get none.
+ */
+export function suggestTransfers(row, locationNames, rangeDays, settings) {
+  if (!row.locationSold || locationNames.length < 2) return [];
+  const velocities = locationVelocities(row, 0, rangeDays, locationNames);
+
+  const short = [];
+  const spare = [];
+  for (const loc of locationNames) {
+    const stocks = loc in (row.locations || {});
+    if (!stocks && velocities[loc] === 0) continue;
+
+    const gap =
+      coverTarget(velocities[loc], settings) - stockPosition(row, loc);
+    if (gap > 0) {
+      short.push({ loc, units: Math.ceil(gap) });
+    } else {
+      const available = Math.max(0, row.locations?.[loc] ?? 0);
+      const units = Math.floor(Math.min(available, -gap));
+      if (units > 0) spare.push({ loc, units });
+    }
+  }
+
+  const transfers = [];
+  short.sort((a, b) => b.units - a.units);
+  spare.sort((a, b) => b.units - a.units);
+  for (const need of short) {
+    for (const from of spare) {
+      if (need.units === 0) break;
+      const quantity = Math.min(need.units, from.units);
+      if (quantity === 0) continue;
+      transfers.push({ from: from.loc, to: need.loc, quantity });
+      need.units -= quantity;
+      from.units -= quantity;
+    }
+  }
+  return transfers;
+}
+
+/**
+ * Adds `transfers` to the rows that have any. Run before the reorder
+ * suggestions, which then count transferred units as stock where they
+ * arrive, so a SKU is only ordered for what moving stock can't cover.
+ * Each row follows its vendor's rules (see `vendorReorderSettings`).
+ */
+export function withTransferSuggestions(
+  rows,
+  locationNames,
+  rangeDays,
+  settings
+) {
+  const days = rangeDays > 0 ? rangeDays : 1;
+
+  return rows.map((row) => {
+    const transfers = suggestTransfers(
+      row,
+      locationNames,
+      days,
+      vendorReorderSettings(settings, row.vendor)
+    );
+    return transfers.length ? { ...row, transfers } : row;
+  });
+}
+
+/**
+ * Every row's transfers as one list, each with the row's product fields,
+ * grouped by the sending location, then the receiving one, then SKU.
+ */
+export function transferList(rows) {
+  return rows
+    .flatMap((row) =>
+      (row.transfers ?? []).map((t) => ({
+        ...t,
+        sku: row.sku,
+        productTitle: row.productTitle,
+        productVariantTitle: row.productVariantTitle,
+        vendor: row.vendor,
+      }))
+    )
+    .sort(
+      (a, b) =>
+        a.from.localeCompare(b.from) ||
+        a.to.localeCompare(b.to) ||
+        a.sku.localeCompare(b.sku)
+    );
+}
+
+/** The cover each location keeps before it gives stock away. */
+export function transferCoverNote({ transferSettings: s }) {
+  return `Each location keeps ${s.targetDaysOfCover} days of cover + ${s.leadTimeDays} days lead time of its own sales, safety stock ${s.safetyStock}`;
+}
@@ -0,0 +1,105 @@
+// app/vendor-profiles.js
+import { orderedLines, poTotals, formatMoney } from "./purchase-orders.js";
+
+/* -------------------------------------------------------------------------- */
+/*                               Vendor profiles                              */
+/* -------------------------------------------------------------------------- */
+
+// Form fields, in the order the settings page shows them.
+export const VENDOR_PROFILE_FIELDS = [
+  { name: "leadTimeDays", label: "Lead time (days)", integer: true },
+  { name: "minOrderQty", label: "Minimum order quantity", integer: true },
+  { name: "minOrderValue", label: "Minimum order value", integer: false },
+  { name: "casePack", label: "Case pack (units)", integer: true },
+  { name: "orderCadenceDays", label: "Order every (days)", integer: true },
+];
+
+/** The rules the reorder maths reads, or null when the profile has none. */
+export function reorderRules(profile) {
+  const rules = {
+    leadTimeDays: profile.leadTimeDays ?? null,
+    minOrderQty: profile.minOrderQty ?? null,
+    casePack: profile.casePack ?? null,
+    orderCadenceDays: profile.orderCadenceDays ?? null,
+  };
+  return Object.values(rules).some((v) => v !== null) ? rules : null;
+}
+
+/**
+ * Reads the settings form: a `vendor`, the optional numbers in
+ * `VENDOR_PROFILE_FIELDS` (blank clears one) and a `contactEmail`. Returns
+ * `{ error }` for a missing vendor, a bad number or a bad email.
+ */
+export function parseVendorProfileForm(formData) {
+  const vendor = String(formData.get("vendor") ?? "").trim();
+  if (!vendor) return { error: "Choose a vendor" };
+
+  const profile = { vendor };
+  for (const { name, label, integer } of VENDOR_PROFILE_FIELDS) {
+    const raw = String(formData.get(name) ?? "").trim();
+    if (!raw) {
+      profile[name] = null;
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0 || (integer && !Number.isInteger(n))) {
+      return {
+        error: `${label} must be ${integer ? "a whole number" : "a number"} of 0 or more`,
+      };
+    }
+    profile[name] = n;
+  }
+  if (profile.casePack === 0) profile.casePack = null;
+
+  const email = String(formData.get("contactEmail") ?? "").trim();
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { error: "Enter a valid contact email" };
+  }
+  profile.contactEmail = email || null;
+  return profile;
+}
+
+/**
+ * What a purchase order breaks of its vendor's rules, as messages: lines
+ * that aren't whole cases, and totals under the minimum quantity or value.
+ * The value can't be checked while a line has no unit cost.
+ */
+export function orderWarnings(profile, po) {
+  if (!profile) return [];
+  const warnings = [];
+  const lines = orderedLines(po);
+  const totals = poTotals(po);
+
+  if (profile.casePack > 1) {
+    const loose = lines.filter((l) => l.quantity % profile.casePack !== 0);
+    if (loose.length) {
+      warnings.push(
+        `${loose.length} ${loose.length === 1 ? "line isn't" : "lines aren't"} a multiple of the case pack of ${profile.casePack}.`
+      );
+    }
+  }
+  if (profile.minOrderQty && totals.units < profile.minOrderQty) {
+    warnings.push(
+      `${totals.units} units is under the minimum order of ${profile.minOrderQty}.`
+    );
+  }
+  if (profile.minOrderValue) {
+    if (totals.cost === null) {
+      warnings.push(
+        `The minimum order value of ${formatMoney(profile.minOrderValue, po.currency)} can't be checked: some lines have no unit cost.`
+      );
+    } else if (totals.cost < profile.minOrderValue) {
+      warnings.push(
+        `${formatMoney(totals.cost, po.currency)} is under the minimum order value of ${formatMoney(profile.minOrderValue, po.currency)}.`
+      );
+    }
+  }
+  return warnings;
+}
+
+/** When a sent order should arrive, from its vendor's lead time, or null. */
+export function expectedArrival(po, profile) {
+  if (!po.sentAt || !Number.isInteger(profile?.leadTimeDays)) return null;
+  const sent = new Date(po.sentAt);
+  return new Date(sent.getTime() + profile.leadTimeDays * 24 * 60 * 60 * 1000);
+}
@@ -0,0 +1,46 @@
+// app/vendor-profiles.server.js
+import prisma from "./db.server.js";
+import { reorderRules } from "./vendor-profiles.js";
+
+/* -------------------------------------------------------------------------- */
+/*                               Vendor profiles                              */
+/* -------------------------------------------------------------------------- */
+
+export async function listVendorProfiles(shop) {
+  return prisma.vendorProfile.findMany({
+    where: { shop },
+    orderBy: { vendor: "asc" },
+  });
+}
+
+export async function getVendorProfile(shop, vendor) {
+  return prisma.vendorProfile.findUnique({
+    where: { shop_vendor: { shop, vendor: vendor ?? "" } },
+  });
+}
+
+/** Creates or replaces a vendor's settings (see `parseVendorProfileForm`). */
+export async function saveVendorProfile(shop, { vendor, ...settings }) {
+  return prisma.vendorProfile.upsert({
+    where: { shop_vendor: { shop, vendor } },
+    create: { shop, vendor, ...settings },
+    update: settings,
+  });
+}
+
+export async function deleteVendorProfile(shop, id) {
+  await prisma.vendorProfile.deleteMany({ where: { id, shop } });
+}
+
+/**
+ * `{ [vendor]: rules }` for every vendor with ordering rules, as the
+ * reorder maths reads them (see `vendorReorderSettings`).
+ */
+export async function vendorReorderRules(shop) {
+  const rules = {};
+  for (const profile of await listVendorProfiles(shop)) {
+    const r = reorderRules(profile);
+    if (r) rules[profile.vendor] = r;
+  }
+  return rules;
+}
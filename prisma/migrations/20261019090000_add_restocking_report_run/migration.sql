@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "RestockingReportRun" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+    "shopName" TEXT,
+    "timezone" TEXT NOT NULL,
+    "startDate" TEXT NOT NULL,
+    "endDate" TEXT NOT NULL,
+    "startISO" TEXT NOT NULL,
+    "endISO" TEXT NOT NULL,
+    "cursor" TEXT,
+    "done" BOOLEAN NOT NULL DEFAULT false,
+    "totalOrders" INTEGER,
+    "processedOrders" INTEGER NOT NULL DEFAULT 0,
+    "pagesFetched" INTEGER NOT NULL DEFAULT 0,
+    "ordersOverLineLimit" INTEGER NOT NULL DEFAULT 0,
+    "rowsByKey" JSONB NOT NULL DEFAULT '{}',
+    "locationNames" JSONB NOT NULL DEFAULT '[]',
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "error" TEXT,
+
+    CONSTRAINT "RestockingReportRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RestockingReportRun_shop_createdAt_idx" ON "RestockingReportRun"("shop", "createdAt");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "ReportRunState" ADD COLUMN     "inStockVariants" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "phase" TEXT NOT NULL DEFAULT 'orders',
+ADD COLUMN     "timezone" TEXT;
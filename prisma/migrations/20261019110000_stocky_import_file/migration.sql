@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "StockySyncState" ADD COLUMN     "fileHash" TEXT,
+ADD COLUMN     "fileName" TEXT,
+ADD COLUMN     "skippedRows" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "totalRows" INTEGER NOT NULL DEFAULT 0;
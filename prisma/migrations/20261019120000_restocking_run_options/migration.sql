@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RestockingReportRun" ADD COLUMN     "options" JSONB NOT NULL DEFAULT '{}';
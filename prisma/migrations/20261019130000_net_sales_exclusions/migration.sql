@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "RestockingReportRun" ADD COLUMN     "cancelledOrders" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "testOrders" INTEGER NOT NULL DEFAULT 0;
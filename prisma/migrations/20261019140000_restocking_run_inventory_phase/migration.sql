@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "RestockingReportRun" ADD COLUMN     "phase" TEXT NOT NULL DEFAULT 'orders',
+ADD COLUMN     "inventoryOffset" INTEGER NOT NULL DEFAULT 0;
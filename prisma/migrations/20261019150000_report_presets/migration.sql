@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "ReportPreset" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "range" TEXT NOT NULL DEFAULT 'last_7_days',
+    "options" JSONB NOT NULL DEFAULT '{}',
+    "hiddenColumns" JSONB NOT NULL DEFAULT '[]',
+
+    CONSTRAINT "ReportPreset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReportPreset_shop_name_key" ON "ReportPreset"("shop", "name");
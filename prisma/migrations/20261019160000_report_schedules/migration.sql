@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "RestockingReportRun" ADD COLUMN     "presetName" TEXT,
+ADD COLUMN     "scheduleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "ReportSchedule" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "presetId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "cron" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "nextRunAt" TIMESTAMP(3),
+    "lockedUntil" TIMESTAMP(3),
+    "lastRunAt" TIMESTAMP(3),
+    "lastRunId" TEXT,
+    "lastStatus" TEXT,
+    "lastError" TEXT,
+
+    CONSTRAINT "ReportSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReportSchedule_enabled_nextRunAt_idx" ON "ReportSchedule"("enabled", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "ReportSchedule_shop_idx" ON "ReportSchedule"("shop");
+
+-- CreateIndex
+CREATE INDEX "RestockingReportRun_scheduleId_createdAt_idx" ON "RestockingReportRun"("scheduleId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ReportSchedule" ADD CONSTRAINT "ReportSchedule_presetId_fkey" FOREIGN KEY ("presetId") REFERENCES "ReportPreset"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "ReportSchedule" ADD COLUMN     "emailFormats" JSONB NOT NULL DEFAULT '["csv"]',
+ADD COLUMN     "emailRecipients" JSONB NOT NULL DEFAULT '[]';
+
+-- CreateTable
+CREATE TABLE "ReportDelivery" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "scheduleId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "recipients" JSONB NOT NULL,
+    "formats" JSONB NOT NULL,
+    "subject" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "messageId" TEXT,
+
+    CONSTRAINT "ReportDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReportDelivery_status_nextAttemptAt_idx" ON "ReportDelivery"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "ReportDelivery_shop_createdAt_idx" ON "ReportDelivery"("shop", "createdAt");
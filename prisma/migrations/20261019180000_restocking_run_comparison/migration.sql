@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "RestockingReportRun" ADD COLUMN     "compareEndDate" TEXT,
+ADD COLUMN     "compareEndISO" TEXT,
+ADD COLUMN     "compareOrdersDone" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "compareStartDate" TEXT,
+ADD COLUMN     "compareStartISO" TEXT,
+ADD COLUMN     "compareTotalOrders" INTEGER;
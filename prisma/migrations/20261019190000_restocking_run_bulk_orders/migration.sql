@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "RestockingReportRun" ADD COLUMN     "bulkObjectCount" INTEGER,
+ADD COLUMN     "bulkOperationId" TEXT;
@@ -0,0 +1,80 @@
+-- AlterTable
+ALTER TABLE "RestockingReportRun" ADD COLUMN     "fromLedger" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "SalesLedgerDay" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "day" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "location" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "cancelled" BOOLEAN NOT NULL DEFAULT false,
+    "test" BOOLEAN NOT NULL DEFAULT false,
+    "grossSold" INTEGER NOT NULL DEFAULT 0,
+    "returnedQty" INTEGER NOT NULL DEFAULT 0,
+    "netSold" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "SalesLedgerDay_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SalesLedgerOrder" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "day" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "cancelled" BOOLEAN NOT NULL DEFAULT false,
+    "test" BOOLEAN NOT NULL DEFAULT false,
+    "lines" JSONB NOT NULL DEFAULT '[]',
+    "orderUpdatedAt" TIMESTAMP(3) NOT NULL,
+    "recordedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SalesLedgerOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SalesLedgerVariant" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT,
+    "sku" TEXT,
+    "productTitle" TEXT NOT NULL,
+    "variantTitle" TEXT NOT NULL,
+    "vendor" TEXT,
+    "productType" TEXT,
+    "tags" JSONB NOT NULL DEFAULT '[]',
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SalesLedgerVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SalesLedgerState" (
+    "shop" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL,
+    "coveredFrom" TEXT,
+    "backfillStatus" TEXT NOT NULL DEFAULT 'none',
+    "backfillError" TEXT,
+    "backfilledAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SalesLedgerState_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateIndex
+CREATE INDEX "SalesLedgerDay_shop_day_idx" ON "SalesLedgerDay"("shop", "day");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SalesLedgerDay_entry_key" ON "SalesLedgerDay"("shop", "day", "variantId", "location", "channel", "cancelled", "test");
+
+-- CreateIndex
+CREATE INDEX "SalesLedgerOrder_shop_day_idx" ON "SalesLedgerOrder"("shop", "day");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SalesLedgerOrder_shop_orderId_key" ON "SalesLedgerOrder"("shop", "orderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SalesLedgerVariant_shop_variantId_key" ON "SalesLedgerVariant"("shop", "variantId");
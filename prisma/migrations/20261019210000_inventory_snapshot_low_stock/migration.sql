@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "InventorySnapshot" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "locationName" TEXT NOT NULL,
+    "variantId" TEXT,
+    "sku" TEXT,
+    "productTitle" TEXT NOT NULL,
+    "variantTitle" TEXT NOT NULL,
+    "vendor" TEXT,
+    "productType" TEXT,
+    "available" INTEGER NOT NULL DEFAULT 0,
+    "onHand" INTEGER NOT NULL DEFAULT 0,
+    "levelUpdatedAt" TIMESTAMP(3) NOT NULL,
+    "recordedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InventorySnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LowStockThreshold" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LowStockThreshold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InventorySnapshot_shop_inventoryItemId_locationId_key" ON "InventorySnapshot"("shop", "inventoryItemId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "InventorySnapshot_shop_sku_idx" ON "InventorySnapshot"("shop", "sku");
+
+-- CreateIndex
+CREATE INDEX "InventorySnapshot_shop_vendor_idx" ON "InventorySnapshot"("shop", "vendor");
+
+-- CreateIndex
+CREATE INDEX "InventorySnapshot_shop_productType_idx" ON "InventorySnapshot"("shop", "productType");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LowStockThreshold_shop_scope_value_key" ON "LowStockThreshold"("shop", "scope", "value");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "PurchaseOrder" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "vendor" TEXT NOT NULL,
+    "runId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "lines" JSONB NOT NULL DEFAULT '[]',
+    "currency" TEXT,
+    "note" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "receivedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PurchaseOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PurchaseOrder_shop_number_key" ON "PurchaseOrder"("shop", "number");
+
+-- CreateIndex
+CREATE INDEX "PurchaseOrder_shop_status_idx" ON "PurchaseOrder"("shop", "status");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "VendorProfile" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "vendor" TEXT NOT NULL,
+    "leadTimeDays" INTEGER,
+    "minOrderQty" INTEGER,
+    "minOrderValue" DOUBLE PRECISION,
+    "casePack" INTEGER,
+    "orderCadenceDays" INTEGER,
+    "contactEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "VendorProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VendorProfile_shop_vendor_key" ON "VendorProfile"("shop", "vendor");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RestockingReportRun" ADD COLUMN     "ordersOverFulfillmentLimit" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,19 @@
+/* eslint-env node */
+// scripts/admin-for.js
+//
+// `(shop) => admin` for the worker scripts: the shop's offline session
+// (`unauthenticated.admin`), or the default export of the module in
+// SCHEDULER_ADMIN_MODULE to use a mocked Admin API instead.
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+export async function loadAdminFor() {
+  const mockModule = process.env.SCHEDULER_ADMIN_MODULE;
+  if (mockModule) {
+    const mod = await import(pathToFileURL(resolve(mockModule)).href);
+    return mod.default;
+  }
+
+  const { unauthenticated } = await import("../app/shopify.server.js");
+  return async (shop) => (await unauthenticated.admin(shop)).admin;
+}
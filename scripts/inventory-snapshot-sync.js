@@ -0,0 +1,36 @@
+/* eslint-env node */
+// scripts/inventory-snapshot-sync.js
+//
+// Fills the inventory snapshot behind the Low Stock page with every
+// variant's levels, once the inventory_levels/update webhook is subscribed
+// (it keeps quantities current from then on):
+//
+//   node scripts/inventory-snapshot-sync.js --shop example.myshopify.com
+//
+// Running it again refreshes product details and drops levels that no
+// longer exist. SCHEDULER_ADMIN_MODULE swaps in a mocked Admin API, as for
+// the scheduler.
+import prisma from "../app/db.server.js";
+import { syncInventorySnapshot } from "../app/inventory-snapshot.server.js";
+import { loadAdminFor } from "./admin-for.js";
+
+function argument(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+const shop = argument("shop");
+if (!shop) {
+  console.error("Usage: node scripts/inventory-snapshot-sync.js --shop <shop>");
+  process.exit(1);
+}
+
+try {
+  const admin = await (await loadAdminFor())(shop);
+  await syncInventorySnapshot(admin, shop);
+} catch (err) {
+  console.error("[inventory] sync failed:", err);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
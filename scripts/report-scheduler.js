@@ -0,0 +1,57 @@
+/* eslint-env node */
+// scripts/report-scheduler.js
+//
+// Runs due report schedules, and sends (or retries) report emails, outside
+// the web server:
+//
+//   node scripts/report-scheduler.js          # check every minute
+//   node scripts/report-scheduler.js --once   # run what's due, then exit
+//
+// Shops are reached through their offline sessions (`unauthenticated.admin`).
+// Set SCHEDULER_ADMIN_MODULE to a module whose default export is
+// `(shop) => admin` to use a mocked Admin API instead. Email goes through
+// the SMTP server in SMTP_HOST/SMTP_PORT, which can be a local catcher.
+import prisma from "../app/db.server.js";
+import { runDueSchedules } from "../app/report-scheduler.server.js";
+import {
+  emailSettings,
+  sendPendingDeliveries,
+} from "../app/report-email.server.js";
+import { loadAdminFor } from "./admin-for.js";
+
+const POLL_MS = 60 * 1000;
+const once = process.argv.includes("--once");
+
+let stopping = false;
+let wake = () => {};
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    stopping = true;
+    wake();
+  });
+}
+
+function pause(ms) {
+  return new Promise((done) => {
+    const timer = setTimeout(done, ms);
+    wake = () => {
+      clearTimeout(timer);
+      done();
+    };
+  });
+}
+
+const adminFor = await loadAdminFor();
+while (!stopping) {
+  try {
+    await runDueSchedules({ adminFor });
+    if (emailSettings().configured) await sendPendingDeliveries();
+  } catch (err) {
+    console.error("[scheduler] pass failed:", err);
+    if (once) process.exitCode = 1;
+  }
+  if (once) break;
+  await pause(POLL_MS);
+}
+
+await prisma.$disconnect();
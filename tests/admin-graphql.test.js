@@ -0,0 +1,291 @@
+/* eslint-env node */
+// tests/admin-graphql.test.js
+//
+// `adminQuery` and `pageConnection` against a local HTTP server standing in
+// for the Admin API. Each test scripts the server's replies in order.
+import { after, before, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import {
+  AdminGraphqlError,
+  adminQuery,
+  pageConnection,
+} from "../app/admin-graphql.server.js";
+
+/* -------------------------------------------------------------------------- */
+/*                                 Mock server                                */
+/* -------------------------------------------------------------------------- */
+
+let server;
+let url;
+let replies = [];
+let requests = [];
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ at: Date.now(), ...JSON.parse(body) });
+      const reply = replies.shift() ?? { status: 500 };
+      if (reply.drop) {
+        req.socket.destroy();
+        return;
+      }
+      res.writeHead(reply.status ?? 200, {
+        "Content-Type": "application/json",
+        ...reply.headers,
+      });
+      res.end(JSON.stringify(reply.body ?? {}));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/graphql.json`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  replies = [];
+  requests = [];
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+});
+
+// An admin client shaped like the one `authenticate.admin` returns: a
+// resolved Response whatever the status. Each test gets its own, so cost
+// pacing from one test doesn't carry into the next.
+function mockAdmin() {
+  return {
+    graphql: (query, { variables } = {}) =>
+      fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query, variables }),
+      }),
+  };
+}
+
+const ok = (data, extensions) => ({ body: { data, extensions } });
+
+const THROTTLED = {
+  body: {
+    errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+    extensions: {
+      cost: {
+        requestedQueryCost: 50,
+        throttleStatus: {
+          maximumAvailable: 1000,
+          currentlyAvailable: 0,
+          restoreRate: 1000,
+        },
+      },
+    },
+  },
+};
+
+const QUERY = "query Shop { shop { name } }";
+
+/* -------------------------------------------------------------------------- */
+/*                                   Retries                                  */
+/* -------------------------------------------------------------------------- */
+
+test("a THROTTLED response is retried once the bucket has refilled", async () => {
+  replies = [THROTTLED, ok({ shop: { name: "Wilmington" } })];
+
+  const data = await adminQuery(mockAdmin(), QUERY);
+
+  assert.deepEqual(data, { shop: { name: "Wilmington" } });
+  assert.equal(requests.length, 2);
+  // 50 points at 1000 a second: about 50ms.
+  assert.ok(requests[1].at - requests[0].at >= 45);
+});
+
+test("throttling on every try throws a throttled error", async () => {
+  replies = [THROTTLED, THROTTLED];
+
+  await assert.rejects(adminQuery(mockAdmin(), QUERY, {}, { tries: 2 }), {
+    name: "AdminGraphqlError",
+    kind: "throttled",
+  });
+  assert.equal(requests.length, 2);
+});
+
+test("a 5xx response is retried with backoff", async () => {
+  replies = [{ status: 502 }, ok({ shop: { name: "Wilmington" } })];
+
+  const data = await adminQuery(mockAdmin(), QUERY);
+
+  assert.equal(data.shop.name, "Wilmington");
+  assert.equal(requests.length, 2);
+  // The first backoff is 250-500ms.
+  assert.ok(requests[1].at - requests[0].at >= 240);
+});
+
+test("a 429 waits as long as Retry-After says", async () => {
+  replies = [
+    { status: 429, headers: { "Retry-After": "1" } },
+    ok({ shop: { name: "Wilmington" } }),
+  ];
+
+  await adminQuery(mockAdmin(), QUERY);
+
+  assert.equal(requests.length, 2);
+  assert.ok(requests[1].at - requests[0].at >= 950);
+});
+
+test("5xx on every try throws a server error with the status", async () => {
+  replies = [{ status: 503 }, { status: 503 }];
+
+  const err = await adminQuery(mockAdmin(), QUERY, {}, { tries: 2 }).catch(
+    (e) => e
+  );
+
+  assert.ok(err instanceof AdminGraphqlError);
+  assert.equal(err.kind, "server");
+  assert.equal(err.status, 503);
+  assert.equal(err.retryable, true);
+});
+
+test("a dropped connection is retried as a network failure", async () => {
+  replies = [{ drop: true }, ok({ shop: { name: "Wilmington" } })];
+
+  const data = await adminQuery(mockAdmin(), QUERY);
+
+  assert.equal(data.shop.name, "Wilmington");
+  assert.equal(requests.length, 2);
+});
+
+test("no response on any try throws a network error", async () => {
+  replies = [{ drop: true }, { drop: true }];
+
+  await assert.rejects(adminQuery(mockAdmin(), QUERY, {}, { tries: 2 }), {
+    kind: "network",
+    status: null,
+  });
+});
+
+test("a mutation that mustn't run twice isn't retried after a 5xx", async () => {
+  replies = [{ status: 500 }, ok({ run: true })];
+
+  await assert.rejects(
+    adminQuery(mockAdmin(), "mutation Run { run }", {}, { idempotent: false }),
+    { kind: "server", status: 500 }
+  );
+  assert.equal(requests.length, 1);
+});
+
+test("a mutation that mustn't run twice is still retried when THROTTLED", async () => {
+  replies = [THROTTLED, ok({ run: true })];
+
+  const data = await adminQuery(
+    mockAdmin(),
+    "mutation Run { run }",
+    {},
+    { idempotent: false }
+  );
+
+  assert.deepEqual(data, { run: true });
+  assert.equal(requests.length, 2);
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                Other errors                                */
+/* -------------------------------------------------------------------------- */
+
+test("GraphQL errors throw a graphql error without retrying", async () => {
+  replies = [
+    { body: { errors: [{ message: "Field 'nope' doesn't exist" }] } },
+    ok({ shop: { name: "Wilmington" } }),
+  ];
+
+  const err = await adminQuery(mockAdmin(), QUERY, {}, { task: "testing" })
+    .then(() => null)
+    .catch((e) => e);
+
+  assert.equal(err.kind, "graphql");
+  assert.equal(err.retryable, false);
+  assert.equal(err.errors[0].message, "Field 'nope' doesn't exist");
+  assert.match(err.message, /while testing/);
+  assert.equal(requests.length, 1);
+});
+
+test("other HTTP errors aren't retried", async () => {
+  replies = [{ status: 403 }];
+
+  await assert.rejects(adminQuery(mockAdmin(), QUERY), {
+    kind: "http",
+    status: 403,
+  });
+  assert.equal(requests.length, 1);
+});
+
+test("a Response thrown to re-authorize passes straight through", async () => {
+  const reauthorize = new Response(null, { status: 302 });
+  const admin = {
+    graphql: async () => {
+      throw reauthorize;
+    },
+  };
+
+  await assert.rejects(adminQuery(admin, QUERY), (err) => err === reauthorize);
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                   Paging                                   */
+/* -------------------------------------------------------------------------- */
+
+const PAGED_QUERY = `
+  query Locations($cursor: String) {
+    locations(first: 2, after: $cursor) {
+      nodes { name }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const locationsPage = (names, endCursor) =>
+  ok({
+    locations: {
+      nodes: names.map((name) => ({ name })),
+      pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+    },
+  });
+
+test("pageConnection follows the cursor to the last page", async () => {
+  replies = [
+    locationsPage(["Web", "Wilmington"], "c1"),
+    locationsPage(["Dover", "Newark"], "c2"),
+    locationsPage(["Lewes"], null),
+  ];
+
+  const names = [];
+  const pages = pageConnection(
+    mockAdmin(),
+    PAGED_QUERY,
+    {},
+    (data) => data.locations
+  );
+  for await (const page of pages) {
+    names.push(...page.nodes.map((n) => n.name));
+  }
+
+  assert.deepEqual(names, ["Web", "Wilmington", "Dover", "Newark", "Lewes"]);
+  assert.deepEqual(
+    requests.map((r) => r.variables.cursor),
+    [null, "c1", "c2"]
+  );
+});
+
+test("pageConnection throws a missing error when the connection is absent", async () => {
+  replies = [ok({ locations: null })];
+
+  const pages = pageConnection(
+    mockAdmin(),
+    PAGED_QUERY,
+    {},
+    (data) => data.locations
+  );
+
+  await assert.rejects(pages.next(), { kind: "missing" });
+});
@@ -0,0 +1,135 @@
+/* eslint-env node */
+// tests/report-email.test.js
+import { after, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb, finishedRun } from "./support/fake-db.js";
+import {
+  TRY_LATER,
+  attachmentsOf,
+  headerOf,
+  startSmtpServer,
+} from "./support/smtp-server.js";
+import {
+  queueReportEmail,
+  retryDelivery,
+  sendPendingDeliveries,
+} from "../app/report-email.server.js";
+
+// Mail goes out through nodemailer, set up from the environment the way the
+// worker is, to a server on this machine.
+const smtp = await startSmtpServer();
+process.env.SMTP_HOST = "127.0.0.1";
+process.env.SMTP_PORT = String(smtp.port);
+process.env.SMTP_FROM = "reports@mail.test";
+after(() => smtp.close());
+beforeEach(() => {
+  smtp.messages.length = 0;
+});
+
+const log = { info() {} };
+const MINUTE = 60 * 1000;
+
+async function queued(db, shop, formats = ["csv"]) {
+  const run = await finishedRun(db, shop);
+  return queueReportEmail(shop, run, {
+    recipients: ["buyer@example.com", "owner@example.com"],
+    formats,
+    db,
+  });
+}
+
+// The worker's pass at `now`.
+const pass = (db, now) => sendPendingDeliveries({ now, log, db });
+
+test("a due delivery is sent with the report attached and logged as sent", async () => {
+  const db = fakeDb();
+  await queued(db, "send.myshopify.com", ["csv", "pdf"]);
+
+  const [logged] = await pass(db, new Date());
+
+  assert.equal(smtp.messages.length, 1);
+  const [message] = smtp.messages;
+  assert.equal(message.from, "reports@mail.test");
+  assert.deepEqual(message.to, ["buyer@example.com", "owner@example.com"]);
+  assert.equal(
+    headerOf(message, "Subject"),
+    "Weekly: Restocking report 2026-10-12 → 2026-10-18"
+  );
+  const [csv, pdf] = attachmentsOf(message);
+  assert.equal(csv.contentType, "text/csv");
+  assert.match(csv.content.toString("utf8"), /TEE-S/);
+  assert.equal(pdf.contentType, "application/pdf");
+  assert.equal(pdf.content.subarray(0, 5).toString(), "%PDF-");
+
+  assert.equal(logged.status, "sent");
+  assert.equal(logged.attempts, 1);
+  assert.equal(logged.messageId, headerOf(message, "Message-ID"));
+  assert.equal(logged.lastError, null);
+  assert.equal(logged.nextAttemptAt, null);
+  assert.ok(logged.sentAt instanceof Date);
+});
+
+test("a refused send is retried after 1, 5, 15 and 60 minutes, then fails", async () => {
+  const db = fakeDb();
+  let delivery = await queued(db, "retry.myshopify.com");
+  smtp.failing = true;
+  let now = new Date();
+
+  for (const [i, minutes] of [1, 5, 15, 60].entries()) {
+    const triedAt = Date.now();
+    [delivery] = await pass(db, now);
+
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.attempts, i + 1);
+    assert.ok(
+      delivery.lastError.includes(TRY_LATER),
+      `the server's reply is kept, not ${delivery.lastError}`
+    );
+    const wait = delivery.nextAttemptAt.getTime() - triedAt;
+    assert.ok(
+      wait >= minutes * MINUTE && wait < minutes * MINUTE + 5000,
+      `attempt ${i + 1} waits ${minutes} minutes, not ${wait}ms`
+    );
+
+    // Not due a moment before the retry time.
+    const early = new Date(delivery.nextAttemptAt.getTime() - 1000);
+    assert.deepEqual(await pass(db, early), []);
+    now = delivery.nextAttemptAt;
+  }
+
+  [delivery] = await pass(db, now);
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.attempts, 5);
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.deepEqual(smtp.messages, []);
+
+  // A failed delivery isn't tried again by the worker...
+  smtp.failing = false;
+  const dayLater = new Date(now.getTime() + 24 * 60 * MINUTE);
+  assert.deepEqual(await pass(db, dayLater), []);
+
+  // ...only when someone retries it.
+  const retried = await retryDelivery(delivery.shop, delivery.id, { db });
+  assert.equal(retried.status, "sent");
+  assert.equal(retried.attempts, 6);
+  assert.equal(retried.lastError, null);
+  assert.equal(smtp.messages.length, 1);
+});
+
+test("a delivery left sending by a worker that died is sent again", async () => {
+  const db = fakeDb();
+  const delivery = await queued(db, "stuck.myshopify.com");
+  await db.reportDelivery.updateMany({
+    where: { id: delivery.id },
+    data: { status: "sending" },
+  });
+
+  // Another worker may still be sending it.
+  const soon = new Date(Date.now() + 5 * MINUTE);
+  assert.deepEqual(await pass(db, soon), []);
+
+  const later = new Date(Date.now() + 11 * MINUTE);
+  const [logged] = await pass(db, later);
+  assert.equal(logged.status, "sent");
+  assert.equal(smtp.messages.length, 1);
+});
@@ -0,0 +1,23 @@
+/* eslint-env node */
+// tests/report-export.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../app/report-export.server.js";
+
+test("text that a spreadsheet would run as a formula stays text", () => {
+  const csv = toCsv([
+    ['=HYPERLINK("http://x.test","Tee")', "+1", "-SKU", "@SUM(A1)"],
+    ["\tTab", "Tee", "TEE-S", ""],
+  ]);
+  assert.equal(
+    csv,
+    [
+      `"'=HYPERLINK(""http://x.test"",""Tee"")",'+1,'-SKU,'@SUM(A1)`,
+      "'\tTab,Tee,TEE-S,",
+    ].join("\r\n")
+  );
+});
+
+test("numbers are written as numbers, negative ones included", () => {
+  assert.equal(toCsv([[-3, 0, 12.5, null]]), "-3,0,12.5,");
+});
@@ -0,0 +1,153 @@
+/* eslint-env node */
+// tests/report-scheduler.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { fakeDb } from "./support/fake-db.js";
+import { NO_SESSION_SHOP } from "./support/mock-admin.js";
+import { runDueSchedules } from "../app/report-scheduler.server.js";
+import { loadAdminFor } from "../scripts/admin-for.js";
+
+process.env.SCHEDULER_ADMIN_MODULE = fileURLToPath(
+  new URL("./support/mock-admin.js", import.meta.url)
+);
+const adminFor = await loadAdminFor();
+const log = { info() {} };
+
+const MINUTE = 60 * 1000;
+
+// A weekly schedule that was due a minute ago.
+function dueSchedule(db, shop, fields = {}) {
+  return db.reportSchedule.create({
+    data: {
+      shop,
+      presetId: "preset-1",
+      preset: { id: "preset-1", name: "Weekly", range: "last_7_days" },
+      cron: "0 7 * * 1",
+      timezone: "America/New_York",
+      nextRunAt: new Date(Date.now() - MINUTE),
+      ...fields,
+    },
+  });
+}
+
+// Stands in for running the preset: records what it was asked to run.
+function fakeRunner() {
+  const calls = [];
+  const runReport = async (admin, schedule) => {
+    calls.push({ admin, schedule });
+    return { id: `run-${calls.length}`, status: "done" };
+  };
+  return { calls, runReport };
+}
+
+const scheduleNamed = (db, id) =>
+  db.reportSchedule.findUnique({ where: { id } });
+
+test("a worker run runs a due schedule and moves it to its next time", async () => {
+  const db = fakeDb();
+  const shop = "worker.myshopify.com";
+  const schedule = await dueSchedule(db, shop);
+  const { calls, runReport } = fakeRunner();
+
+  const now = new Date();
+  const results = await runDueSchedules({ adminFor, now, log, db, runReport });
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].admin, { shop });
+  assert.equal(calls[0].schedule.id, schedule.id);
+  assert.equal(calls[0].schedule.preset.name, "Weekly");
+  assert.deepEqual(results, [
+    { scheduleId: schedule.id, id: "run-1", status: "done" },
+  ]);
+
+  const after = await scheduleNamed(db, schedule.id);
+  assert.equal(after.lockedUntil, null);
+  assert.equal(after.lastStatus, "done");
+  assert.equal(after.lastRunId, "run-1");
+  assert.equal(after.lastError, null);
+  assert.ok(after.nextRunAt > now);
+});
+
+test("disabled and not-yet-due schedules are left alone", async () => {
+  const db = fakeDb();
+  await dueSchedule(db, "off.myshopify.com", { enabled: false });
+  await dueSchedule(db, "later.myshopify.com", {
+    nextRunAt: new Date(Date.now() + MINUTE),
+  });
+  const { calls, runReport } = fakeRunner();
+
+  const results = await runDueSchedules({ adminFor, log, db, runReport });
+  assert.deepEqual(results, []);
+  assert.equal(calls.length, 0);
+});
+
+test("a schedule locked by another worker waits until the lock lapses", async () => {
+  const db = fakeDb();
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + 5 * MINUTE);
+  const schedule = await dueSchedule(db, "locked.myshopify.com", {
+    lockedUntil,
+  });
+  const { calls, runReport } = fakeRunner();
+
+  assert.deepEqual(
+    await runDueSchedules({ adminFor, now, log, db, runReport }),
+    []
+  );
+  assert.equal(calls.length, 0);
+  assert.deepEqual(
+    (await scheduleNamed(db, schedule.id)).lockedUntil,
+    lockedUntil
+  );
+
+  // The other worker died: its lock has lapsed and this one takes over.
+  const later = new Date(lockedUntil.getTime() + MINUTE);
+  const results = await runDueSchedules({
+    adminFor,
+    now: later,
+    log,
+    db,
+    runReport,
+  });
+  assert.equal(results.length, 1);
+  assert.equal(calls.length, 1);
+  assert.equal((await scheduleNamed(db, schedule.id)).lockedUntil, null);
+});
+
+test("two workers polling at once run a schedule only once", async () => {
+  const db = fakeDb();
+  await dueSchedule(db, "race.myshopify.com");
+  const { calls, runReport } = fakeRunner();
+
+  const now = new Date();
+  const [first, second] = await Promise.all([
+    runDueSchedules({ adminFor, now, log, db, runReport }),
+    runDueSchedules({ adminFor, now, log, db, runReport }),
+  ]);
+
+  assert.equal(first.length + second.length, 1);
+  assert.equal(calls.length, 1);
+});
+
+test("a shop without a session fails its run and moves to its next time", async () => {
+  const db = fakeDb();
+  const failing = await dueSchedule(db, NO_SESSION_SHOP);
+  const healthy = await dueSchedule(db, "healthy.myshopify.com");
+  const { calls, runReport } = fakeRunner();
+
+  const now = new Date();
+  const results = await runDueSchedules({ adminFor, now, log, db, runReport });
+  assert.equal(results.length, 2);
+
+  const failed = await scheduleNamed(db, failing.id);
+  assert.equal(failed.lastStatus, "error");
+  assert.equal(failed.lastError, `No offline session for ${NO_SESSION_SHOP}`);
+  assert.equal(failed.lastRunId, null);
+  assert.equal(failed.lockedUntil, null);
+  assert.ok(failed.nextRunAt > now);
+
+  // One shop's failure doesn't stop the others.
+  assert.equal(calls.length, 1);
+  assert.equal((await scheduleNamed(db, healthy.id)).lastStatus, "done");
+});
@@ -0,0 +1,34 @@
+/* eslint-env node */
+// tests/stocky-csv.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { detectColumns, fileHash, parseCsv } from "../app/stocky-csv.js";
+
+test("quoted fields keep commas, doubled quotes and line breaks", () => {
+  const rows = parseCsv(
+    '\uFEFFSKU,Note\r\nA-1,"Box, ""large""\nsecond line"\r\n\r\nB-2,\n'
+  );
+  assert.deepEqual(rows, [
+    ["SKU", "Note"],
+    ["A-1", 'Box, "large"\nsecond line'],
+    ["B-2", ""],
+  ]);
+});
+
+test("columns are found by any of Stocky's header names", () => {
+  assert.deepEqual(
+    detectColumns(["Variant SKU", " Date Received ", "Qty Received"]),
+    { sku: 0, receivedAt: 1, receivedQty: 2 }
+  );
+  assert.equal(detectColumns(["SKU", "Received Date"]).receivedQty, -1);
+  assert.match(detectColumns(["Title"]).error, /SKU/);
+});
+
+test("the file hash matches a server-side SHA-256 of the text", async () => {
+  const text = "SKU,Received Date\nA-1,2026-01-02\n";
+  assert.equal(
+    await fileHash(text),
+    createHash("sha256").update(text).digest("hex")
+  );
+});
@@ -0,0 +1,13 @@
+/* eslint-env node */
+// tests/support/db-hooks.js
+//
+// Module resolve hook: app/db.server.js resolves to `no-database.js`, so
+// server modules import without a generated Prisma client.
+const NO_DATABASE = new URL("./no-database.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/(^|\/)db\.server(\.js)?$/.test(specifier)) {
+    return { url: NO_DATABASE, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
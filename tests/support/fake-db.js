@@ -0,0 +1,150 @@
+/* eslint-env node */
+// tests/support/fake-db.js
+//
+// A stand-in for the `db` option of the report scheduler and report email
+// functions, with the tables they use. It only does what they ask of
+// Prisma: find, create and update rows by `where` filters made of equal
+// values, `null`, `lt`, `lte` and `in`, and `OR`, with `orderBy` on one
+// field. `select` and `include` are ignored; rows carry their relations (a
+// schedule's `preset`) themselves.
+
+// Column defaults from prisma/schema.prisma.
+const DEFAULTS = {
+  reportSchedule: () => ({
+    enabled: true,
+    lockedUntil: null,
+    lastRunAt: null,
+    lastRunId: null,
+    lastStatus: null,
+    lastError: null,
+    emailRecipients: [],
+    emailFormats: ["csv"],
+  }),
+  reportDelivery: () => ({
+    scheduleId: null,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lastError: null,
+    sentAt: null,
+    messageId: null,
+  }),
+  restockingReportRun: () => ({ scheduleId: null, presetName: null }),
+};
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+function fieldMatches(value, condition) {
+  if (condition === null) return value == null;
+  if (condition instanceof Date || typeof condition !== "object") {
+    return comparable(value) === comparable(condition);
+  }
+  return Object.entries(condition).every(([op, other]) => {
+    if (op === "in") return other.includes(value);
+    if (value == null) return false;
+    if (op === "lt") return comparable(value) < comparable(other);
+    if (op === "lte") return comparable(value) <= comparable(other);
+    throw new Error(`fakeDb doesn't filter with ${op}`);
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) =>
+    key === "OR"
+      ? condition.some((w) => matches(row, w))
+      : fieldMatches(row[key], condition)
+  );
+}
+
+/** A fresh, empty fake database. */
+export function fakeDb() {
+  const tables = {};
+  let nextId = 1;
+
+  const table = (model) => (tables[model] ??= []);
+
+  const model = (name) => ({
+    async findMany({ where, orderBy } = {}) {
+      const rows = table(name).filter((r) => matches(r, where));
+      const [[key, direction] = []] = Object.entries(orderBy ?? {});
+      if (key) {
+        const sign = direction === "desc" ? -1 : 1;
+        rows.sort((a, b) => sign * (comparable(a[key]) - comparable(b[key])));
+      }
+      return structuredClone(rows);
+    },
+    async findUnique({ where }) {
+      const row = table(name).find((r) => matches(r, where));
+      return row ? structuredClone(row) : null;
+    },
+    async create({ data }) {
+      const now = new Date();
+      const row = {
+        id: `${name}-${nextId++}`,
+        createdAt: now,
+        updatedAt: now,
+        ...DEFAULTS[name](),
+        ...structuredClone(data),
+      };
+      table(name).push(row);
+      return structuredClone(row);
+    },
+    async update({ where, data }) {
+      const row = table(name).find((r) => matches(r, where));
+      if (!row) throw new Error(`No ${name} to update`);
+      Object.assign(row, structuredClone(data), { updatedAt: new Date() });
+      return structuredClone(row);
+    },
+    async updateMany({ where, data }) {
+      const rows = table(name).filter((r) => matches(r, where));
+      for (const row of rows) {
+        Object.assign(row, structuredClone(data), { updatedAt: new Date() });
+      }
+      return { count: rows.length };
+    },
+  });
+
+  const db = {};
+  for (const name of Object.keys(DEFAULTS)) db[name] = model(name);
+  return db;
+}
+
+/**
+ * Adds a finished run of a one-variant report to `db`: a T-shirt that sold
+ * 5 in the week, with 1 left at each location.
+ */
+export function finishedRun(db, shop) {
+  const row = {
+    productTitle: "Tee",
+    productVariantTitle: "S",
+    sku: "TEE-S",
+    vendor: "Acme",
+    productType: "Shirts",
+    netItemsSold: 5,
+    grossSold: 5,
+    returnedQty: 0,
+    locations: { "Shop Floor": 1, Warehouse: 1 },
+    locationSold: { "Shop Floor": 2, Warehouse: 3 },
+    quantities: {
+      "Shop Floor": { available: 1, incoming: 0 },
+      Warehouse: { available: 1, incoming: 0 },
+    },
+  };
+  return db.restockingReportRun.create({
+    data: {
+      shop,
+      status: "done",
+      presetName: "Weekly",
+      options: {},
+      shopName: "Mock Store",
+      timezone: "America/New_York",
+      startDate: "2026-10-12",
+      endDate: "2026-10-18",
+      startISO: "2026-10-12T04:00:00.000Z",
+      endISO: "2026-10-19T04:00:00.000Z",
+      completedAt: new Date(),
+      locationNames: ["Shop Floor", "Warehouse"],
+      rowsByKey: { "Tee||S||TEE-S": row },
+    },
+  });
+}
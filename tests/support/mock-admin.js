@@ -0,0 +1,15 @@
+/* eslint-env node */
+// tests/support/mock-admin.js
+//
+// A mocked session lookup for SCHEDULER_ADMIN_MODULE: the default export is
+// `(shop) => admin`. Tests that take an admin only pass it on, so the admin
+// just names its shop; NO_SESSION_SHOP has no offline session, the way an
+// uninstalled shop doesn't.
+export const NO_SESSION_SHOP = "uninstalled.myshopify.com";
+
+export default async function adminFor(shop) {
+  if (shop === NO_SESSION_SHOP) {
+    throw new Error(`No offline session for ${shop}`);
+  }
+  return { shop };
+}
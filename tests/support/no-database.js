@@ -0,0 +1,18 @@
+/* eslint-env node */
+// tests/support/no-database.js
+//
+// What app/db.server.js is under test: a client that refuses every query.
+// Code that reads or writes the database takes a `db` option, and tests
+// pass a `fakeDb()` (see fake-db.js) for it.
+const prisma = new Proxy(
+  {},
+  {
+    get(_, key) {
+      throw new Error(
+        `Tests have no database: pass a db option instead of using prisma.${String(key)}`
+      );
+    },
+  }
+);
+
+export default prisma;
@@ -0,0 +1,7 @@
+/* eslint-env node */
+// tests/support/register.js
+//
+// Loaded with `node --import` before the tests (see the "test" script).
+import { register } from "node:module";
+
+register("./db-hooks.js", import.meta.url);
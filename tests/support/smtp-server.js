@@ -0,0 +1,117 @@
+/* eslint-env node */
+// tests/support/smtp-server.js
+//
+// A local SMTP server for the email tests, enough for nodemailer's plain
+// (no TLS, no auth) sending. It keeps every message it accepts; while
+// `server.failing` is set it turns senders away with a temporary error.
+import net from "node:net";
+
+export const TRY_LATER = "451 4.3.0 Mail server busy, try again later";
+
+function session(socket, server) {
+  let envelope = { from: null, to: [] };
+  let data = null;
+  let buffered = "";
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const command = (line) => {
+    const verb = line.slice(0, 4).toUpperCase();
+    if (verb === "EHLO" || verb === "HELO") return reply("250 localhost");
+    if (verb === "MAIL") {
+      if (server.failing) return reply(TRY_LATER);
+      envelope = { from: line.match(/<(.*)>/)?.[1], to: [] };
+      return reply("250 OK");
+    }
+    if (verb === "RCPT") {
+      envelope.to.push(line.match(/<(.*)>/)?.[1]);
+      return reply("250 OK");
+    }
+    if (verb === "DATA") {
+      data = [];
+      return reply("354 End data with <CR><LF>.<CR><LF>");
+    }
+    if (verb === "QUIT") {
+      reply("221 Bye");
+      return socket.end();
+    }
+    reply("250 OK");
+  };
+
+  const dataLine = (line) => {
+    if (line !== ".") {
+      data.push(line.startsWith(".") ? line.slice(1) : line);
+      return;
+    }
+    server.messages.push({ ...envelope, raw: data.join("\r\n") });
+    data = null;
+    reply(`250 OK queued as ${server.messages.length}`);
+  };
+
+  socket.setEncoding("utf8");
+  socket.on("error", () => {});
+  socket.on("data", (chunk) => {
+    buffered += chunk;
+    let end;
+    while ((end = buffered.indexOf("\r\n")) >= 0) {
+      const line = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+      if (data) dataLine(line);
+      else command(line);
+    }
+  });
+  reply("220 localhost ESMTP");
+}
+
+/**
+ * Starts the server on a free local port. Resolves to `{ port, messages,
+ * failing, close }`; each message is `{ from, to, raw }`.
+ */
+export async function startSmtpServer() {
+  const server = { messages: [], failing: false };
+  const listener = net.createServer((socket) => session(socket, server));
+  await new Promise((resolve) => listener.listen(0, "127.0.0.1", resolve));
+  server.port = listener.address().port;
+  server.close = () => new Promise((resolve) => listener.close(resolve));
+  return server;
+}
+
+/* ---- Reading what nodemailer sent ---- */
+
+// `=?UTF-8?Q?...?=` and `=?UTF-8?B?...?=` words, as nodemailer encodes
+// non-ASCII headers.
+function decodeWords(value) {
+  return value.replace(/=\?UTF-8\?([QB])\?(.*?)\?=\s*/gi, (_, how, text) =>
+    how.toUpperCase() === "B"
+      ? Buffer.from(text, "base64").toString("utf8")
+      : decodeURIComponent(
+          text
+            .replace(/_/g, " ")
+            .replace(/%/g, "%25")
+            .replace(/=([0-9A-F]{2})/gi, "%$1")
+        )
+  );
+}
+
+/** A top-level header of a message, unfolded and decoded. */
+export function headerOf(message, name) {
+  const head = message.raw.split("\r\n\r\n")[0].replace(/\r\n\s+/g, " ");
+  const line = head
+    .split("\r\n")
+    .find((l) => l.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+  return line && decodeWords(line.slice(name.length + 1).trim());
+}
+
+/** The message's attachments as `{ contentType, content }` (a Buffer). */
+export function attachmentsOf(message) {
+  return message.raw
+    .split(/\r\n--\S+\r\n/)
+    .filter((part) => /^Content-Disposition: attachment/im.test(part))
+    .map((part) => {
+      const [head, body] = part.split("\r\n\r\n");
+      return {
+        contentType: head.match(/^Content-Type: ([^;\r\n]+)/im)[1],
+        content: Buffer.from(body.replace(/\s+|--\S*$/g, ""), "base64"),
+      };
+    });
+}
@@ -0,0 +1,124 @@
+/* eslint-env node */
+// tests/timezone.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveShopTimezone,
+  zonedDateTimeToUtc,
+  zonedRangeToUtc,
+} from "../app/timezone.js";
+
+const iso = (date) => date?.toISOString();
+
+/* -------------------------------------------------------------------------- */
+/*                              America/New_York                              */
+/* -------------------------------------------------------------------------- */
+
+test("ordinary wall times convert at the zone's offset", () => {
+  const zone = "America/New_York";
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-01-15T09:00", zone)),
+    "2026-01-15T14:00:00.000Z"
+  );
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-07-15T09:00", zone)),
+    "2026-07-15T13:00:00.000Z"
+  );
+});
+
+test("a wall time in the spring-forward gap resolves to 03:00 EDT", () => {
+  const zone = "America/New_York";
+  for (const wall of ["2026-03-08T02:00", "2026-03-08T02:30"]) {
+    assert.equal(
+      iso(zonedDateTimeToUtc(wall, zone)),
+      "2026-03-08T07:00:00.000Z",
+      wall
+    );
+  }
+  // Either side of the gap is unaffected.
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-03-08T01:59", zone)),
+    "2026-03-08T06:59:00.000Z"
+  );
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-03-08T03:00", zone)),
+    "2026-03-08T07:00:00.000Z"
+  );
+});
+
+test("a wall time in the fall-back overlap picks the requested occurrence", () => {
+  const zone = "America/New_York";
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-11-01T01:30", zone)),
+    "2026-11-01T05:30:00.000Z"
+  );
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-11-01T01:30", zone, { occurrence: "later" })),
+    "2026-11-01T06:30:00.000Z"
+  );
+});
+
+test("a range ending in the repeated hour covers both occurrences", () => {
+  const range = zonedRangeToUtc(
+    "2026-11-01T00:00",
+    "2026-11-01T01:59",
+    "America/New_York"
+  );
+  assert.equal(iso(range.start), "2026-11-01T04:00:00.000Z");
+  assert.equal(iso(range.end), "2026-11-01T06:59:59.999Z");
+});
+
+/* -------------------------------------------------------------------------- */
+/*                    Australia/Lord_Howe (30-minute shift)                   */
+/* -------------------------------------------------------------------------- */
+
+test("a half-hour spring-forward gap resolves to its end", () => {
+  // 02:00 +10:30 jumps to 02:30 +11:00 on 2026-10-04.
+  const zone = "Australia/Lord_Howe";
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-10-04T02:15", zone)),
+    "2026-10-03T15:30:00.000Z"
+  );
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-10-04T02:30", zone)),
+    "2026-10-03T15:30:00.000Z"
+  );
+});
+
+test("a half-hour fall-back overlap picks the requested occurrence", () => {
+  // 02:00 +11:00 falls back to 01:30 +10:30 on 2026-04-05.
+  const zone = "Australia/Lord_Howe";
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-04-05T01:45", zone)),
+    "2026-04-04T14:45:00.000Z"
+  );
+  assert.equal(
+    iso(zonedDateTimeToUtc("2026-04-05T01:45", zone, { occurrence: "later" })),
+    "2026-04-04T15:15:00.000Z"
+  );
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                   Parsing                                  */
+/* -------------------------------------------------------------------------- */
+
+test("unparseable input gives null", () => {
+  assert.equal(zonedDateTimeToUtc("", "America/New_York"), null);
+  assert.equal(
+    zonedDateTimeToUtc("2026-02-30T10:00", "America/New_York"),
+    null
+  );
+  assert.equal(zonedRangeToUtc("nope", "2026-01-01T00:00", "UTC"), null);
+});
+
+test("shop timezones fall back from IANA to the Rails name to the default", () => {
+  assert.equal(
+    resolveShopTimezone({ ianaTimezone: "Australia/Lord_Howe" }),
+    "Australia/Lord_Howe"
+  );
+  assert.equal(
+    resolveShopTimezone({ timezone: "(GMT-08:00) Pacific Time (US & Canada)" }),
+    "America/Los_Angeles"
+  );
+  assert.equal(resolveShopTimezone({}), "America/New_York");
+});